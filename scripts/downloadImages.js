@@ -3,13 +3,18 @@ const path = require('path');
 const axios = require('axios');
 const crypto = require('crypto');
 const { google } = require('googleapis');
-const dotenv = require('dotenv');
+const { config } = require('../server/config');
 
-// Load environment variables
-dotenv.config();
+// Google Drive folder containing images and the key used to read it
+const GOOGLE_DRIVE_FOLDER_ID = config.google.driveFolderId;
+const GOOGLE_API_KEY = config.google.apiKey || process.env.REACT_APP_GOOGLE_API_KEY;
 
-// Google Drive folder ID containing images
-const GOOGLE_DRIVE_FOLDER_ID = '1YXGb80tWNxMb1gZ31n-JT8aqjyMi1SZX';
+// .env files from before the key moved to the server still name it REACT_APP_GOOGLE_API_KEY
+if (!config.google.apiKey && process.env.REACT_APP_GOOGLE_API_KEY) {
+  console.warn('REACT_APP_GOOGLE_API_KEY is deprecated; rename it to GOOGLE_API_KEY so the key stays out of the browser bundle');
+} else if (!GOOGLE_API_KEY) {
+  console.error('No Google API key: set GOOGLE_API_KEY to download images from Google Drive');
+}
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -101,10 +106,10 @@ async function listFiles() {
     // Use API key for authentication
     const drive = google.drive({
       version: 'v3',
-      auth: process.env.REACT_APP_GOOGLE_API_KEY
+      auth: GOOGLE_API_KEY
     });
     
-    console.log('Using Google API Key:', process.env.REACT_APP_GOOGLE_API_KEY.substring(0, 10) + '...');
+    console.log('Using Google API Key:', (GOOGLE_API_KEY || '').substring(0, 10) + '...');
     
     // List all files in folder (not just restricting to images in the query)
     // We'll filter them ourselves to be safer
@@ -235,7 +240,7 @@ async function downloadFile(fileId, fileName, modifiedTime) {
     try {
       const drive = google.drive({
         version: 'v3',
-        auth: process.env.REACT_APP_GOOGLE_API_KEY
+        auth: GOOGLE_API_KEY
       });
       
       // Get file metadata first to determine the right approach
@@ -370,7 +375,7 @@ async function downloadAllFiles() {
     console.log('Starting image download process...');
     console.log('Environment check:');
     console.log('- NODE_ENV:', process.env.NODE_ENV);
-    console.log('- Google API Key exists:', !!process.env.REACT_APP_GOOGLE_API_KEY);
+    console.log('- Google API Key exists:', !!GOOGLE_API_KEY);
     console.log('- Google Drive Folder ID:', GOOGLE_DRIVE_FOLDER_ID);
     console.log('- Check only mode:', CHECK_ONLY);
     
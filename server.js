@@ -1,38 +1,81 @@
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const path = require('path');
 const cors = require('cors');
 const fs = require('fs');
 const socketIo = require('socket.io');
 const { exec } = require('child_process');
 const AWS = require('aws-sdk');
-const { BedrockRuntimeClient, InvokeModelWithBidirectionalStreamCommand } = require('@aws-sdk/client-bedrock-runtime');
-const { TextEncoder, TextDecoder } = require('util');
+const { createSpeechProvider, CONVERSATION_MODES } = require('./server/providers');
+const { OUTPUT_SAMPLE_RATE } = require('./server/providers/BaseSpeechSession');
+const { decodeClip, historyFromClient, runBatchTurn, INPUT_SAMPLE_RATE } = require('./server/batchTurn');
+const { SessionManager, isValidSessionId, sanitizeHistory } = require('./server/SessionManager');
+const { UsageLimiter, socketClientAddress } = require('./server/UsageLimiter');
+const { requireCurator } = require('./server/curatorAuth');
+const { pcmDurationSeconds } = require('./server/pcm');
+const { logger } = require('./server/logger');
+const { metrics, renderMetrics } = require('./server/metrics');
+const { parseVoiceSettings } = require('./server/voiceSettings');
+const { parseLanguage, voiceSettingsForLanguage } = require('./server/languages');
+const { TranscriptStore, parseTranscriptFilters } = require('./server/TranscriptStore');
+const { PromptStore, parsePromptEdit, checkOptionalText } = require('./server/PromptStore');
+const { PromptSheet } = require('./server/PromptSheet');
+const { PromptSheetCache } = require('./server/PromptSheetCache');
+const { SheetSync, parseSyncRequest } = require('./server/SheetSync');
+const { LexiconStore, parseLexiconEntry } = require('./server/LexiconStore');
+const { ObjectCatalog, listImageFiles } = require('./server/ObjectCatalog');
+const { config, publicConfig } = require('./server/config');
 
 const app = express();
+// Behind nginx req.ip would be the proxy's address; take the client's from X-Forwarded-For instead
+app.set('trust proxy', config.server.trustProxy);
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: {
-    origin: ["http://localhost:3000", "http://localhost:3001"],
+    origin: config.server.corsOrigins,
     methods: ["GET", "POST"]
   }
 });
 
-const PORT = process.env.PORT || 3001; // Use port 3001 for API server to avoid conflict with React dev server
+const PORT = config.server.port;
 
 // Configure AWS SDK
-AWS.config.update({ region: 'us-east-1' });
-const BEDROCK_RUNTIME_ENDPOINT = 'bedrock-runtime.us-east-1.amazonaws.com';
+AWS.config.update({ region: config.aws.region });
 
-// Initialize AWS v3 Bedrock client with default credentials
-const bedrockRuntime = new BedrockRuntimeClient({
-  region: 'us-east-1',
-  endpoint: BEDROCK_RUNTIME_ENDPOINT
-});
+// Conversation mode used unless an object asks for another: 'speech-to-speech' or 'cascaded'
+const DEFAULT_CONVERSATION_MODE = config.speech.defaultMode;
+
+// Error codes sent with `error` events when a socket message is malformed
+const REQUEST_ERROR_CODES = {
+  INVALID_SESSION_CONFIG: 'INVALID_SESSION_CONFIG',
+  INVALID_RESUME_REQUEST: 'INVALID_RESUME_REQUEST'
+};
+
+const speechProviders = {
+  // 'nova-sonic' by default, or 'mock' for offline development
+  'speech-to-speech': createSpeechProvider(config.speech.provider, {
+    region: config.aws.region,
+    endpoint: config.aws.bedrockEndpoint,
+    modelId: config.novaSonic.modelId,
+    maxStreamMs: config.novaSonic.maxStreamMs
+  }),
+  // Speech-to-text -> text LLM -> text-to-speech, each adapter defaults to a local stub
+  cascaded: createSpeechProvider('cascaded', {
+    region: config.aws.region,
+    stt: config.cascaded.stt,
+    llm: config.cascaded.llm,
+    tts: config.cascaded.tts,
+    adapterOptions: {
+      llm: { modelId: config.cascaded.llmModelId || undefined },
+      tts: { voiceId: config.cascaded.ttsVoiceId || undefined }
+    }
+  })
+};
 
-// Enable CORS for development with specific options
+// Enable CORS for the configured origins (the React dev server by default)
 app.use(cors({
-  origin: ['http://localhost:3000', 'http://localhost:3001'], // Allow requests from React dev server
+  origin: config.server.corsOrigins,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
@@ -45,18 +88,97 @@ app.use((req, res, next) => {
   next();
 });
 
-// Add request logger middleware
+// Log every request once it has been answered and count responses by status
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    metrics.httpResponses.inc({ method: req.method, status: res.statusCode });
+    logger.info('HTTP request', {
+      method: req.method,
+      url: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
   next();
 });
 
-// Parse JSON request bodies with increased limit for audio data
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Caps on concurrent sessions, audio time and API requests
+const usageLimiter = new UsageLimiter(config.limits);
+
+// Throttle the REST API per client
+app.use('/api', usageLimiter.apiRateLimit());
+
+// Routes that change prompts, the lexicon, transcripts or the sheet are for curators only
+const curatorOnly = requireCurator(config.curators.token);
+if (!config.curators.token) {
+  logger.warn('CURATOR_TOKEN is not set, so prompt, lexicon, transcript and sheet changes are disabled');
+}
+
+// Parse JSON request bodies with a limit large enough for a recorded clip
+app.use(express.json({ limit: config.server.requestBodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: config.server.requestBodyLimit }));
+
+// Every conversation turn, kept so curators can review what visitors ask
+const transcriptStore = config.transcripts.enabled
+  ? new TranscriptStore({ filePath: path.resolve(__dirname, config.transcripts.file) })
+  : null;
+
+// Curator edits to object prompts, shared by every kiosk
+const promptStore = new PromptStore({
+  filePath: path.resolve(__dirname, config.prompts.file),
+  pins: config.prompts.pins
+});
 
-// Active WebSocket connections and their state
-const activeSessions = new Map();
+// Curators' pronunciation guide, added to system prompts and used to fix transcribed spellings
+const lexiconStore = new LexiconStore({ filePath: path.resolve(__dirname, config.lexicon.file) });
+
+// The curators' Google Sheet of object names and prompts, read and written only by the server
+const promptSheet = new PromptSheet({
+  sheetId: config.google.sheetId,
+  apiKey: config.google.apiKey,
+  serviceAccountFile: config.google.serviceAccountFile
+    ? path.resolve(__dirname, config.google.serviceAccountFile)
+    : null,
+  columns: config.google.sheetColumns
+});
+const promptSheetCache = new PromptSheetCache({
+  sheet: promptSheet,
+  ttlMs: config.google.sheetCacheTtlMs,
+  snapshotFile: path.resolve(__dirname, config.google.sheetSnapshotFile)
+});
+
+// Pushes edited prompts back to the sheet
+const sheetSync = new SheetSync({ sheet: promptSheet, promptStore });
+
+// Sheet rows matched with the downloaded images, with curator edits applied
+const objectCatalog = new ObjectCatalog({
+  sheetCache: promptSheetCache,
+  promptStore,
+  imagesDir: path.join(__dirname, 'public/images')
+});
+
+// Edits, pins and transcripts saved when object IDs were row positions move to the stable IDs
+promptSheetCache.get()
+  .then(({ prompts }) => {
+    promptStore.migrateLegacyIds(prompts);
+    if (transcriptStore) {
+      transcriptStore.migrateLegacyIds(prompts);
+    }
+  })
+  .catch(error => logger.warn('Could not read the sheet to migrate row position IDs', { error }));
+
+if (process.env.REACT_APP_GOOGLE_API_KEY && !config.google.apiKey) {
+  logger.warn('REACT_APP_GOOGLE_API_KEY is no longer used; set GOOGLE_API_KEY so the key stays on the server');
+}
+
+// Active conversation sessions, keyed by a durable session ID that survives reconnects
+const sessionManager = new SessionManager({
+  providers: speechProviders,
+  resumeWindowMs: config.sessions.resumeWindowMs,
+  transcriptStore
+});
+metrics.activeSessions.collect = () => sessionManager.size;
 
 // Serve static files from the React build
 app.use(express.static(path.join(__dirname, 'build')));
@@ -69,9 +191,20 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK' });
 });
 
+// Non-secret settings the React app needs, so one build can serve any gallery instance
+app.get('/api/config', (req, res) => {
+  res.json(publicConfig(config));
+});
+
+// Prometheus scrape endpoint for kiosk health dashboards
+app.get('/api/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4');
+  res.send(renderMetrics());
+});
+
 // Add a test POST endpoint
 app.post('/api/test', (req, res) => {
-  console.log('POST request received at /api/test:', req.body);
+  logger.info('POST request received at /api/test', { body: req.body });
   res.json({ status: 'POST request received', body: req.body });
 });
 
@@ -82,68 +215,333 @@ app.get('/api/list-images', (req, res) => {
     if (!fs.existsSync(imagesDir)) {
       return res.status(404).json({ error: 'Images directory not found' });
     }
-    
-    // Read files in the directory
-    const files = fs.readdirSync(imagesDir);
-    
-    // Filter to only include image files (exclude manifest, metadata, etc)
-    const imageFiles = files.filter(file => {
-      // Skip hidden files, directories, and known non-image files
-      if (file.startsWith('.') || 
-          file === 'manifest.json' || 
-          file === 'metadata.json') {
-        return false;
-      }
-      
-      // Check if it has an image extension
-      const validExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.tiff', '.svg'];
-      return validExtensions.some(ext => file.toLowerCase().endsWith(ext));
-    });
-    
-    return res.json(imageFiles);
+    return res.json(listImageFiles(imagesDir));
   } catch (error) {
-    console.error('Error listing images directory:', error);
+    logger.error('Error listing images directory', { error });
     return res.status(500).json({ error: 'Failed to list images' });
   }
 });
 
+// The sheet's objects and prompts, cached; `stale` is set when Google could not be reached
+app.get('/api/prompts', async (req, res) => {
+  try {
+    res.json(await promptSheetCache.get());
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Every edited prompt, so clients can overlay them on the sheet in one request
+app.get('/api/objects/prompts', (req, res) => {
+  res.json(promptStore.all());
+});
+
+// The gallery's objects with their images, prompts and settings; `stale` as for /api/prompts
+// Defined, like /api/objects/match-report, before /api/objects/:id so those paths are not taken for IDs
+app.get('/api/objects', async (req, res) => {
+  try {
+    res.json(await objectCatalog.list());
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// How each object was paired with an image, and what was left unpaired
+app.get('/api/objects/match-report', async (req, res) => {
+  try {
+    res.json(await objectCatalog.matchReport());
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// One object by ID
+app.get('/api/objects/:id', async (req, res) => {
+  try {
+    const object = await objectCatalog.get(req.params.id);
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+    res.json(object);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/objects/:id/prompt', (req, res) => {
+  const record = promptStore.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'No edited prompt for this object' });
+  }
+  res.json(record);
+});
+
+app.put('/api/objects/:id/prompt', curatorOnly, async (req, res) => {
+  const { edit, problems } = parsePromptEdit(req.body);
+  if (problems.length) {
+    return res.status(400).json({ error: problems.join('; ') });
+  }
+  try {
+    if (!await objectCatalog.get(req.params.id)) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+    const record = promptStore.set(req.params.id, edit);
+    logger.info('Prompt edited', { objectId: req.params.id, version: record.version, author: edit.author });
+    res.json(record);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Reset an object to the prompt from the sheet; its version history is kept
+app.delete('/api/objects/:id/prompt', curatorOnly, (req, res) => {
+  try {
+    if (!promptStore.reset(req.params.id)) {
+      return res.status(404).json({ error: 'No edited prompt for this object' });
+    }
+    logger.info('Prompt reset', { objectId: req.params.id });
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Version history of an object's prompt, newest first
+app.get('/api/objects/:id/prompt/versions', (req, res) => {
+  res.json(promptStore.history(req.params.id));
+});
+
+app.get('/api/objects/:id/prompt/versions/:version', (req, res) => {
+  const version = promptStore.findVersion(req.params.id, Number(req.params.version));
+  if (!version) {
+    return res.status(404).json({ error: 'Prompt version not found' });
+  }
+  res.json(version);
+});
+
+// Make an earlier version current again by saving a copy of it
+app.post('/api/objects/:id/prompt/versions/:version/restore', curatorOnly, (req, res) => {
+  const { author } = req.body || {};
+  const problems = checkOptionalText({ author });
+  if (problems.length) {
+    return res.status(400).json({ error: problems.join('; ') });
+  }
+  try {
+    const record = promptStore.restore(req.params.id, Number(req.params.version), author ? author.trim() : null);
+    if (!record) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+    logger.info('Prompt version restored', { objectId: req.params.id, restoredFrom: Number(req.params.version), author });
+    res.json(record);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// The pronunciation entries that apply to one object
+app.get('/api/objects/:id/lexicon', async (req, res) => {
+  try {
+    const object = await objectCatalog.get(req.params.id);
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+    res.json(lexiconStore.forObject(object.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// The whole pronunciation lexicon, for curators
+app.get('/api/lexicon', (req, res) => {
+  res.json(lexiconStore.list());
+});
+
+app.post('/api/lexicon', curatorOnly, (req, res) => {
+  const { fields, problems } = parseLexiconEntry(req.body);
+  if (problems.length) {
+    return res.status(400).json({ error: problems.join('; ') });
+  }
+  const entry = lexiconStore.add(fields);
+  logger.info('Lexicon entry added', { id: entry.id, term: entry.term, author: entry.author });
+  res.status(201).json(entry);
+});
+
+app.put('/api/lexicon/:id', curatorOnly, (req, res) => {
+  const { fields, problems } = parseLexiconEntry(req.body);
+  if (problems.length) {
+    return res.status(400).json({ error: problems.join('; ') });
+  }
+  const entry = lexiconStore.update(req.params.id, fields);
+  if (!entry) {
+    return res.status(404).json({ error: 'Lexicon entry not found' });
+  }
+  logger.info('Lexicon entry updated', { id: entry.id, term: entry.term, author: entry.author });
+  res.json(entry);
+});
+
+app.delete('/api/lexicon/:id', curatorOnly, (req, res) => {
+  if (!lexiconStore.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Lexicon entry not found' });
+  }
+  logger.info('Lexicon entry deleted', { id: req.params.id });
+  res.status(204).end();
+});
+
+// Compare edited prompts with the Google Sheet before pushing them
+app.get('/api/sheet/sync', async (req, res) => {
+  try {
+    res.json(await sheetSync.preview());
+  } catch (error) {
+    logger.error('Error reading the Google Sheet', { error });
+    res.status(error.status || 502).json({ error: `Could not read the Google Sheet: ${error.message}` });
+  }
+});
+
+// Push edited prompts to the Google Sheet; conflicts need a resolution in the body
+app.post('/api/sheet/sync', curatorOnly, async (req, res) => {
+  const { request, problems } = parseSyncRequest(req.body);
+  if (problems.length) {
+    return res.status(400).json({ error: problems.join('; ') });
+  }
+  try {
+    const result = await sheetSync.push(request);
+    promptSheetCache.invalidate();
+    res.json(result);
+  } catch (error) {
+    logger.error('Error pushing prompts to the Google Sheet', { error });
+    res.status(error.status || 502).json({ error: `Could not update the Google Sheet: ${error.message}` });
+  }
+});
+
+// Transcript browsing for curators
+app.use('/api/transcripts', (req, res, next) => {
+  if (!transcriptStore) {
+    return res.status(404).json({ error: 'Transcripts are disabled' });
+  }
+  next();
+});
+
+// List conversations, optionally filtered by ?objectId=&from=&to=
+app.get('/api/transcripts', (req, res) => {
+  const { filters, problems } = parseTranscriptFilters(req.query);
+  if (problems.length) {
+    return res.status(400).json({ error: problems.join('; ') });
+  }
+  res.json(transcriptStore.listSessions(filters));
+});
+
+app.get('/api/transcripts/:sessionId', (req, res) => {
+  const transcript = transcriptStore.getSession(req.params.sessionId);
+  if (!transcript) {
+    return res.status(404).json({ error: 'Transcript not found' });
+  }
+  res.json(transcript);
+});
+
+app.delete('/api/transcripts/:sessionId', curatorOnly, (req, res) => {
+  const deleted = transcriptStore.deleteSessions({ sessionId: req.params.sessionId });
+  if (!deleted) {
+    return res.status(404).json({ error: 'Transcript not found' });
+  }
+  res.status(204).end();
+});
+
+// Bulk delete by ?objectId=&from=&to=; at least one filter is required
+app.delete('/api/transcripts', curatorOnly, (req, res) => {
+  const { filters, problems } = parseTranscriptFilters(req.query);
+  if (problems.length) {
+    return res.status(400).json({ error: problems.join('; ') });
+  }
+  if (!Object.keys(filters).length) {
+    return res.status(400).json({ error: 'Specify objectId, from or to to delete transcripts' });
+  }
+  res.json({ deleted: transcriptStore.deleteSessions(filters) });
+});
+
 // Images are handled by the download script during build/start
 // so we don't need a separate endpoint for checking updates
 
-// Server-side proxy for AWS Bedrock/Nova Sonic
-app.post('/api/nova-sonic', (req, res) => {
+// Batch (non-streaming) conversation turn through the configured speech provider
+// Fallback for browsers or networks where websockets are blocked
+app.post('/api/nova-sonic', async (req, res) => {
   try {
-    console.log('Received request to /api/nova-sonic endpoint');
-    const { audioBase64, prompt, conversationHistory } = req.body;
+    const { audioBase64, audioFormat, sampleRate, prompt, conversationHistory, mode, voiceSettings, objectId, language } = req.body;
     
-    if (!audioBase64) {
-      console.log('Missing audioBase64 in request');
+    if (!audioBase64 || typeof audioBase64 !== 'string') {
       return res.status(400).json({ error: 'No audio data provided' });
     }
     
-    console.log('Audio data received, length:', audioBase64.length);
-    console.log('Prompt:', prompt);
-    console.log('Conversation history length:', conversationHistory ? conversationHistory.length : 0);
+    const conversationMode = mode || DEFAULT_CONVERSATION_MODE;
+    if (!CONVERSATION_MODES.includes(conversationMode)) {
+      return res.status(400).json({ error: `Unknown conversation mode: ${conversationMode}` });
+    }
     
-    // Mock response with a simple "beep" sound in base64-encoded WAV format
-    const mockAudioWAV = 'UklGRpQMAABXQVZFZm10IBAAAAABAAEARKwAAESsAAABAAgAZGF0YXAMAAAAEhIsNEteaXqElaOxvcrY5O/8/vz57unf0MS2p5iKem9dTDwpFwT16uDVy8C2rKKZkIh/d29nYFpUTkpHQ0A/PkA/QURITVJYXmRqcXd9g4iOk5icn6KlqKqsrq6vr66tqqijnaGXjIJ4b2VaT0Q5LSEWCv3x5t3Uz8rFwb26uLW0srGwsLCxsrS2uLu9wMPGyczQ09bb3+Lm6ezv8vX3+vv9/v7+/Pv59/Xz8e/t6+rn5uTj4uHh4eLj4+Tl5+jq6+3u8PHz9PX29/j5+vr6+vr5+fj39/b29fX19fT09PT09PX19fb2+Pj5+vv8/f3+/v7+/v38+/r5+Pf29PT08/Py8vHx8fHx8fHx8vLz8/T19fb3+Pn6+/z9/v7+/v38+/r5+Pf29fTz8vHw7+7t7ezs6+vr6+vr6+zs7e3u7/Dx8vP09fb3+Pn6+/z8/f3+/v7+/v7+/v7+/v7+/f39/Pz7+/r6+fj39/b19PTz8/Ly8fHw8O/v7+/u7u7u7u7u7u7v7+/v8PDw8fHx8vPz9PT19fb29/f4+Pn5+vr7+/v8/Pz9/f39/f3+/v7+/v7+/v7+/v7+/v7+/v39/f38/Pz7+/v6+vn5+fj4+Pf39/b29vX19fX09PT09PTz8/Pz8/Pz8/Pz8/T09PT19fX19vb29/f3+Pj4+fn6+vr7+/v8/Pz8/f39/f3+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/f39/f39/f38/Pz8/Pz7+/v7+/v6+vr6+vr6+vr5+fn5+fn5+fn5+fn5+fn5+vr6+vr6+vr7+/v7+/v8/Pz8/Pz8/f39/f39/f39/f3+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/f39/f39/f39/f39/f39/f39/f39/f39/f39/f39/f39/f39/f39/f39/f39/f39/f39/f39/f3+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+/v7+';
+    if (conversationHistory !== undefined && !Array.isArray(conversationHistory)) {
+      return res.status(400).json({ error: 'conversationHistory must be a list of { userMessage, botMessage }' });
+    }
+    
+    const { settings, problems } = parseVoiceSettings(voiceSettings);
+    if (problems.length) {
+      return res.status(400).json({ error: `Invalid voice settings: ${problems.join('; ')}` });
+    }
+    
+    logger.info('Batch turn received', {
+      mode: conversationMode,
+      audioLength: audioBase64.length,
+      historyLength: conversationHistory ? conversationHistory.length : 0
+    });
+    
+    const audioChunks = decodeClip(Buffer.from(audioBase64, 'base64'), { audioFormat, sampleRate });
+    const limitError = usageLimiter.recordClip(pcmDurationSeconds(audioChunks, INPUT_SAMPLE_RATE));
+    if (limitError) {
+      logger.warn('Rejected clip', { code: limitError.code, ip: req.ip });
+      return res.status(429).json({ error: 'Usage limit reached', ...limitError });
+    }
+    const result = await runBatchTurn(speechProviders[conversationMode], {
+      systemPrompt: prompt,
+      history: historyFromClient(conversationHistory),
+      audioChunks,
+      voiceSettings: voiceSettingsForLanguage(settings, parseLanguage(language), conversationMode)
+    });
+    
+    // Batch turns have no session; each one is recorded as its own conversation
+    if (transcriptStore) {
+      const sessionId = crypto.randomUUID();
+      [['USER', result.userText], ['ASSISTANT', result.assistantText]]
+        .filter(([, text]) => text)
+        .forEach(([role, text]) => transcriptStore.append({ sessionId, objectId: parseObjectId(objectId), role, text }));
+    }
     
-    // For simplicity, let's use a simple WAV audio that most browsers support
     return res.json({
       success: true,
-      audioChunks: [mockAudioWAV], 
-      textResponse: `Mock response: I received your audio message and prompt: "${prompt}"`
+      userText: result.userText,
+      textResponse: result.assistantText,
+      audioChunks: result.audioChunks,
+      audioFormat: {
+        mediaType: 'audio/lpcm',
+        sampleRateHertz: OUTPUT_SAMPLE_RATE,
+        sampleSizeBits: 16,
+        channelCount: 1
+      }
     });
     
   } catch (error) {
-    console.error('Error processing Nova Sonic request:', error);
-    return res.status(500).json({ 
+    logger.error('Error processing Nova Sonic request', { error });
+    return res.status(error.status || 500).json({ 
       error: 'Error processing Nova Sonic request',
       message: error.message 
     });
   }
 });
 
+// Object IDs from clients are only used to label transcripts
+function parseObjectId(value) {
+  if ((typeof value !== 'string' && typeof value !== 'number') || String(value).length > 100) {
+    return null;
+  }
+  return String(value);
+}
+
 // Catch-all handler to serve React app
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'build', 'index.html'));
@@ -151,230 +549,189 @@ app.get('*', (req, res) => {
 
 // WebSocket event handlers for Nova Sonic streaming
 io.on('connection', (socket) => {
-  console.log('New client connected:', socket.id);
+  const ip = socketClientAddress(socket.handshake, config.server.trustProxy);
+  const socketLogger = logger.child({ socketId: socket.id });
+  socketLogger.info('Client connected', { ip });
   
-  // Initialize session state
-  activeSessions.set(socket.id, {
-    systemPrompt: "",
-    isStreaming: false,
-    responseStream: null,
-    sessionInitialized: false
+  // Session this socket is attached to, created on promptStart or resumeSession
+  let entry = null;
+  let mode = DEFAULT_CONVERSATION_MODE;
+  let voiceSettings = {};
+  let objectId = null;
+
+  // Lines logged while a session is attached carry its ID for correlation
+  const log = () => (entry ? socketLogger.child({ sessionId: entry.id }) : socketLogger);
+
+  const endSession = () => {
+    if (entry && entry.socket === socket) {
+      sessionManager.close(entry.id);
+    }
+    entry = null;
+  };
+
+  // Returns null, after telling the client why, when a usage limit refuses the session
+  const startSession = (options = {}) => {
+    endSession();
+
+    const limitError = usageLimiter.checkNewSession({
+      total: sessionManager.size,
+      forIp: sessionManager.countForIp(ip)
+    });
+    if (limitError) {
+      log().warn('Refused session', { code: limitError.code, ip });
+      socket.emit('error', limitError);
+      return null;
+    }
+
+    entry = sessionManager.create({ mode, ip, objectId, ...options });
+    entry.session.setVoiceSettings(voiceSettings);
+    sessionManager.attach(entry, socket);
+    return entry;
+  };
+
+  // Audio can arrive before promptStart if the client skipped it; start a session then
+  const currentSession = () => {
+    if (!entry || entry.socket !== socket) {
+      if (!startSession()) return null;
+      socket.emit('sessionStarted', { sessionId: entry.id });
+    }
+    return entry.session;
+  };
+
+  // Handle per-object session configuration (mode, language, voice and inference settings), sent before promptStart
+  socket.on('sessionConfig', (sessionConfig) => {
+    log().info('Received session config', { sessionConfig });
+    if (!sessionConfig || typeof sessionConfig !== 'object' || Array.isArray(sessionConfig)) {
+      socket.emit('error', { code: REQUEST_ERROR_CODES.INVALID_SESSION_CONFIG, message: 'Session config must be an object' });
+      return;
+    }
+
+    const requestedMode = sessionConfig.mode || DEFAULT_CONVERSATION_MODE;
+    if (!CONVERSATION_MODES.includes(requestedMode)) {
+      socket.emit('error', { code: REQUEST_ERROR_CODES.INVALID_SESSION_CONFIG, message: `Unknown conversation mode: ${requestedMode}` });
+      return;
+    }
+    
+    const { settings, problems } = parseVoiceSettings(sessionConfig);
+    if (problems.length) {
+      socket.emit('error', { code: REQUEST_ERROR_CODES.INVALID_SESSION_CONFIG, message: `Invalid voice settings: ${problems.join('; ')}` });
+      return;
+    }
+    mode = requestedMode;
+    voiceSettings = voiceSettingsForLanguage(settings, parseLanguage(sessionConfig.language), mode);
+    objectId = parseObjectId(sessionConfig.objectId);
   });
 
   // Handle system prompt
   socket.on('systemPrompt', (prompt) => {
-    console.log('Received system prompt:', prompt);
-    const session = activeSessions.get(socket.id);
+    log().debug('Received system prompt', { prompt });
+    const session = currentSession();
     if (session) {
-      session.systemPrompt = prompt;
+      session.setSystemPrompt(prompt);
     }
   });
 
-  // Handle session initialization
+  // Handle session initialization: every new conversation gets a durable session ID
   socket.on('promptStart', () => {
-    console.log('Prompt start received from client');
-    const session = activeSessions.get(socket.id);
-    if (session) {
-      session.sessionInitialized = true;
-      
-      // If there's an existing stream, close it
-      if (session.responseStream) {
-        try {
-          session.responseStream.cancelStream();
-          session.responseStream = null;
-        } catch (e) {
-          console.error('Error resetting stream:', e);
-        }
+    if (!startSession()) return;
+    log().info('Started session');
+    socket.emit('sessionStarted', { sessionId: entry.id });
+  });
+
+  // Handle reconnects: reattach to the live session or restore it from the client's transcript
+  socket.on('resumeSession', (request) => {
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      socket.emit('error', { code: REQUEST_ERROR_CODES.INVALID_RESUME_REQUEST, message: 'Resume request must be an object' });
+      return;
+    }
+    const { sessionId, systemPrompt, history } = request;
+    if (!isValidSessionId(sessionId)) {
+      socket.emit('error', { code: REQUEST_ERROR_CODES.INVALID_RESUME_REQUEST, message: 'Invalid session ID' });
+      return;
+    }
+
+    const liveEntry = sessionManager.get(sessionId);
+    if (liveEntry) {
+      socketLogger.info('Reattaching session', { sessionId });
+      // A session this socket already started would otherwise stay open and count against the limits
+      if (entry !== liveEntry) {
+        endSession();
       }
+      entry = liveEntry;
+      mode = liveEntry.mode;
+      sessionManager.attach(entry, socket);
+      socket.emit('sessionResumed', { sessionId, restored: false });
+      return;
+    }
+
+    const { settings, problems } = parseVoiceSettings(request.voiceSettings);
+    if (problems.length) {
+      socket.emit('error', { code: REQUEST_ERROR_CODES.INVALID_RESUME_REQUEST, message: `Invalid voice settings: ${problems.join('; ')}` });
+      return;
+    }
+
+    socketLogger.info('Restoring expired session from client transcript', { sessionId });
+    if (CONVERSATION_MODES.includes(request.mode)) {
+      mode = request.mode;
     }
+    voiceSettings = voiceSettingsForLanguage(settings, parseLanguage(request.language), mode);
+    objectId = parseObjectId(request.objectId);
+    if (!startSession({ id: sessionId })) return;
+    entry.session.setSystemPrompt(typeof systemPrompt === 'string' ? systemPrompt : "");
+    entry.session.setHistory(sanitizeHistory(history));
+    socket.emit('sessionResumed', { sessionId, restored: true });
   });
 
   // Handle audio start
   socket.on('audioStart', () => {
-    console.log('Audio start received');
-    const session = activeSessions.get(socket.id);
+    log().debug('Audio start received');
+    const session = currentSession();
     if (session) {
-      session.isStreaming = true;
+      session.startAudio();
     }
   });
 
   // Handle audio input
-  socket.on('audioInput', async (audioBase64) => {
-    const session = activeSessions.get(socket.id);
-    if (!session || !session.isStreaming) return;
-
-    try {
-      // Stream directly to AWS Nova Sonic
-      if (!session.responseStream) {
-        // Initialize the bidirectional stream with Nova Sonic on first audio chunk
-        try {
-          // Start a bidirectional stream with AWS Bedrock Nova Sonic
-          const systemPrompt = session.systemPrompt || "You are Nova Sonic, an AI assistant that provides information about objects at the Royal BC Museum.";
-          
-          const command = new InvokeModelWithBidirectionalStreamCommand({
-            modelId: 'amazon.nova-sonic-v1:0',
-            contentType: 'application/json',
-            accept: 'application/json'
-          });
-          
-          // Send system prompt
-          const systemMessage = {
-            contentType: 'text/plain',
-            role: 'system',
-            content: systemPrompt
-          };
-          
-          // Create the bidirectional stream
-          session.responseStream = await bedrockRuntime.send(command);
-          
-          // Send system prompt first
-          const systemBytes = new TextEncoder().encode(JSON.stringify(systemMessage));
-          await session.responseStream.send({ inputPayloadPart: { bytes: systemBytes } });
-          
-          // Handle responses from Nova Sonic
-          for await (const chunk of session.responseStream) {
-            if (chunk.output?.payloadPart?.bytes) {
-              const outputPart = JSON.parse(new TextDecoder().decode(chunk.output.payloadPart.bytes));
-              
-              // Handle different output types from Nova Sonic
-              if (outputPart.contentType === 'text/plain' && outputPart.role === 'user') {
-                // User transcription received
-                socket.emit('contentStart', {
-                  type: 'TEXT',
-                  role: 'USER'
-                });
-                
-                socket.emit('textOutput', {
-                  role: 'USER',
-                  content: outputPart.content
-                });
-                
-                socket.emit('contentEnd', {
-                  type: 'TEXT',
-                  role: 'USER',
-                  stopReason: 'END_TURN'
-                });
-              } else if (outputPart.contentType === 'text/plain' && outputPart.role === 'assistant') {
-                // Assistant response text
-                socket.emit('contentStart', {
-                  type: 'TEXT',
-                  role: 'ASSISTANT'
-                });
-                
-                socket.emit('textOutput', {
-                  role: 'ASSISTANT',
-                  content: outputPart.content
-                });
-                
-                socket.emit('contentEnd', {
-                  type: 'TEXT',
-                  role: 'ASSISTANT',
-                  stopReason: 'END_TURN'
-                });
-              } else if (outputPart.contentType === 'audio/basic') {
-                // Audio response
-                socket.emit('audioOutput', {
-                  content: outputPart.content
-                });
-              } else if (outputPart.contentType === 'completion') {
-                // Stream completion
-                socket.emit('streamComplete');
-              }
-            }
-          }
-        } catch (streamError) {
-          console.error('Error creating Nova Sonic stream:', streamError);
-          socket.emit('error', { message: 'Failed to connect to Nova Sonic' });
-          return;
-        }
-      }
-      
-      // Send audio chunk to the stream
-      if (session.responseStream) {
-        const inputPayload = {
-          contentType: 'audio/basic',
-          content: audioBase64
-        };
-        
-        const bytes = new TextEncoder().encode(JSON.stringify(inputPayload));
-        await session.responseStream.send({ inputPayloadPart: { bytes } });
-      }
-    } catch (error) {
-      console.error('Error processing audio input:', error);
-      socket.emit('error', { message: 'Audio processing error' });
+  socket.on('audioInput', (audioBase64) => {
+    if (!entry || entry.socket !== socket || typeof audioBase64 !== 'string') return;
+
+    // End the session once it or the day has used up its audio allowance
+    const limitError = usageLimiter.recordAudio(entry, audioBase64);
+    if (limitError) {
+      log().warn('Ending session at usage limit', { code: limitError.code });
+      socket.emit('error', limitError);
+      endSession();
+      return;
     }
+    metrics.audioBytesIn.inc({ mode: entry.mode }, Buffer.byteLength(audioBase64, 'base64'));
+    entry.session.addAudio(audioBase64);
   });
 
   // Handle stop audio
-  socket.on('stopAudio', async () => {
-    console.log('Stop audio received');
-    const session = activeSessions.get(socket.id);
-    if (!session) return;
-
-    session.isStreaming = false;
-    
-    try {
-      // Send stopGenerating signal to the bidirectional stream
-      if (session.responseStream) {
-        try {
-          // Send a special message to Nova Sonic to stop generating
-          const stopSignal = {
-            contentType: 'control',
-            stopGenerating: true
-          };
-          
-          const bytes = new TextEncoder().encode(JSON.stringify(stopSignal));
-          await session.responseStream.send({ inputPayloadPart: { bytes } });
-          
-          // Note: We don't need to emit stream complete or other events here
-          // as the bidirectional stream's event handlers will take care of that
-        } catch (stopError) {
-          console.error('Error sending stop signal:', stopError);
-        }
-      }
-    } catch (error) {
-      console.error('Error stopping audio:', error);
-      socket.emit('error', { message: 'Error stopping audio processing' });
-    }
-      
-      // Mock content end for assistant
-      socket.emit('contentEnd', {
-        type: 'TEXT',
-        role: 'ASSISTANT',
-        stopReason: 'END_TURN'
-      });
-      
-      // Signal stream completion
-      socket.emit('streamComplete');
-      
-    } catch (error) {
-      console.error('Error processing conversation:', error);
-      socket.emit('error', { message: 'Conversation processing error' });
+  socket.on('stopAudio', () => {
+    log().debug('Stop audio received');
+    if (entry && entry.socket === socket) {
+      sessionManager.markTurnEnded(entry);
+      entry.session.endAudio();
     }
   });
 
   // Handle disconnect
   socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
+    log().info('Client disconnected');
     
-    // Clean up session resources
-    const session = activeSessions.get(socket.id);
-    if (session && session.responseStream) {
-      try {
-        // Close the bidirectional stream
-        session.responseStream.cancelStream();
-      } catch (e) {
-        console.error('Error closing stream:', e);
-      }
+    // Keep the session alive for a while so the client can resume it
+    if (entry) {
+      sessionManager.detach(entry, socket);
     }
-    
-    // Remove the session
-    activeSessions.delete(socket.id);
   });
 });
 
 // Start server
 server.listen(PORT, () => {
-  console.log(`API Server with WebSockets running at http://localhost:${PORT}`);
-  console.log(`Test the API with: curl http://localhost:${PORT}/api/health`);
+  logger.info('API server with WebSockets running', {
+    url: `http://localhost:${PORT}`,
+    speechProviders: Object.fromEntries(Object.entries(speechProviders).map(([mode, provider]) => [mode, provider.name])),
+    defaultConversationMode: DEFAULT_CONVERSATION_MODE
+  });
 });
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * AsyncQueue - Async iterable queue feeding a bidirectional stream
+ *
+ * Producers push items synchronously (e.g. from socket handlers) and a single
+ * consumer pulls them with `for await`. Because the consumer only pulls when it
+ * is ready for the next item, a slow consumer naturally throttles delivery;
+ * `offer()` additionally refuses droppable items once `highWaterMark` items are
+ * waiting so memory stays bounded while the consumer catches up. Producers that
+ * must not drop anything await `whenWritable()` before offering instead.
+ */
+class AsyncQueue {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {number} options.highWaterMark - Maximum queued items accepted by offer()
+   */
+  constructor({ highWaterMark = Infinity } = {}) {
+    this.highWaterMark = highWaterMark;
+    this.items = [];
+    this.waiting = [];
+    this.writers = [];
+    this.closed = false;
+  }
+
+  /**
+   * Number of items waiting to be consumed
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Enqueue an item regardless of the high water mark
+   * @param {*} item - Item to enqueue
+   * @returns {boolean} False if the queue is already closed
+   */
+  push(item) {
+    if (this.closed) return false;
+
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      waiter({ value: item, done: false });
+    } else {
+      this.items.push(item);
+    }
+    return true;
+  }
+
+  /**
+   * Enqueue an item only if the queue is below its high water mark
+   * @param {*} item - Item to enqueue
+   * @returns {boolean} False if the item was dropped
+   */
+  offer(item) {
+    if (this.items.length >= this.highWaterMark) return false;
+    return this.push(item);
+  }
+
+  /**
+   * Wait until offer() would accept an item
+   * @returns {Promise} Resolves once fewer than highWaterMark items are queued,
+   *   or once the queue is closed
+   */
+  whenWritable() {
+    if (this.closed || this.items.length < this.highWaterMark) return Promise.resolve();
+    return new Promise((resolve) => this.writers.push(resolve));
+  }
+
+  /**
+   * Stop accepting items; the consumer finishes after draining what is queued
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    while (this.waiting.length > 0) {
+      this.waiting.shift()({ value: undefined, done: true });
+    }
+    this.releaseWriters();
+  }
+
+  releaseWriters() {
+    while (this.writers.length > 0 && (this.closed || this.items.length < this.highWaterMark)) {
+      this.writers.shift()();
+    }
+  }
+
+  next() {
+    if (this.items.length > 0) {
+      const value = this.items.shift();
+      this.releaseWriters();
+      return Promise.resolve({ value, done: false });
+    }
+    if (this.closed) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  return() {
+    this.close();
+    this.items = [];
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+module.exports = { AsyncQueue };
@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ */
+const { AsyncQueue } = require('./AsyncQueue');
+
+describe('AsyncQueue', () => {
+  test('hands items to a waiting consumer in order and ends once closed and drained', async () => {
+    const queue = new AsyncQueue();
+    const received = [];
+    const consumer = (async () => {
+      for await (const item of queue) received.push(item);
+    })();
+
+    queue.push(1);
+    queue.push(2);
+    await Promise.resolve();
+    queue.push(3);
+    queue.close();
+    await consumer;
+
+    expect(received).toEqual([1, 2, 3]);
+    expect(queue.push(4)).toBe(false);
+  });
+
+  test('offer() drops items at the high water mark while push() never does', () => {
+    const queue = new AsyncQueue({ highWaterMark: 2 });
+    expect(queue.offer('a')).toBe(true);
+    expect(queue.offer('b')).toBe(true);
+    expect(queue.offer('c')).toBe(false);
+    expect(queue.push('setup')).toBe(true);
+    expect(queue.size).toBe(3);
+  });
+
+  test('whenWritable() waits until the consumer makes room', async () => {
+    const queue = new AsyncQueue({ highWaterMark: 2 });
+    queue.offer('a');
+    queue.offer('b');
+
+    let writable = false;
+    queue.whenWritable().then(() => { writable = true; });
+    await Promise.resolve();
+    expect(writable).toBe(false);
+
+    await queue.next();
+    await Promise.resolve();
+    expect(writable).toBe(true);
+    expect(queue.offer('c')).toBe(true);
+  });
+
+  test('whenWritable() resolves when the queue closes, so producers never hang', async () => {
+    const queue = new AsyncQueue({ highWaterMark: 1 });
+    queue.offer('a');
+    const waiting = queue.whenWritable();
+    queue.close();
+    await expect(waiting).resolves.toBeUndefined();
+  });
+
+  test('return() discards queued items', async () => {
+    const queue = new AsyncQueue();
+    queue.push('a');
+    await queue.return();
+    await expect(queue.next()).resolves.toEqual({ value: undefined, done: true });
+  });
+});
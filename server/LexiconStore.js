@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { checkOptionalText } = require('./PromptStore');
+
+const MAX_TERM_LENGTH = 100;
+const MAX_PRONUNCIATION_LENGTH = 500;
+const MAX_LIST_LENGTH = 50;
+
+/**
+ * LexiconStore - Curators' pronunciation guide for names the model gets wrong,
+ * kept in a JSON file
+ *
+ * Each entry maps a term in its correct spelling, such as Lawit'sis, to
+ * phonetic guidance for the model and to the anglicized spellings speech
+ * recognition produces for it, which the chat replaces with the term. Entries
+ * apply to every object unless they list object IDs, which stay the same when
+ * the sheet's rows are reordered.
+ */
+class LexiconStore {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {string} options.filePath - JSON file, created on first write
+   */
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.entries = new Map();
+    this.writing = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (saved.entries || []).forEach(entry => this.entries.set(entry.id, entry));
+      logger.info('Loaded pronunciation lexicon', { file: this.filePath, count: this.entries.size });
+    } catch (error) {
+      logger.error('Could not read the pronunciation lexicon, starting empty', { file: this.filePath, error });
+    }
+  }
+
+  /**
+   * Every entry, sorted by term
+   * @returns {Array} Entries of { id, term, pronunciation, spellings, objects, author, updatedAt }
+   */
+  list() {
+    return [...this.entries.values()]
+      .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base' }));
+  }
+
+  /**
+   * The entries that apply to one object: those for every object and those listing it
+   * @param {string} objectId - Object ID
+   * @returns {Array} Entries as returned by list()
+   */
+  forObject(objectId) {
+    return this.list().filter(entry => !entry.objects.length || entry.objects.includes(objectId));
+  }
+
+  /**
+   * Add an entry
+   * @param {Object} fields - From parseLexiconEntry()
+   * @returns {Object} The saved entry
+   */
+  add(fields) {
+    const entry = { id: crypto.randomUUID(), ...fields, updatedAt: new Date().toISOString() };
+    this.entries.set(entry.id, entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Replace an entry's fields
+   * @param {string} id - Entry ID
+   * @param {Object} fields - From parseLexiconEntry()
+   * @returns {Object|null} The saved entry, or null if there is no such entry
+   */
+  update(id, fields) {
+    if (!this.entries.has(id)) return null;
+    const entry = { id, ...fields, updatedAt: new Date().toISOString() };
+    this.entries.set(id, entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} id - Entry ID
+   * @returns {boolean} Whether there was an entry to delete
+   */
+  remove(id) {
+    if (!this.entries.delete(id)) return false;
+    this.save();
+    return true;
+  }
+
+  save() {
+    const contents = JSON.stringify({ entries: [...this.entries.values()] }, null, 2);
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, contents);
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch(error => logger.error('Error saving the pronunciation lexicon', { file: this.filePath, error }));
+  }
+}
+
+/**
+ * Validate a lexicon entry sent by the client
+ * @param {Object} body - { term, pronunciation, spellings, objects, author }
+ * @returns {Object} { fields, problems } with the accepted fields and any errors
+ */
+function parseLexiconEntry(body = {}) {
+  const problems = [];
+  const { term, pronunciation, spellings = [], objects = [], author } = body;
+
+  if (typeof term !== 'string' || !term.trim() || term.length > MAX_TERM_LENGTH) {
+    problems.push(`term must be non-empty text of at most ${MAX_TERM_LENGTH} characters`);
+  }
+  if (typeof pronunciation !== 'string' || !pronunciation.trim() || pronunciation.length > MAX_PRONUNCIATION_LENGTH) {
+    problems.push(`pronunciation must be non-empty text of at most ${MAX_PRONUNCIATION_LENGTH} characters`);
+  }
+  const isTextList = (list) => Array.isArray(list) && list.length <= MAX_LIST_LENGTH &&
+    list.every(item => typeof item === 'string' && item.length <= MAX_TERM_LENGTH);
+  if (!isTextList(spellings)) {
+    problems.push(`spellings must be a list of at most ${MAX_LIST_LENGTH} short texts`);
+  }
+  if (!isTextList(objects)) {
+    problems.push(`objects must be a list of at most ${MAX_LIST_LENGTH} object IDs`);
+  }
+  problems.push(...checkOptionalText({ author }));
+
+  const cleanList = (list) => (isTextList(list) ? [...new Set(list.map(item => item.trim()).filter(Boolean))] : []);
+  return {
+    fields: {
+      term: typeof term === 'string' ? term.trim() : term,
+      pronunciation: typeof pronunciation === 'string' ? pronunciation.trim() : pronunciation,
+      spellings: cleanList(spellings),
+      objects: cleanList(objects),
+      author: author ? author.trim() : null
+    },
+    problems
+  };
+}
+
+module.exports = { LexiconStore, parseLexiconEntry };
@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const { InvokeModelWithBidirectionalStreamCommand } = require('@aws-sdk/client-bedrock-runtime');
+const { AsyncQueue } = require('./AsyncQueue');
+const events = require('./novaSonicEvents');
+const { logger: rootLogger } = require('./logger');
+const { metrics } = require('./metrics');
+const { config } = require('./config');
+const { inferenceOverrides } = require('./voiceSettings');
+
+// Used when the client starts a conversation without sending a system prompt
+const DEFAULT_SYSTEM_PROMPT = config.assistant.systemPrompt;
+
+// Text Nova Sonic sends in place of the rest of an answer the user spoke over
+const INTERRUPTED_MARKER = /^\s*\{\s*"interrupted"\s*:\s*true\s*\}\s*$/;
+
+// Nova Sonic closes a stream after eight minutes; roll over to a new one a minute before that
+const DEFAULT_MAX_STREAM_MS = 8 * 60 * 1000;
+const DEFAULT_ROLLOVER_MARGIN_MS = 60 * 1000;
+
+// Only the most recent turns are replayed into a new stream
+const MAX_REPLAYED_HISTORY_CHARS = 16000;
+
+// Roughly ten seconds of 512-sample chunks at 16 kHz; beyond that audio is dropped
+const INPUT_HIGH_WATER_MARK = 320;
+
+/**
+ * NovaSonicSession - Conversation state machine for a single client socket
+ *
+ * States:
+ *   idle      - no stream is open
+ *   ready     - a stream is open and waiting for the next user turn
+ *   listening - the user is speaking and audio is being forwarded
+ *   closed    - the socket went away, nothing more will be sent
+ *
+ * A session owns one bidirectional stream at a time. Input events are pushed
+ * onto an AsyncQueue that the SDK pulls from as it sends, while a separate
+ * consumer task reads model output and maps it onto the socket events
+ * NovaSonicChat consumes, so audio keeps flowing while responses stream back.
+ *
+ * Streams have a hard maximum duration. Shortly before it, the session ends the
+ * stream at the next gap between turns; the following turn opens a new stream
+ * with the same system prompt and the conversation so far replayed as history,
+ * so the client never sees the switch.
+ */
+class NovaSonicSession {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {BedrockRuntimeClient} options.client - Bedrock runtime client
+   * @param {string} options.modelId - Model to invoke
+   * @param {Function} options.emit - Called with (eventName, payload) for every client event
+   * @param {number} options.maxStreamMs - Longest a single stream may stay open
+   * @param {number} options.rolloverMarginMs - How long before the limit to roll over
+   * @param {Logger} options.logger - Logger bound to this session
+   */
+  constructor({
+    client,
+    modelId,
+    emit,
+    maxStreamMs = DEFAULT_MAX_STREAM_MS,
+    rolloverMarginMs = DEFAULT_ROLLOVER_MARGIN_MS,
+    logger = rootLogger
+  }) {
+    this.client = client;
+    this.modelId = modelId;
+    this.emit = emit;
+    this.logger = logger;
+    this.rolloverAfterMs = Math.max(0, maxStreamMs - rolloverMarginMs);
+    this.systemPrompt = "";
+    this.state = 'idle';
+    this.history = [];
+    this.voiceSettings = {};
+    this.stream = null;
+    this.droppedAudioChunks = 0;
+  }
+
+  /**
+   * Set the system prompt used when the next stream is opened
+   * @param {string} prompt - System prompt text
+   */
+  setSystemPrompt(prompt) {
+    this.systemPrompt = prompt;
+  }
+
+  /**
+   * Set the voice and inference settings used when the next stream is opened
+   * @param {Object} settings - Parsed { voiceId, temperature, topP, maxTokens }, all optional
+   */
+  setVoiceSettings(settings) {
+    this.voiceSettings = { ...settings };
+  }
+
+  /**
+   * Seed the conversation with earlier turns, e.g. from a client that kept them
+   * @param {Array} history - Turns as { role: 'USER' | 'ASSISTANT', content }
+   */
+  setHistory(history) {
+    this.history = history.map(({ role, content }) => ({ role, content }));
+  }
+
+  /**
+   * Start a fresh conversation, closing any open stream and dropping history
+   */
+  reset() {
+    this.endStream();
+    this.history = [];
+    if (this.state !== 'closed') {
+      this.state = 'idle';
+    }
+  }
+
+  /**
+   * Begin a new user turn, opening a stream first if needed
+   */
+  startAudio() {
+    if (this.state === 'closed') return;
+    if (this.state === 'listening') {
+      this.logger.warn('Audio start received while already listening');
+      return;
+    }
+
+    // Never start a turn on a stream that could hit its limit before the answer is done
+    if (this.stream && Date.now() - this.stream.openedAt >= this.rolloverAfterMs) {
+      this.rollover();
+    }
+
+    const stream = this.stream || this.openStream();
+    stream.audioContentName = crypto.randomUUID();
+    stream.input.push(events.audioContentStart(stream.promptName, stream.audioContentName));
+    this.droppedAudioChunks = 0;
+    this.state = 'listening';
+  }
+
+  /**
+   * Queue a chunk of base64 encoded 16 kHz 16-bit mono PCM
+   * @param {string} audioBase64 - Audio chunk
+   */
+  addAudio(audioBase64) {
+    if (this.state !== 'listening' || !audioBase64) return;
+
+    const { input, promptName, audioContentName } = this.stream;
+    if (!input.offer(events.audioInput(promptName, audioContentName, audioBase64))) {
+      this.droppedAudioChunks++;
+      if (this.droppedAudioChunks === 1) {
+        this.logger.warn('Nova Sonic input queue is full, dropping audio');
+      }
+    }
+  }
+
+  /**
+   * Wait until addAudio() can queue another chunk without dropping it
+   * Live microphone audio is dropped rather than delayed when the model falls
+   * behind; batch clips await this between chunks so none of them are lost.
+   * @returns {Promise}
+   */
+  inputReady() {
+    if (this.state !== 'listening') return Promise.resolve();
+    return this.stream.input.whenWritable();
+  }
+
+  /**
+   * Finish the user turn; the model answers on the open stream
+   */
+  endAudio() {
+    if (this.state !== 'listening') return;
+
+    const { input, promptName, audioContentName } = this.stream;
+    input.push(events.contentEnd(promptName, audioContentName));
+    this.stream.audioContentName = null;
+    this.stream.responding = true;
+    this.state = 'ready';
+
+    if (this.droppedAudioChunks > 0) {
+      this.logger.warn('Dropped audio chunks during this turn', { count: this.droppedAudioChunks });
+    }
+  }
+
+  /**
+   * Close the session and cancel any open stream
+   */
+  close() {
+    this.state = 'closed';
+    if (this.stream) {
+      const { input, abortController, rolloverTimer } = this.stream;
+      this.stream = null;
+      clearTimeout(rolloverTimer);
+      input.close();
+      abortController.abort();
+    }
+  }
+
+  /**
+   * Open a new bidirectional stream, replaying the conversation so far
+   * @returns {Object} The stream state
+   */
+  openStream() {
+    const stream = {
+      promptName: crypto.randomUUID(),
+      audioContentName: null,
+      input: new AsyncQueue({ highWaterMark: INPUT_HIGH_WATER_MARK }),
+      abortController: new AbortController(),
+      contents: new Map(),
+      assistantInterrupted: false,
+      responding: false,
+      ended: false,
+      openedAt: Date.now(),
+      rolloverTimer: null
+    };
+    this.stream = stream;
+    stream.rolloverTimer = setTimeout(() => this.rolloverWhenIdle(stream), this.rolloverAfterMs);
+    metrics.streamsOpened.inc({ provider: 'nova-sonic' });
+
+    const { input, promptName } = stream;
+    input.push(events.sessionStart({ ...events.DEFAULT_INFERENCE_CONFIG, ...inferenceOverrides(this.voiceSettings) }));
+    input.push(events.promptStart(promptName, {
+      ...events.DEFAULT_AUDIO_OUTPUT_CONFIG,
+      // Nova Sonic voice IDs are lower case
+      ...(this.voiceSettings.voiceId && { voiceId: this.voiceSettings.voiceId.toLowerCase() })
+    }));
+
+    const systemPrompt = this.systemPrompt || DEFAULT_SYSTEM_PROMPT;
+    events.textContent(promptName, crypto.randomUUID(), 'SYSTEM', systemPrompt, false)
+      .forEach(event => input.push(event));
+
+    // Replay earlier turns so the model keeps the conversation context
+    for (const turn of this.recentHistory()) {
+      events.textContent(promptName, crypto.randomUUID(), turn.role, turn.content, false)
+        .forEach(event => input.push(event));
+    }
+
+    stream.task = this.consumeOutput(stream);
+    if (this.state === 'idle') {
+      this.state = 'ready';
+    }
+    return stream;
+  }
+
+  /**
+   * The tail of the conversation that fits in the replay budget
+   * @returns {Array} Turns as { role, content }
+   */
+  recentHistory() {
+    let budget = MAX_REPLAYED_HISTORY_CHARS;
+    let start = this.history.length;
+    while (start > 0 && budget - this.history[start - 1].content.length >= 0) {
+      start--;
+      budget -= this.history[start].content.length;
+    }
+    return this.history.slice(start);
+  }
+
+  /**
+   * Roll over once the stream is between turns
+   * @param {Object} stream - Stream whose rollover time has come
+   */
+  rolloverWhenIdle(stream) {
+    if (stream !== this.stream) return;
+
+    if (this.state === 'ready' && !stream.responding) {
+      this.rollover();
+    } else {
+      stream.rolloverPending = true;
+    }
+  }
+
+  /**
+   * End the current stream; the next user turn opens a fresh one seeded with the history
+   */
+  rollover() {
+    if (!this.stream) return;
+
+    const age = Math.round((Date.now() - this.stream.openedAt) / 1000);
+    this.logger.info('Rolling over Nova Sonic stream', { ageSeconds: age });
+    this.endStream();
+    if (this.state === 'ready') {
+      this.state = 'idle';
+    }
+  }
+
+  /**
+   * Gracefully end the current stream with promptEnd and sessionEnd
+   */
+  endStream() {
+    if (!this.stream) return;
+
+    const { input, promptName, audioContentName, rolloverTimer } = this.stream;
+    clearTimeout(rolloverTimer);
+    this.stream.ended = true;
+    if (audioContentName) {
+      input.push(events.contentEnd(promptName, audioContentName));
+    }
+    input.push(events.promptEnd(promptName));
+    input.push(events.sessionEnd());
+    input.close();
+    this.stream = null;
+  }
+
+  /**
+   * Consumer task: send the input queue to the model and process its output
+   * @param {Object} stream - Stream state created by openStream
+   */
+  async consumeOutput(stream) {
+    const body = (async function* encode(source) {
+      for await (const event of source) {
+        yield events.encodeEvent(event);
+      }
+    })(stream.input);
+
+    try {
+      const command = new InvokeModelWithBidirectionalStreamCommand({
+        modelId: this.modelId,
+        body
+      });
+      const response = await this.client.send(command, {
+        abortSignal: stream.abortController.signal
+      });
+
+      for await (const part of response.body) {
+        const errorKey = Object.keys(part).find(key => key !== 'chunk');
+        if (errorKey) {
+          throw new Error(`${errorKey}: ${part[errorKey].message || 'unknown error'}`);
+        }
+
+        const event = events.decodeEvent(part);
+        if (event) {
+          this.handleOutputEvent(stream, event);
+        }
+      }
+    } catch (error) {
+      // Errors from a stream we already ended (e.g. on rollover) don't concern the client
+      if (this.state !== 'closed' && !stream.ended && !stream.abortController.signal.aborted) {
+        this.logger.error('Error in Nova Sonic stream', { error });
+        metrics.streamsFailed.inc({ provider: 'nova-sonic' });
+        this.emit('error', { message: 'Lost connection to Nova Sonic' });
+        this.emit('streamComplete');
+      }
+    } finally {
+      clearTimeout(stream.rolloverTimer);
+      stream.input.close();
+      // The next user turn opens a new stream seeded with the history
+      if (this.stream === stream) {
+        this.stream = null;
+        if (this.state !== 'closed') {
+          this.state = 'idle';
+        }
+      }
+    }
+  }
+
+  /**
+   * Map a model output event onto the client socket events
+   * @param {Object} stream - Stream the event arrived on
+   * @param {Object} event - Decoded output event
+   */
+  handleOutputEvent(stream, event) {
+    if (this.state === 'closed') return;
+
+    if (event.completionStart) {
+      this.logger.debug('Nova Sonic completion started');
+    } else if (event.contentStart) {
+      const { contentId, type, role } = event.contentStart;
+      const stage = events.getGenerationStage(event.contentStart);
+      stream.contents.set(contentId, { type, role, stage });
+
+      if (role === 'USER') {
+        stream.assistantInterrupted = false;
+      }
+
+      if (stage !== 'SPECULATIVE') {
+        this.emit('contentStart', { type, role });
+      }
+    } else if (event.textOutput) {
+      const content = stream.contents.get(event.textOutput.contentId) || {};
+      const role = event.textOutput.role || content.role;
+
+      if (INTERRUPTED_MARKER.test(event.textOutput.content)) {
+        this.emitInterrupted(stream);
+        return;
+      }
+
+      // Speculative text is repeated as FINAL once the audio has been generated
+      if (content.stage === 'SPECULATIVE') return;
+
+      this.history.push({ role, content: event.textOutput.content });
+      this.emit('textOutput', { role, content: event.textOutput.content });
+    } else if (event.audioOutput) {
+      this.emit('audioOutput', { content: event.audioOutput.content });
+    } else if (event.contentEnd) {
+      const content = stream.contents.get(event.contentEnd.contentId) || {};
+      const type = event.contentEnd.type || content.type;
+      const { stopReason } = event.contentEnd;
+      stream.contents.delete(event.contentEnd.contentId);
+
+      if (content.stage !== 'SPECULATIVE') {
+        this.emit('contentEnd', { type, role: content.role, stopReason });
+      }
+
+      if (content.role === 'ASSISTANT' && stopReason === 'INTERRUPTED') {
+        this.emitInterrupted(stream);
+      }
+
+      // The assistant has finished speaking; the client may start the next turn
+      if (content.role === 'ASSISTANT' && type === 'AUDIO' && stopReason === 'END_TURN') {
+        stream.responding = false;
+        this.emit('streamComplete');
+        this.rolloverIfPending(stream);
+      }
+    } else if (event.completionEnd) {
+      this.logger.debug('Nova Sonic completion ended');
+    }
+  }
+
+  /**
+   * Tell the client the user barged in, once per assistant answer
+   * @param {Object} stream - Stream the interruption arrived on
+   */
+  emitInterrupted(stream) {
+    if (stream.assistantInterrupted) return;
+    stream.assistantInterrupted = true;
+    stream.responding = false;
+    this.emit('interrupted', { role: 'ASSISTANT' });
+  }
+
+  /**
+   * Perform a rollover that was deferred because a turn was in progress
+   * @param {Object} stream - Stream that just reached the end of a turn
+   */
+  rolloverIfPending(stream) {
+    if (stream.rolloverPending && stream === this.stream && this.state === 'ready') {
+      this.rollover();
+    }
+  }
+}
+
+module.exports = { NovaSonicSession, DEFAULT_SYSTEM_PROMPT };
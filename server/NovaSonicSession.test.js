@@ -0,0 +1,299 @@
+/**
+ * @jest-environment node
+ */
+const { NovaSonicSession } = require('./NovaSonicSession');
+const { FakeBedrockClient, eventNames } = require('./testing/fakeBedrockClient');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Let the fake client pull everything queued so far and the session read its answers
+const settle = async (client) => {
+  let received = -1;
+  let quietTicks = 0;
+  while (quietTicks < 3) {
+    await tick();
+    const count = client.streams.reduce((total, stream) => total + stream.inputs.length, 0);
+    quietTicks = count === received ? quietTicks + 1 : 0;
+    received = count;
+  }
+};
+
+const quietLogger = () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+
+// Sessions are closed after each test so no rollover timer is left running
+const sessions = [];
+afterEach(() => {
+  sessions.splice(0).forEach(session => session.close());
+});
+
+// A session on a fake client, recording the events it emits for the socket
+const createSession = (options = {}) => {
+  const client = new FakeBedrockClient();
+  const emitted = [];
+  const session = new NovaSonicSession({
+    client,
+    modelId: 'test',
+    emit: (eventName, payload) => emitted.push([eventName, payload]),
+    logger: quietLogger(),
+    ...options
+  });
+  sessions.push(session);
+  const emittedNames = () => emitted.map(([eventName]) => eventName);
+  return { client, session, emitted, emittedNames };
+};
+
+// Model output for one content block
+const content = (stream, { id, type = 'TEXT', role = 'ASSISTANT', stage = null }) => stream.respond({
+  contentStart: {
+    contentId: id,
+    type,
+    role,
+    ...(stage && { additionalModelFields: JSON.stringify({ generationStage: stage }) })
+  }
+});
+const text = (stream, id, value) => stream.respond({ textOutput: { contentId: id, content: value } });
+const end = (stream, id, stopReason = 'END_TURN', type) => stream.respond({ contentEnd: { contentId: id, stopReason, ...(type && { type }) } });
+
+// Start a turn with one chunk of audio and end it
+const speak = async (session) => {
+  session.startAudio();
+  session.addAudio('AAAA');
+  session.endAudio();
+  await settle(session.client);
+};
+
+describe('NovaSonicSession', () => {
+  describe('input', () => {
+    test('opens a stream with the session setup, the system prompt and the user turn', async () => {
+      const { client, session } = createSession();
+      session.setSystemPrompt('You know about masks.');
+      session.setVoiceSettings({ voiceId: 'Tiffany', temperature: 0.2 });
+      await speak(session);
+
+      const [stream] = client.streams;
+      expect(eventNames(stream)).toEqual([
+        'sessionStart', 'promptStart',
+        'contentStart', 'textInput', 'contentEnd',
+        'contentStart', 'audioInput', 'contentEnd'
+      ]);
+      expect(stream.inputs[0].sessionStart.inferenceConfiguration.temperature).toBe(0.2);
+      expect(stream.inputs[1].promptStart.audioOutputConfiguration.voiceId).toBe('tiffany');
+      expect(stream.inputs[2].contentStart.role).toBe('SYSTEM');
+      expect(stream.inputs[3].textInput.content).toBe('You know about masks.');
+      expect(stream.inputs[5].contentStart).toMatchObject({ type: 'AUDIO', role: 'USER' });
+      expect(session.state).toBe('ready');
+    });
+
+    test('drops audio beyond the high water mark instead of queueing without bound', async () => {
+      const { client, session } = createSession();
+      session.startAudio();
+      for (let i = 0; i < 400; i++) {
+        session.addAudio(`chunk${i}`);
+      }
+      session.endAudio();
+      await settle(client);
+
+      const sent = client.streams[0].inputs.filter(event => event.audioInput).length;
+      expect(sent).toBeLessThan(400);
+      expect(session.droppedAudioChunks).toBe(400 - sent);
+      expect(session.logger.warn).toHaveBeenCalledWith('Nova Sonic input queue is full, dropping audio');
+      // The turn still ends, so the model answers what it got
+      expect(eventNames(client.streams[0]).slice(-1)).toEqual(['contentEnd']);
+    });
+
+    test('ignores audio outside a user turn', async () => {
+      const { client, session } = createSession();
+      session.addAudio('AAAA');
+      await speak(session);
+      session.addAudio('BBBB');
+      await settle(client);
+
+      expect(client.streams[0].inputs.filter(event => event.audioInput)).toHaveLength(1);
+    });
+  });
+
+  describe('output', () => {
+    test('maps model output onto the socket events and records the conversation', async () => {
+      const { client, session, emitted } = createSession();
+      await speak(session);
+      const [stream] = client.streams;
+
+      content(stream, { id: 'u', role: 'USER', stage: 'FINAL' });
+      text(stream, 'u', 'Who made this mask?');
+      end(stream, 'u');
+      content(stream, { id: 'a', stage: 'FINAL' });
+      text(stream, 'a', 'A carver from Alert Bay.');
+      end(stream, 'a');
+      content(stream, { id: 'voice', type: 'AUDIO' });
+      stream.respond({ audioOutput: { contentId: 'voice', content: 'UklGRg==' } });
+      end(stream, 'voice', 'END_TURN', 'AUDIO');
+      await settle(client);
+
+      expect(emitted).toEqual([
+        ['contentStart', { type: 'TEXT', role: 'USER' }],
+        ['textOutput', { role: 'USER', content: 'Who made this mask?' }],
+        ['contentEnd', { type: 'TEXT', role: 'USER', stopReason: 'END_TURN' }],
+        ['contentStart', { type: 'TEXT', role: 'ASSISTANT' }],
+        ['textOutput', { role: 'ASSISTANT', content: 'A carver from Alert Bay.' }],
+        ['contentEnd', { type: 'TEXT', role: 'ASSISTANT', stopReason: 'END_TURN' }],
+        ['contentStart', { type: 'AUDIO', role: 'ASSISTANT' }],
+        ['audioOutput', { content: 'UklGRg==' }],
+        ['contentEnd', { type: 'AUDIO', role: 'ASSISTANT', stopReason: 'END_TURN' }],
+        ['streamComplete', undefined]
+      ]);
+      expect(session.history).toEqual([
+        { role: 'USER', content: 'Who made this mask?' },
+        { role: 'ASSISTANT', content: 'A carver from Alert Bay.' }
+      ]);
+    });
+
+    test('leaves out speculative text, which is repeated once final', async () => {
+      const { client, session, emitted } = createSession();
+      await speak(session);
+      const [stream] = client.streams;
+
+      content(stream, { id: 'draft', stage: 'SPECULATIVE' });
+      text(stream, 'draft', 'A carver from');
+      end(stream, 'draft');
+      content(stream, { id: 'final', stage: 'FINAL' });
+      text(stream, 'final', 'A carver from Alert Bay.');
+      end(stream, 'final');
+      await settle(client);
+
+      expect(emitted.filter(([eventName]) => eventName === 'textOutput')).toEqual([
+        ['textOutput', { role: 'ASSISTANT', content: 'A carver from Alert Bay.' }]
+      ]);
+      expect(emitted.filter(([eventName]) => eventName === 'contentStart')).toHaveLength(1);
+      expect(session.history).toEqual([{ role: 'ASSISTANT', content: 'A carver from Alert Bay.' }]);
+    });
+
+    test('reports an INTERRUPTED stop reason as one interruption', async () => {
+      const { client, session, emittedNames } = createSession();
+      await speak(session);
+      const [stream] = client.streams;
+
+      content(stream, { id: 'a', stage: 'FINAL' });
+      content(stream, { id: 'voice', type: 'AUDIO' });
+      end(stream, 'a', 'INTERRUPTED');
+      end(stream, 'voice', 'INTERRUPTED', 'AUDIO');
+      await settle(client);
+
+      expect(emittedNames().filter(name => name === 'interrupted')).toHaveLength(1);
+      expect(emittedNames()).not.toContain('streamComplete');
+      expect(session.stream.responding).toBe(false);
+    });
+
+    test('turns the interrupted marker into an interruption instead of text', async () => {
+      const { client, session, emitted } = createSession();
+      await speak(session);
+      const [stream] = client.streams;
+
+      content(stream, { id: 'a', stage: 'FINAL' });
+      text(stream, 'a', '{ "interrupted" : true }');
+      await settle(client);
+
+      expect(emitted).toContainEqual(['interrupted', { role: 'ASSISTANT' }]);
+      expect(emitted.map(([eventName]) => eventName)).not.toContain('textOutput');
+      expect(session.history).toEqual([]);
+    });
+
+    test('tells the client when the stream fails', async () => {
+      const { client, session, emitted } = createSession();
+      await speak(session);
+      client.streams[0].fail('Model timed out');
+      await settle(client);
+
+      expect(emitted).toEqual([
+        ['error', { message: 'Lost connection to Nova Sonic' }],
+        ['streamComplete', undefined]
+      ]);
+      expect(session.state).toBe('idle');
+      expect(session.stream).toBeNull();
+    });
+  });
+
+  describe('rollover', () => {
+    // Answer the user's turn with one line of text and audio
+    const answer = async (client, stream, reply) => {
+      content(stream, { id: `${reply}-text`, stage: 'FINAL' });
+      text(stream, `${reply}-text`, reply);
+      end(stream, `${reply}-text`);
+      content(stream, { id: `${reply}-voice`, type: 'AUDIO' });
+      end(stream, `${reply}-voice`, 'END_TURN', 'AUDIO');
+      await settle(client);
+    };
+
+    test('ends an idle stream and replays the conversation into the next one', async () => {
+      const { client, session } = createSession();
+      session.setSystemPrompt('You know about masks.');
+      await speak(session);
+      await answer(client, client.streams[0], 'Hello');
+
+      session.rolloverWhenIdle(session.stream);
+      await settle(client);
+      expect(eventNames(client.streams[0]).slice(-2)).toEqual(['promptEnd', 'sessionEnd']);
+      expect(session.state).toBe('idle');
+
+      await speak(session);
+      const replay = client.streams[1].inputs.filter(event => event.textInput).map(event => event.textInput.content);
+      expect(replay).toEqual(['You know about masks.', 'Hello']);
+
+      // The system prompt and history set up the conversation; only the user's audio takes part in it
+      const interactive = client.streams[1].inputs
+        .filter(event => event.contentStart)
+        .map(event => [event.contentStart.type, event.contentStart.interactive]);
+      expect(interactive).toEqual([['TEXT', false], ['TEXT', false], ['AUDIO', true]]);
+    });
+
+    test('waits for the answer in progress before rolling over', async () => {
+      const { client, session, emittedNames } = createSession();
+      await speak(session);
+      const [stream] = client.streams;
+
+      session.rolloverWhenIdle(session.stream);
+      expect(session.stream.rolloverPending).toBe(true);
+      expect(client.streams).toHaveLength(1);
+
+      await answer(client, stream, 'Hello');
+      expect(emittedNames()).toContain('streamComplete');
+      expect(session.stream).toBeNull();
+      expect(eventNames(stream).slice(-2)).toEqual(['promptEnd', 'sessionEnd']);
+    });
+
+    test('rolls over before starting a turn on a stream that is too old', async () => {
+      const { client, session } = createSession({ maxStreamMs: 60000, rolloverMarginMs: 0 });
+      await speak(session);
+      await answer(client, client.streams[0], 'Hello');
+      session.stream.openedAt -= 60000;
+
+      await speak(session);
+      expect(client.streams).toHaveLength(2);
+      expect(eventNames(client.streams[1])).toContain('audioInput');
+    });
+
+    test('ignores a rollover timer for a stream that has already been replaced', async () => {
+      const { client, session } = createSession();
+      await speak(session);
+      const old = session.stream;
+      session.reset();
+      await speak(session);
+
+      session.rolloverWhenIdle(old);
+      expect(session.stream).not.toBeNull();
+      expect(session.stream.rolloverPending).toBeUndefined();
+      expect(client.streams).toHaveLength(2);
+    });
+  });
+
+  test('close() cancels the stream and stops emitting', async () => {
+    const { client, session, emitted } = createSession();
+    await speak(session);
+    const [stream] = client.streams;
+    session.close();
+    text(stream, 'a', 'Too late');
+    await settle(client);
+
+    expect(session.state).toBe('closed');
+    expect(emitted).toEqual([]);
+  });
+});
@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.tiff', '.svg'];
+const IMAGE_NOT_FOUND_URL = '/images/image-not-found.jpg';
+
+// Partial name matches within this score of the best one make the match ambiguous
+const AMBIGUITY_MARGIN = 0.1;
+// Partial name matches scoring below this are listed for review in the match report
+const REVIEW_BELOW = 0.5;
+
+// Why a match needs a curator's attention; the client shows each in the curator's language
+const MATCH_PROBLEMS = {
+  MAPPED_IMAGE_MISSING: 'MAPPED_IMAGE_MISSING' // The image column names no downloaded image
+};
+
+// Descriptive sheet columns, shown on the object's page; see google.sheetColumns in config.js
+const METADATA_FIELDS = ['accessionNumber', 'culture', 'date', 'materials', 'location', 'description'];
+
+// Sheet columns with curators' translations of the prompt, by language code
+const TRANSLATED_PROMPT_FIELDS = { fr: 'promptFr' };
+
+// Conversation settings an edited prompt carries besides its text
+const PROMPT_SETTING_KEYS = ['conversationMode', 'voiceId', 'cascadedVoiceId', 'temperature', 'topP', 'maxTokens'];
+
+// Compare names without case, accents, spaces or punctuation
+const normalizeName = (name) => String(name || '').toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]/g, '');
+
+/**
+ * ObjectCatalog - The gallery's objects: sheet rows matched with downloaded images
+ *
+ * Matching runs once whenever the sheet or the image manifest changes rather
+ * than in every browser, so every kiosk sees the same image for an object. An
+ * image named in the sheet's image column (Drive file ID or file name) wins;
+ * otherwise the image whose name matches the object's best is used.
+ * Curator prompt edits are laid over the matched rows on each request, as they
+ * change independently of the sheet.
+ */
+class ObjectCatalog {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {PromptSheetCache} options.sheetCache - The sheet's rows
+   * @param {PromptStore} options.promptStore - Curator prompt edits
+   * @param {string} options.imagesDir - Directory with the downloaded images and manifest.json
+   */
+  constructor({ sheetCache, promptStore, imagesDir }) {
+    this.sheetCache = sheetCache;
+    this.promptStore = promptStore;
+    this.imagesDir = imagesDir;
+    this.matched = null;
+    this.matchedFor = null;
+  }
+
+  /**
+   * Every object, in sheet order
+   * @returns {Promise<Object>} { objects, fetchedAt, stale, error } with the sheet's staleness
+   * @throws {Error} With status 502 if the sheet has never been read
+   */
+  async list() {
+    const sheet = await this.match();
+    return {
+      objects: this.matched.map(object => this.withPromptEdit(object)),
+      fetchedAt: sheet.fetchedAt,
+      stale: sheet.stale,
+      error: sheet.error
+    };
+  }
+
+  /**
+   * How every object was paired with an image, for curators fixing the sheet or the Drive folder
+   * @returns {Promise<Object>} { fetchedAt, stale, objects, unmatchedObjects, unmatchedImages,
+   *   sharedImages } where objects carry their imageMatch and a needsReview flag
+   */
+  async matchReport() {
+    const sheet = await this.match();
+    const usedBy = new Map();
+    this.matched.forEach(object => {
+      if (!object.imageMatch.imageUrl) return;
+      usedBy.set(object.imageMatch.imageUrl, [...(usedBy.get(object.imageMatch.imageUrl) || []), object]);
+    });
+
+    return {
+      fetchedAt: sheet.fetchedAt,
+      stale: sheet.stale,
+      objects: this.matched.map(({ id, position, name, image, googleId, imageMatch }) => ({
+        id,
+        position,
+        name,
+        image,
+        googleId,
+        imageMatch,
+        needsReview: needsReview(imageMatch)
+      })),
+      unmatchedObjects: this.matched
+        .filter(object => object.imageMatch.method === 'none')
+        .map(({ id, position, name, imageMatch }) => ({ id, position, name, problem: imageMatch.problem })),
+      unmatchedImages: this.images.items.filter(image => !usedBy.has(image.imageUrl)),
+      sharedImages: [...usedBy.entries()]
+        .filter(([, objects]) => objects.length > 1)
+        .map(([imageUrl, objects]) => ({
+          imageUrl,
+          objects: objects.map(({ id, name }) => ({ id, name }))
+        }))
+    };
+  }
+
+  // Rematch sheet rows with images if either has changed since the last time
+  async match() {
+    const sheet = await this.sheetCache.get();
+    const images = this.loadImages();
+
+    const version = `${sheet.fetchedAt}|${images.version}`;
+    if (this.matchedFor !== version) {
+      this.matched = matchObjects(sheet.prompts, images.items);
+      this.matchedFor = version;
+      logger.info('Matched objects with images', {
+        objects: this.matched.length,
+        images: images.items.length,
+        unmatched: this.matched.filter(object => object.imageMatch.method === 'none').length,
+        needsReview: this.matched.filter(object => needsReview(object.imageMatch)).length
+      });
+    }
+    return sheet;
+  }
+
+  /**
+   * One object
+   * @param {string} id - Object ID
+   * @returns {Promise<Object|null>} The object, or null if there is none
+   */
+  async get(id) {
+    const { objects } = await this.list();
+    return objects.find(object => object.id === id) || null;
+  }
+
+  withPromptEdit(object) {
+    const edit = this.promptStore.get(object.id);
+    if (!edit) {
+      return object;
+    }
+
+    const fields = {
+      prompt: edit.prompt,
+      promptEdited: true,
+      promptUpdatedAt: edit.updatedAt,
+      promptVersion: edit.version,
+      promptPinned: edit.pinned
+    };
+    PROMPT_SETTING_KEYS.forEach(key => {
+      fields[key] = edit.settings && edit.settings[key] !== undefined ? edit.settings[key] : null;
+    });
+    return { ...object, ...fields };
+  }
+
+  /**
+   * The downloaded images, from manifest.json or else the directory listing
+   * @returns {Object} { items, version } with items of { googleId, name, imageUrl },
+   *   version changing whenever the images do
+   */
+  loadImages() {
+    const manifestPath = path.join(this.imagesDir, 'manifest.json');
+    try {
+      const { mtimeMs } = fs.statSync(manifestPath);
+      if (this.images && this.images.version === `manifest:${mtimeMs}`) {
+        return this.images;
+      }
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      this.images = {
+        version: `manifest:${mtimeMs}`,
+        // The manifest keeps Drive's names; file names on disk have underscores for spaces
+        items: manifest.map(item => ({
+          googleId: item.id || null,
+          name: item.name ? item.name.replace(/_/g, ' ') : '',
+          imageUrl: item.localPath || IMAGE_NOT_FOUND_URL
+        }))
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read the image manifest, listing the images directory', { error });
+      }
+      const files = listImageFiles(this.imagesDir);
+      this.images = {
+        version: `files:${files.join('|')}`,
+        items: files.map(fileName => ({
+          googleId: null,
+          name: fileName.replace(/\.[^/.]+$/, '').replace(/_/g, ' '),
+          imageUrl: `/images/${fileName}`
+        }))
+      };
+    }
+    return this.images;
+  }
+}
+
+/**
+ * Pair each sheet row with an image
+ * @param {Array} rows - Sheet rows of { id, position, objectName, prompt, columns }
+ * @param {Array} images - Images of { googleId, name, imageUrl }
+ * @returns {Array} Objects with the sheet's prompt and metadata and an imageMatch, see matchImage()
+ */
+function matchObjects(rows, images) {
+  const normalizedImages = images.map(image => ({ image, key: normalizeName(image.name) }));
+
+  return rows.map(row => {
+    const name = row.objectName.trim();
+    const columns = row.columns || {};
+    const imageMatch = matchImage(name, columns.image || null, images, normalizedImages);
+    const image = imageMatch.imageUrl ? images.find(item => item.imageUrl === imageMatch.imageUrl) : null;
+
+    return {
+      // Stable across sheet edits, see assignObjectIds(); the slug is the same value, for links
+      id: row.id,
+      slug: row.id,
+      // Place in the sheet, for listing objects in sheet order
+      position: row.position,
+      name,
+      image: image ? image.imageUrl : IMAGE_NOT_FOUND_URL,
+      googleId: image ? image.googleId : null,
+      imageMatch,
+      // Accession number, culture or community, date, materials, gallery location and public description
+      metadata: Object.fromEntries(METADATA_FIELDS.map(field => [field, columns[field] || null])),
+      prompt: row.prompt,
+      sheetPrompt: row.prompt, // Kept so an edited prompt can be reset
+      // Language code -> prompt, for the languages a curator has translated it into
+      translatedPrompts: Object.fromEntries(Object.entries(TRANSLATED_PROMPT_FIELDS)
+        .filter(([, field]) => columns[field])
+        .map(([language, field]) => [language, columns[field]])),
+      promptEdited: false,
+      promptUpdatedAt: null,
+      promptVersion: null,
+      promptPinned: false,
+      conversationMode: null, // 'speech-to-speech' or 'cascaded', null uses the server default
+      // Voice and generation settings, null uses the server defaults
+      voiceId: null, // Nova Sonic voice, e.g. matthew
+      cascadedVoiceId: null, // Text-to-speech voice in cascaded mode, e.g. Joanna
+      temperature: null,
+      topP: null,
+      maxTokens: null
+    };
+  });
+}
+
+/**
+ * Choose the image for one object
+ * @param {string} name - Object name
+ * @param {string|null} mapping - Drive file ID or file name from the sheet's image column
+ * @param {Array} images - Images of { googleId, name, imageUrl }
+ * @param {Array} normalizedImages - The same images with their normalized names
+ * @returns {Object} { method, imageName, imageUrl, confidence, mapping, problem, alternatives }
+ *   where method is mapped, exact, partial or none, problem is one of
+ *   MATCH_PROBLEMS or null and alternatives are other images that match almost as well
+ */
+function matchImage(name, mapping, images, normalizedImages) {
+  const result = { mapping, problem: null, alternatives: [] };
+
+  if (mapping) {
+    const mapped = findMappedImage(mapping, images);
+    if (mapped) {
+      return { ...result, method: 'mapped', imageName: mapped.name, imageUrl: mapped.imageUrl, confidence: 1 };
+    }
+    result.problem = MATCH_PROBLEMS.MAPPED_IMAGE_MISSING;
+  }
+
+  const candidates = scoreImages(normalizeName(name), normalizedImages);
+  if (!candidates.length) {
+    return { ...result, method: 'none', imageName: null, imageUrl: null, confidence: 0 };
+  }
+
+  const [best, ...others] = candidates;
+  return {
+    ...result,
+    method: best.confidence === 1 ? 'exact' : 'partial',
+    imageName: best.image.name,
+    imageUrl: best.image.imageUrl,
+    confidence: best.confidence,
+    alternatives: others
+      .filter(other => best.confidence - other.confidence <= AMBIGUITY_MARGIN)
+      .map(other => ({ imageName: other.image.name, imageUrl: other.image.imageUrl, confidence: other.confidence }))
+  };
+}
+
+/**
+ * Find the image a sheet cell names
+ * @param {string} mapping - Drive file ID, file name with or without extension, or image name
+ * @param {Array} images - Images of { googleId, name, imageUrl }
+ * @returns {Object|null} The image, or null if none matches
+ */
+function findMappedImage(mapping, images) {
+  const wanted = mapping.toLowerCase();
+  return images.find(image => image.googleId === mapping) ||
+    images.find(image => {
+      const fileName = path.basename(image.imageUrl).toLowerCase();
+      return fileName === wanted || fileName.replace(/\.[^/.]+$/, '') === wanted || image.name.toLowerCase() === wanted;
+    }) ||
+    null;
+}
+
+/**
+ * Score every image name against a normalized object name, best first
+ * Identical names score 1; a name contained in the other scores the ratio of
+ * their lengths, so "totem" scores higher against "totempole" than "t" does.
+ * @returns {Array} Items of { image, confidence } for the images that match at all
+ */
+function scoreImages(key, normalizedImages) {
+  if (!key) return [];
+
+  return normalizedImages
+    .map(({ image, key: imageKey }) => {
+      let confidence = 0;
+      if (imageKey === key) {
+        confidence = 1;
+      } else if (imageKey && (imageKey.includes(key) || key.includes(imageKey))) {
+        confidence = Math.min(key.length, imageKey.length) / Math.max(key.length, imageKey.length);
+      }
+      return { image, confidence: Math.round(confidence * 100) / 100 };
+    })
+    .filter(candidate => candidate.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+// A curator should check matches that were guessed from a short or shared part of the name
+function needsReview(imageMatch) {
+  return imageMatch.method === 'none' || Boolean(imageMatch.problem) ||
+    (imageMatch.method === 'partial' && (imageMatch.confidence < REVIEW_BELOW || imageMatch.alternatives.length > 0));
+}
+
+/**
+ * Image files in a directory, leaving out hidden files and the manifest
+ * @param {string} imagesDir - Directory to list
+ * @returns {Array<string>} File names, empty if the directory does not exist
+ */
+function listImageFiles(imagesDir) {
+  if (!fs.existsSync(imagesDir)) return [];
+  return fs.readdirSync(imagesDir).filter(file => !file.startsWith('.') &&
+    IMAGE_EXTENSIONS.some(ext => file.toLowerCase().endsWith(ext)));
+}
+
+module.exports = { ObjectCatalog, matchObjects, listImageFiles, normalizeName, METADATA_FIELDS, MATCH_PROBLEMS };
@@ -0,0 +1,147 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ObjectCatalog, matchObjects, MATCH_PROBLEMS } = require('./ObjectCatalog');
+const { assignObjectIds } = require('./PromptSheet');
+
+const image = (name, googleId = null) => ({ googleId, name, imageUrl: `/images/${name.replace(/ /g, '_')}.jpg` });
+const row = (objectName, columns = {}) => ({ objectName, prompt: `About the ${objectName}`, columns });
+
+// Match sheet rows the way the catalog does, IDs included
+const match = (rows, images) => matchObjects(assignObjectIds(rows), images);
+
+describe('matchObjects', () => {
+  const images = [
+    image('Transformation Mask', 'drive-mask'),
+    image('Cedar Bark Basket'),
+    image('Totem Pole'),
+    image('Totem Pole Model')
+  ];
+
+  test('uses the image the sheet names by Drive ID or file name', () => {
+    const [byId, byFileName] = match([
+      row('Mask', { image: 'drive-mask' }),
+      row('Basket', { image: 'Cedar_Bark_Basket.jpg' })
+    ], images);
+
+    expect(byId.imageMatch).toMatchObject({ method: 'mapped', imageName: 'Transformation Mask', confidence: 1, problem: null });
+    expect(byId).toMatchObject({ image: '/images/Transformation_Mask.jpg', googleId: 'drive-mask' });
+    expect(byFileName.imageMatch).toMatchObject({ method: 'mapped', imageName: 'Cedar Bark Basket' });
+  });
+
+  test('matches names exactly regardless of case, accents and punctuation', () => {
+    const [object] = match([row('cedar-bark  BASKET')], images);
+    expect(object.imageMatch).toMatchObject({ method: 'exact', imageName: 'Cedar Bark Basket', confidence: 1, alternatives: [] });
+  });
+
+  test('falls back to the best partial match and lists near misses as alternatives', () => {
+    const [object] = match([row('Totem')], images);
+    expect(object.imageMatch).toMatchObject({ method: 'partial', imageName: 'Totem Pole', confidence: 0.56 });
+    expect(object.imageMatch.alternatives).toEqual([]);
+
+    const [ambiguous] = match([row('Eagle Mask')], [image('Eagle Mask 1'), image('Eagle Mask 2')]);
+    expect(ambiguous.imageMatch).toMatchObject({ method: 'partial', imageName: 'Eagle Mask 1', confidence: 0.9 });
+    expect(ambiguous.imageMatch.alternatives).toEqual([
+      { imageName: 'Eagle Mask 2', imageUrl: '/images/Eagle_Mask_2.jpg', confidence: 0.9 }
+    ]);
+  });
+
+  test('shows the placeholder image when nothing matches', () => {
+    const [object] = match([row('Copper Shield')], images);
+    expect(object.imageMatch).toMatchObject({ method: 'none', imageName: null, imageUrl: null, confidence: 0 });
+    expect(object).toMatchObject({ image: '/images/image-not-found.jpg', googleId: null });
+  });
+
+  test('reports a mapped image that is missing and matches by name instead', () => {
+    const [object] = match([row('Totem Pole', { image: 'deleted-drive-file' })], images);
+    expect(object.imageMatch).toMatchObject({
+      method: 'exact',
+      imageName: 'Totem Pole',
+      mapping: 'deleted-drive-file',
+      problem: MATCH_PROBLEMS.MAPPED_IMAGE_MISSING
+    });
+  });
+
+  test('gives objects with the same name their own IDs, each usable as the slug', () => {
+    const objects = match([row('Mask'), row('Mask')], images);
+    expect(objects.map(({ id, slug, position }) => ({ id, slug, position }))).toEqual([
+      { id: 'mask', slug: 'mask', position: 1 },
+      { id: 'mask-2', slug: 'mask-2', position: 2 }
+    ]);
+  });
+
+  test('keeps the ID of a row renamed in the sheet when it has an ID column, and rematches its image', () => {
+    const [before] = match([row('Basket', { id: 'basket' })], images);
+    const [after] = match([row('Cedar Bark Basket', { id: 'basket' })], images);
+    expect(after.id).toBe(before.id);
+    expect(before.imageMatch.method).toBe('partial');
+    expect(after).toMatchObject({ name: 'Cedar Bark Basket', imageMatch: { method: 'exact' } });
+  });
+});
+
+describe('ObjectCatalog', () => {
+  let imagesDir;
+  beforeEach(() => {
+    imagesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'object-catalog-test-'));
+  });
+  afterEach(() => {
+    fs.rmSync(imagesDir, { recursive: true, force: true });
+  });
+
+  const catalog = (rows, edits = {}) => new ObjectCatalog({
+    sheetCache: { get: async () => ({ prompts: assignObjectIds(rows), fetchedAt: 1, stale: false, error: null }) },
+    promptStore: { get: (id) => edits[id] || null },
+    imagesDir
+  });
+
+  test('reads images from the manifest, with spaces for underscores in their names', async () => {
+    fs.writeFileSync(path.join(imagesDir, 'manifest.json'), JSON.stringify([
+      { id: 'drive-mask', name: 'Transformation_Mask.jpg', localPath: '/images/Transformation_Mask.jpg' }
+    ]));
+
+    const { objects } = await catalog([row('Transformation Mask.jpg')]).list();
+    expect(objects[0]).toMatchObject({ googleId: 'drive-mask', imageMatch: { method: 'exact' } });
+  });
+
+  test('lists the images directory when there is no manifest', async () => {
+    fs.writeFileSync(path.join(imagesDir, 'Cedar_Bark_Basket.png'), '');
+    fs.writeFileSync(path.join(imagesDir, '.DS_Store'), '');
+
+    const { objects } = await catalog([row('Cedar Bark Basket')]).list();
+    expect(objects[0]).toMatchObject({ image: '/images/Cedar_Bark_Basket.png', imageMatch: { method: 'exact' } });
+  });
+
+  test('lays curator edits over the sheet prompt', async () => {
+    const objects = catalog([row('Mask')], {
+      mask: { prompt: 'Edited', updatedAt: 5, version: 2, pinned: true, settings: { voiceId: 'matthew' } }
+    });
+
+    await expect(objects.get('mask')).resolves.toMatchObject({
+      prompt: 'Edited',
+      sheetPrompt: 'About the Mask',
+      promptEdited: true,
+      promptVersion: 2,
+      promptPinned: true,
+      voiceId: 'matthew',
+      temperature: null
+    });
+    await expect(objects.get('basket')).resolves.toBeNull();
+  });
+
+  test('reports objects without an image, images no object uses and images shared by several', async () => {
+    fs.writeFileSync(path.join(imagesDir, 'Totem_Pole.jpg'), '');
+    fs.writeFileSync(path.join(imagesDir, 'Spare.jpg'), '');
+
+    const report = await catalog([row('Totem'), row('Totem Pole'), row('Copper Shield')]).matchReport();
+    expect(report.unmatchedObjects).toEqual([{ id: 'copper-shield', position: 3, name: 'Copper Shield', problem: null }]);
+    expect(report.unmatchedImages.map(item => item.name)).toEqual(['Spare']);
+    expect(report.sharedImages).toEqual([{
+      imageUrl: '/images/Totem_Pole.jpg',
+      objects: [{ id: 'totem', name: 'Totem' }, { id: 'totem-pole', name: 'Totem Pole' }]
+    }]);
+    expect(report.objects.map(object => object.needsReview)).toEqual([false, false, true]);
+  });
+});
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { google } = require('googleapis');
+
+// Names are in column A and prompts in column B; other columns are configured
+const PROMPT_COLUMN = 'B';
+// Rows above this are headings
+const FIRST_DATA_ROW = 4;
+const LAST_ROW = 100;
+const MIN_LAST_COLUMN = 'D';
+
+// Zero-based index of a column letter: A -> 0, AA -> 26
+const columnIndex = (column) => [...column].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// A URL-safe ID from an object name that stays the same when sheet rows move
+const slugify = (name) => String(name || '').toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * PromptSheet - The curators' Google Sheet of object names and prompts
+ *
+ * Object IDs come from the sheet's optional ID column, or else from the
+ * object's name (see assignObjectIds), so edits, pins and transcripts keyed by
+ * them stay with their object when rows are inserted, deleted or reordered.
+ * Reading works with an API key or a service account; writing needs a service
+ * account that the sheet is shared with.
+ */
+class PromptSheet {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {string} options.sheetId - Google Sheet ID
+   * @param {string} options.apiKey - API key for reading, if there is no service account
+   * @param {string} options.serviceAccountFile - Service account key file for reading and writing
+   * @param {Object} options.columns - Optional field -> column letter, e.g. { image: 'C' }
+   */
+  constructor({ sheetId, apiKey = null, serviceAccountFile = null, columns = {} }) {
+    this.sheetId = sheetId;
+    this.columns = columns;
+    this.apiKey = apiKey;
+    this.serviceAccountFile = serviceAccountFile;
+    this.client = null;
+  }
+
+  get canWrite() {
+    return Boolean(this.serviceAccountFile);
+  }
+
+  sheets() {
+    if (!this.client) {
+      const auth = this.serviceAccountFile
+        ? new google.auth.GoogleAuth({
+          keyFile: this.serviceAccountFile,
+          scopes: ['https://www.googleapis.com/auth/spreadsheets']
+        })
+        : this.apiKey;
+      this.client = google.sheets({ version: 'v4', auth });
+    }
+    return this.client;
+  }
+
+  /**
+   * Read the object rows
+   * @returns {Promise<Array>} Items of { id, position, rowNumber, objectName, prompt, columns }
+   */
+  async readRows() {
+    const lastColumn = Object.values(this.columns)
+      .reduce((last, column) => (columnIndex(column) > columnIndex(last) ? column : last), MIN_LAST_COLUMN);
+    const response = await this.sheets().spreadsheets.values.get({
+      spreadsheetId: this.sheetId,
+      range: `A1:${lastColumn}${LAST_ROW}`
+    });
+    return parsePromptRows(response.data.values || [], this.columns);
+  }
+
+  /**
+   * Overwrite prompts in the sheet
+   * @param {Array} updates - Items of { rowNumber, prompt }
+   * @returns {Promise<number>} Number of cells updated
+   */
+  async writePrompts(updates) {
+    if (!this.canWrite) {
+      const error = new Error('Writing to the Google Sheet needs a service account (GOOGLE_SERVICE_ACCOUNT_FILE)');
+      error.status = 503;
+      throw error;
+    }
+    if (!updates.length) return 0;
+
+    const response = await this.sheets().spreadsheets.values.batchUpdate({
+      spreadsheetId: this.sheetId,
+      requestBody: {
+        valueInputOption: 'RAW',
+        data: updates.map(({ rowNumber, prompt }) => ({
+          range: `${PROMPT_COLUMN}${rowNumber}`,
+          values: [[prompt]]
+        }))
+      }
+    });
+    return response.data.totalUpdatedCells || 0;
+  }
+}
+
+/**
+ * Turn the sheet's cell values into object rows, skipping headings and rows
+ * without both a name and a prompt
+ * @param {Array<Array<string>>} values - Cell values from the top left of the sheet
+ * @param {Object} columns - Optional field -> column letter
+ * @returns {Array} Items of { id, position, rowNumber, objectName, prompt, columns } where
+ *   columns holds the optional fields that are filled in, see assignObjectIds()
+ */
+function parsePromptRows(values, columns = {}) {
+  return assignObjectIds(values
+    .map((row, index) => ({ row, rowNumber: index + 1 }))
+    .filter(({ row, rowNumber }) => rowNumber >= FIRST_DATA_ROW && row && row.length >= 2 && row[0] && row[1])
+    .map(({ row, rowNumber }) => ({
+      rowNumber,
+      objectName: row[0],
+      prompt: row[1],
+      columns: Object.fromEntries(Object.entries(columns)
+        .map(([field, column]) => [field, String(row[columnIndex(column)] || '').trim()])
+        .filter(([, value]) => value))
+    })));
+}
+
+/**
+ * Give object rows their stable IDs
+ * The ID is the slug of the row's ID column if the sheet has one, otherwise of
+ * the object's name; names without Latin letters get one from a hash of the
+ * name. Later rows with a taken ID get -2, -3 and so on. `position` is the
+ * row's place among the object rows, which older releases used as the ID.
+ * @param {Array} rows - Items of { objectName, columns }
+ * @returns {Array} The rows with `id` and `position` set
+ */
+function assignObjectIds(rows) {
+  const taken = new Set();
+  return rows.map((row, index) => {
+    const name = String(row.objectName || '').trim();
+    const base = slugify(row.columns && row.columns.id) || slugify(name) ||
+      `object-${crypto.createHash('sha1').update(name).digest('hex').slice(0, 8)}`;
+    let id = base;
+    for (let suffix = 2; taken.has(id); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    taken.add(id);
+    return { ...row, id, position: index + 1 };
+  });
+}
+
+module.exports = { PromptSheet, parsePromptRows, assignObjectIds, slugify };
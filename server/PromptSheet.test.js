@@ -0,0 +1,56 @@
+/**
+ * @jest-environment node
+ */
+const { parsePromptRows, assignObjectIds, slugify } = require('./PromptSheet');
+
+describe('slugify', () => {
+  test('keeps lowercase letters and digits, joined by hyphens', () => {
+    expect(slugify("  Lawit'sis Mask (1920) ")).toBe('lawit-sis-mask-1920');
+    expect(slugify('Écorce de cèdre')).toBe('ecorce-de-cedre');
+    expect(slugify(null)).toBe('');
+  });
+});
+
+describe('parsePromptRows', () => {
+  test('skips the header rows and rows without a name or prompt', () => {
+    const values = [
+      ['Title'],
+      [],
+      ['Object', 'Prompt'],
+      ['Medals', 'A medal', 'medals.jpg'],
+      ['No prompt'],
+      ['Mask', 'A mask']
+    ];
+    expect(parsePromptRows(values, { image: 'C' })).toEqual([
+      { rowNumber: 4, objectName: 'Medals', prompt: 'A medal', columns: { image: 'medals.jpg' }, id: 'medals', position: 1 },
+      { rowNumber: 6, objectName: 'Mask', prompt: 'A mask', columns: {}, id: 'mask', position: 2 }
+    ]);
+  });
+});
+
+describe('assignObjectIds', () => {
+  const row = (objectName, columns = {}) => ({ objectName, columns });
+
+  test('keeps an object\'s ID when rows are inserted or reordered', () => {
+    const before = assignObjectIds([row('Medals'), row('Mask')]);
+    const after = assignObjectIds([row('Basket'), row('Mask'), row('Medals')]);
+    expect(before.map(item => item.id)).toEqual(['medals', 'mask']);
+    expect(after.map(item => item.id)).toEqual(['basket', 'mask', 'medals']);
+    expect(after.map(item => item.position)).toEqual([1, 2, 3]);
+  });
+
+  test('prefers the ID column over the name', () => {
+    expect(assignObjectIds([row('Renamed mask', { id: 'Mask 7' })])[0].id).toBe('mask-7');
+  });
+
+  test('numbers repeated names', () => {
+    expect(assignObjectIds([row('Mask'), row('mask'), row('Mask')]).map(item => item.id))
+      .toEqual(['mask', 'mask-2', 'mask-3']);
+  });
+
+  test('hashes names without Latin letters or digits', () => {
+    const [first, second] = assignObjectIds([row('ᐊᕐᓇᖅ'), row('ᐊᕐᓇᖅ')]);
+    expect(first.id).toMatch(/^object-[0-9a-f]{8}$/);
+    expect(second.id).toBe(`${first.id}-2`);
+  });
+});
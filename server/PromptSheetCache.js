@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { assignObjectIds } = require('./PromptSheet');
+
+// After a failed fetch, wait this long before asking Google again
+const RETRY_AFTER_FAILURE_MS = 30 * 1000;
+
+/**
+ * PromptSheetCache - The sheet's object rows, cached so the browser never calls Google
+ *
+ * Rows are refetched once they are older than the TTL. Every successful fetch
+ * is also written to a snapshot file, so after a restart, or while Google is
+ * unreachable, the last good rows are served and marked stale instead of the
+ * gallery going empty.
+ */
+class PromptSheetCache {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {PromptSheet} options.sheet - Google Sheet access
+   * @param {number} options.ttlMs - How long fetched rows are served without refetching
+   * @param {string} options.snapshotFile - JSON file holding the last good rows
+   */
+  constructor({ sheet, ttlMs, snapshotFile }) {
+    this.sheet = sheet;
+    this.ttlMs = ttlMs;
+    this.snapshotFile = snapshotFile;
+    this.rows = null;
+    this.fetchedAt = null;
+    // When this run last tried to fetch, and why that failed
+    this.checkedAt = null;
+    this.lastError = null;
+    this.refreshing = null;
+    this.writing = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.snapshotFile)) return;
+
+    try {
+      const { rows, fetchedAt } = JSON.parse(fs.readFileSync(this.snapshotFile, 'utf8'));
+      // Snapshots from older releases have row positions as IDs
+      this.rows = assignObjectIds(rows);
+      this.fetchedAt = fetchedAt;
+      logger.info('Loaded sheet snapshot', { file: this.snapshotFile, rows: rows.length, fetchedAt });
+    } catch (error) {
+      logger.error('Could not read sheet snapshot', { file: this.snapshotFile, error });
+    }
+  }
+
+  isFresh() {
+    if (!this.checkedAt) return false;
+    return Date.now() - this.checkedAt < (this.lastError ? RETRY_AFTER_FAILURE_MS : this.ttlMs);
+  }
+
+  /**
+   * The sheet's rows, refetched if the cache has expired
+   * @returns {Promise<Object>} { prompts, fetchedAt, stale, error } where prompts are rows of
+   *   { id, position, objectName, prompt, columns }, stale means the rows could not be
+   *   refreshed and error says why
+   * @throws {Error} With status 502 if the sheet cannot be read and nothing is cached
+   */
+  async get() {
+    if (!this.isFresh()) {
+      // Concurrent requests share one fetch
+      this.refreshing = this.refreshing || this.refresh().finally(() => {
+        this.refreshing = null;
+      });
+      await this.refreshing;
+    }
+
+    if (!this.rows) {
+      const error = new Error(`Could not read the Google Sheet: ${this.lastError}`);
+      error.status = 502;
+      throw error;
+    }
+    return {
+      prompts: this.rows.map(({ id, position, objectName, prompt, columns = {} }) => ({ id, position, objectName, prompt, columns })),
+      fetchedAt: this.fetchedAt,
+      stale: Boolean(this.lastError),
+      error: this.lastError
+    };
+  }
+
+  async refresh() {
+    try {
+      const rows = await this.sheet.readRows();
+      if (!rows.length) {
+        throw new Error('The sheet has no object rows');
+      }
+      this.rows = rows;
+      this.fetchedAt = new Date().toISOString();
+      this.lastError = null;
+      this.saveSnapshot();
+    } catch (error) {
+      this.lastError = error.message;
+      logger.warn('Could not refresh the Google Sheet, serving the last good rows', {
+        error,
+        cachedRows: this.rows ? this.rows.length : 0,
+        fetchedAt: this.fetchedAt
+      });
+    }
+    this.checkedAt = Date.now();
+  }
+
+  // Refetch on the next request, e.g. after writing to the sheet
+  invalidate() {
+    this.checkedAt = null;
+  }
+
+  saveSnapshot() {
+    const contents = JSON.stringify({ fetchedAt: this.fetchedAt, rows: this.rows }, null, 2);
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.snapshotFile), { recursive: true });
+        const tempPath = `${this.snapshotFile}.tmp`;
+        await fs.promises.writeFile(tempPath, contents);
+        await fs.promises.rename(tempPath, this.snapshotFile);
+      })
+      .catch(error => logger.error('Error saving sheet snapshot', { file: this.snapshotFile, error }));
+  }
+}
+
+module.exports = { PromptSheetCache };
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { parseVoiceSettings } = require('./voiceSettings');
+const { CONVERSATION_MODES } = require('./providers');
+
+const MAX_PROMPT_LENGTH = 10000;
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * PromptStore - Curator edits to object prompts, kept in a JSON file
+ *
+ * An edit overrides the prompt (and conversation settings) from the Google
+ * Sheet for one object until it is reset. Every save adds a numbered version
+ * with its author and comment; restoring an old version saves a copy of it as
+ * the newest one, so history is never rewritten. A deployment can pin objects
+ * to specific versions, which are then served regardless of later edits and
+ * cannot be changed through the API.
+ *
+ * Objects are keyed by their stable object ID and remember the object name
+ * and the sheet's prompt the edit started from, which is how pushing edits
+ * back to the sheet notices rows a curator changed in the meantime.
+ */
+class PromptStore {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {string} options.filePath - JSON file, created on first write
+   * @param {Object} options.pins - Object ID -> version number this deployment must serve
+   */
+  constructor({ filePath, pins = {} }) {
+    this.filePath = filePath;
+    this.pins = pins;
+    this.prompts = new Map();
+    this.writing = Promise.resolve();
+    this.load();
+
+    Object.entries(this.pins).forEach(([objectId, version]) => {
+      if (!this.findVersion(objectId, version)) {
+        logger.warn('Pinned prompt version does not exist', { objectId, version });
+      }
+    });
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(saved).forEach(([objectId, entry]) => {
+        this.prompts.set(objectId, entry.versions ? entry : upgradeEntry(entry));
+      });
+      logger.info('Loaded edited prompts', { file: this.filePath, count: this.prompts.size });
+    } catch (error) {
+      logger.error('Could not read edited prompts, starting empty', { file: this.filePath, error });
+    }
+  }
+
+  /**
+   * Every prompt that currently overrides the sheet
+   * @returns {Array} Records as returned by get()
+   */
+  all() {
+    return [...this.prompts.keys()].map(objectId => this.get(objectId)).filter(Boolean);
+  }
+
+  /**
+   * The prompt that overrides the sheet for one object
+   * @param {string} objectId - Object ID
+   * @returns {Object|null} { objectId, objectName, prompt, settings, updatedAt, version,
+   *   author, comment, pinned }, or null if the sheet's prompt applies
+   */
+  get(objectId) {
+    const entry = this.prompts.get(objectId);
+    const pinned = this.findVersion(objectId, this.pinnedVersion(objectId));
+    const active = pinned || (entry && this.findVersion(objectId, entry.activeVersion));
+    if (!active) return null;
+
+    return {
+      objectId,
+      objectName: entry.objectName,
+      prompt: active.prompt,
+      settings: active.settings,
+      updatedAt: active.createdAt,
+      version: active.version,
+      author: active.author,
+      comment: active.comment,
+      pinned: Boolean(pinned)
+    };
+  }
+
+  /**
+   * The version history of one object, newest first
+   * @param {string} objectId - Object ID
+   * @returns {Object} { objectId, objectName, activeVersion, pinnedVersion, versions }
+   */
+  history(objectId) {
+    const entry = this.prompts.get(objectId);
+    return {
+      objectId,
+      objectName: entry ? entry.objectName : null,
+      activeVersion: entry ? entry.activeVersion : null,
+      pinnedVersion: this.pinnedVersion(objectId),
+      versions: entry ? [...entry.versions].reverse() : []
+    };
+  }
+
+  findVersion(objectId, version) {
+    const entry = this.prompts.get(objectId);
+    if (!entry || !version) return null;
+    return entry.versions.find(item => item.version === version) || null;
+  }
+
+  /**
+   * Save an edited prompt as a new version
+   * @param {string} objectId - Object ID
+   * @param {Object} edit
+   * @param {string} edit.objectName - Object name, to detect reordered sheet rows
+   * @param {string} edit.prompt - Prompt text
+   * @param {Object} edit.settings - Conversation mode and voice settings
+   * @param {string} edit.author - Who made the edit
+   * @param {string} edit.comment - Why, optional
+   * @param {string} edit.sheetPrompt - The sheet's prompt when editing started, kept from the first edit
+   * @returns {Object} The record now served, as returned by get()
+   * @throws {Error} With status 409 if a deployment pins this object
+   */
+  set(objectId, { objectName = null, prompt, settings = {}, author = null, comment = null, sheetPrompt = null, restoredFrom }) {
+    this.assertNotPinned(objectId);
+
+    const entry = this.prompts.get(objectId) || { objectName, activeVersion: null, sheetPrompt: null, versions: [] };
+    const version = {
+      version: entry.versions.length ? entry.versions[entry.versions.length - 1].version + 1 : 1,
+      prompt,
+      settings,
+      author,
+      comment,
+      createdAt: new Date().toISOString()
+    };
+    if (restoredFrom) {
+      version.restoredFrom = restoredFrom;
+    }
+
+    entry.versions.push(version);
+    entry.activeVersion = version.version;
+    entry.objectName = objectName || entry.objectName;
+    if (entry.sheetPrompt === null || entry.sheetPrompt === undefined) {
+      entry.sheetPrompt = sheetPrompt;
+    }
+    this.prompts.set(objectId, entry);
+    this.save();
+    return this.get(objectId);
+  }
+
+  /**
+   * Make an earlier version current again by saving a copy of it
+   * @param {string} objectId - Object ID
+   * @param {number} versionNumber - Version to restore
+   * @param {string} author - Who restored it
+   * @returns {Object|null} The record now served, or null if there is no such version
+   * @throws {Error} With status 409 if a deployment pins this object
+   */
+  restore(objectId, versionNumber, author = null) {
+    const version = this.findVersion(objectId, versionNumber);
+    if (!version) return null;
+
+    return this.set(objectId, {
+      prompt: version.prompt,
+      settings: version.settings,
+      author,
+      comment: `Restored version ${versionNumber}`,
+      restoredFrom: versionNumber
+    });
+  }
+
+  /**
+   * Stop overriding the sheet for one object; its history is kept
+   * @param {string} objectId - Object ID
+   * @returns {boolean} Whether there was an edit to drop
+   * @throws {Error} With status 409 if a deployment pins this object
+   */
+  reset(objectId) {
+    this.assertNotPinned(objectId);
+
+    const entry = this.prompts.get(objectId);
+    if (!entry || !entry.activeVersion) return false;
+    entry.activeVersion = null;
+    entry.sheetPrompt = null;
+    this.save();
+    return true;
+  }
+
+  /**
+   * The sheet's prompt the current edit was based on
+   * @param {string} objectId - Object ID
+   * @returns {string|null} Prompt text, or null if unknown
+   */
+  sheetBase(objectId) {
+    const entry = this.prompts.get(objectId);
+    return entry && entry.sheetPrompt !== undefined ? entry.sheetPrompt : null;
+  }
+
+  /**
+   * Record that the sheet now holds this prompt for the object
+   * @param {string} objectId - Object ID
+   * @param {string} sheetPrompt - Prompt text now in the sheet
+   */
+  markSynced(objectId, sheetPrompt) {
+    const entry = this.prompts.get(objectId);
+    if (!entry) return;
+    entry.sheetPrompt = sheetPrompt;
+    this.save();
+  }
+
+  /**
+   * Re-key edits and pins saved when object IDs were row positions
+   * An edit moves to the object now at its position only if the names match;
+   * edits that belonged to a row which has since moved are left for a curator.
+   * @param {Array} rows - Sheet rows of { id, position, objectName }
+   * @returns {number} Number of edits moved
+   */
+  migrateLegacyIds(rows) {
+    const byPosition = new Map(rows.map(row => [String(row.position), row]));
+    const isLegacy = (objectId) => /^\d+$/.test(objectId) && byPosition.has(objectId);
+    let moved = 0;
+
+    [...this.prompts.entries()].filter(([objectId]) => isLegacy(objectId)).forEach(([objectId, entry]) => {
+      const row = byPosition.get(objectId);
+      if ((entry.objectName && entry.objectName.trim() !== row.objectName.trim()) || this.prompts.has(row.id)) {
+        logger.warn('Could not move an edited prompt saved under a row position', {
+          objectId,
+          objectName: entry.objectName,
+          rowObjectName: row.objectName
+        });
+        return;
+      }
+      this.prompts.delete(objectId);
+      this.prompts.set(row.id, entry);
+      moved++;
+    });
+
+    Object.keys(this.pins).filter(isLegacy).forEach(objectId => {
+      const { id } = byPosition.get(objectId);
+      logger.warn('PROMPT_PINS uses a row position; pin the object ID instead', { position: objectId, objectId: id });
+      if (!Object.prototype.hasOwnProperty.call(this.pins, id)) {
+        this.pins = { ...this.pins, [id]: this.pins[objectId] };
+      }
+    });
+
+    if (moved) {
+      logger.info('Moved edited prompts from row positions to object IDs', { count: moved });
+      this.save();
+    }
+    return moved;
+  }
+
+  pinnedVersion(objectId) {
+    return Object.prototype.hasOwnProperty.call(this.pins, objectId) ? this.pins[objectId] : null;
+  }
+
+  assertNotPinned(objectId) {
+    const pinnedVersion = this.pinnedVersion(objectId);
+    if (pinnedVersion) {
+      const error = new Error(`This object is pinned to prompt version ${pinnedVersion} by the deployment`);
+      error.status = 409;
+      throw error;
+    }
+  }
+
+  save() {
+    const contents = JSON.stringify(Object.fromEntries(this.prompts), null, 2);
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, contents);
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch(error => logger.error('Error saving edited prompts', { file: this.filePath, error }));
+  }
+}
+
+/**
+ * Validate a prompt edit sent by the client
+ * @param {Object} body - { prompt, objectName, author, comment, sheetPrompt,
+ *   settings: { conversationMode, voiceId, cascadedVoiceId, temperature, topP, maxTokens } }
+ * @returns {Object} { edit, problems } with the accepted edit and any errors
+ */
+function parsePromptEdit(body = {}) {
+  const problems = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { edit: null, problems: ['The request body must be an object'] };
+  }
+  const { prompt, objectName, author, comment, sheetPrompt } = body;
+  const settings = body.settings === undefined ? {} : body.settings;
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { edit: null, problems: ['settings must be an object'] };
+  }
+
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    problems.push('prompt must be a non-empty string');
+  } else if (prompt.length > MAX_PROMPT_LENGTH) {
+    problems.push(`prompt must be at most ${MAX_PROMPT_LENGTH} characters`);
+  }
+  if (objectName !== undefined && objectName !== null && typeof objectName !== 'string') {
+    problems.push('objectName must be a string');
+  }
+  if (sheetPrompt !== undefined && sheetPrompt !== null &&
+    (typeof sheetPrompt !== 'string' || sheetPrompt.length > MAX_PROMPT_LENGTH)) {
+    problems.push(`sheetPrompt must be text of at most ${MAX_PROMPT_LENGTH} characters`);
+  }
+  problems.push(...checkOptionalText({ author, comment }));
+
+  const conversationMode = settings.conversationMode || null;
+  if (conversationMode && !CONVERSATION_MODES.includes(conversationMode)) {
+    problems.push(`conversationMode must be one of: ${CONVERSATION_MODES.join(', ')}`);
+  }
+  const voice = parseVoiceSettings(settings);
+  problems.push(...voice.problems);
+
+  return {
+    edit: {
+      prompt,
+      objectName: objectName || null,
+      author: author ? author.trim() : null,
+      comment: comment ? comment.trim() : null,
+      sheetPrompt: typeof sheetPrompt === 'string' ? sheetPrompt : null,
+      settings: { conversationMode, ...voice.settings }
+    },
+    problems
+  };
+}
+
+/**
+ * Check optional short text fields such as the author and comment of an edit
+ * @param {Object} fields - Field name -> value from the client
+ * @returns {Array<string>} Problems found
+ */
+function checkOptionalText(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null &&
+      (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH))
+    .map(([name]) => `${name} must be text of at most ${MAX_TEXT_LENGTH} characters`);
+}
+
+// Prompts saved before versioning become version 1
+function upgradeEntry({ objectName = null, prompt, settings = {}, updatedAt }) {
+  return {
+    objectName,
+    activeVersion: 1,
+    sheetPrompt: null,
+    versions: [{ version: 1, prompt, settings, author: null, comment: null, createdAt: updatedAt }]
+  };
+}
+
+module.exports = { PromptStore, parsePromptEdit, checkOptionalText, MAX_PROMPT_LENGTH };
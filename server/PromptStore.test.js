@@ -0,0 +1,160 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PromptStore, parsePromptEdit } = require('./PromptStore');
+
+// The providers load the AWS SDK, which needs web streams jest's node environment lacks
+jest.mock('./providers', () => ({ CONVERSATION_MODES: ['speech-to-speech', 'cascaded'] }));
+
+let tempDir;
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-store-test-'));
+});
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Edits saved by an older release, keyed by row position
+const legacyStore = async (pins = {}) => {
+  const filePath = path.join(tempDir, 'prompts.json');
+  const store = new PromptStore({ filePath });
+  store.set('1', { objectName: 'Medals', prompt: 'Edited medal prompt' });
+  store.set('2', { objectName: 'Mask', prompt: 'Edited mask prompt' });
+  await store.writing;
+  return new PromptStore({ filePath, pins });
+};
+
+const rows = [
+  { id: 'basket', position: 1, objectName: 'Basket' },
+  { id: 'mask', position: 2, objectName: 'Mask' }
+];
+
+describe('PromptStore versions', () => {
+  const newStore = (pins) => new PromptStore({ filePath: path.join(tempDir, 'prompts.json'), pins });
+
+  test('adds a numbered version with its author and comment on every save', async () => {
+    const store = newStore();
+    store.set('mask', { objectName: 'Mask', prompt: 'First', author: 'Ana', sheetPrompt: 'From the sheet' });
+    const record = store.set('mask', { prompt: 'Second', author: 'Ben', comment: 'Shorter', settings: { temperature: 0.3 } });
+    await store.writing;
+
+    expect(record).toMatchObject({ objectId: 'mask', objectName: 'Mask', prompt: 'Second', version: 2, author: 'Ben', pinned: false });
+    const { activeVersion, versions } = store.history('mask');
+    expect(activeVersion).toBe(2);
+    expect(versions.map(({ version, prompt, author, comment }) => ({ version, prompt, author, comment }))).toEqual([
+      { version: 2, prompt: 'Second', author: 'Ben', comment: 'Shorter' },
+      { version: 1, prompt: 'First', author: 'Ana', comment: null }
+    ]);
+    // The sheet prompt the first edit started from is kept for syncing
+    expect(store.sheetBase('mask')).toBe('From the sheet');
+
+    expect(newStore().history('mask').versions).toHaveLength(2);
+  });
+
+  test('restores an old version as a new one that records where it came from', async () => {
+    const store = newStore();
+    store.set('mask', { objectName: 'Mask', prompt: 'First', settings: { voiceId: 'matthew' } });
+    store.set('mask', { prompt: 'Second' });
+    const record = store.restore('mask', 1, 'Ana');
+    await store.writing;
+
+    expect(record).toMatchObject({ prompt: 'First', settings: { voiceId: 'matthew' }, version: 3, author: 'Ana', comment: 'Restored version 1' });
+    const [restored, ...older] = store.history('mask').versions;
+    expect(restored.restoredFrom).toBe(1);
+    expect(older.map(version => version.prompt)).toEqual(['Second', 'First']);
+    expect(older.some(version => 'restoredFrom' in version)).toBe(false);
+    expect(store.restore('mask', 7)).toBeNull();
+  });
+
+  test('keeps the history when an edit is reset, and numbers the next save after it', async () => {
+    const store = newStore();
+    store.set('mask', { objectName: 'Mask', prompt: 'First' });
+    expect(store.reset('mask')).toBe(true);
+    expect(store.get('mask')).toBeNull();
+    expect(store.reset('mask')).toBe(false);
+
+    expect(store.set('mask', { prompt: 'Again' }).version).toBe(2);
+    await store.writing;
+    expect(store.history('mask').versions).toHaveLength(2);
+  });
+
+  test('serves a pinned version however many versions follow it, and refuses changes', async () => {
+    const store = newStore();
+    store.set('mask', { objectName: 'Mask', prompt: 'Approved' });
+    store.set('mask', { prompt: 'Draft' });
+    await store.writing;
+
+    const pinned = newStore({ mask: 1 });
+    expect(pinned.get('mask')).toMatchObject({ prompt: 'Approved', version: 1, pinned: true });
+    expect(pinned.history('mask')).toMatchObject({ activeVersion: 2, pinnedVersion: 1 });
+    expect(pinned.history('mask').versions).toHaveLength(2);
+    expect(() => pinned.set('mask', { prompt: 'Another draft' })).toThrow(expect.objectContaining({ status: 409 }));
+    expect(() => pinned.restore('mask', 2)).toThrow(expect.objectContaining({ status: 409 }));
+    expect(() => pinned.reset('mask')).toThrow(expect.objectContaining({ status: 409 }));
+    expect(pinned.get('mask').prompt).toBe('Approved');
+  });
+});
+
+describe('PromptStore.migrateLegacyIds', () => {
+  test('moves edits to the object now at their position when the name matches', async () => {
+    const store = await legacyStore();
+    expect(store.migrateLegacyIds(rows)).toBe(1);
+    await store.writing;
+
+    expect(store.get('mask')).toMatchObject({ objectId: 'mask', prompt: 'Edited mask prompt' });
+    expect(store.get('2')).toBeNull();
+    // The row that now holds position 1 is another object, so that edit stays put
+    expect(store.get('basket')).toBeNull();
+    expect(store.get('1')).toMatchObject({ objectName: 'Medals' });
+
+    const reloaded = new PromptStore({ filePath: store.filePath });
+    expect(reloaded.get('mask')).toMatchObject({ prompt: 'Edited mask prompt' });
+  });
+
+  test('honours pins given as row positions', async () => {
+    const store = await legacyStore({ 2: 1 });
+    store.migrateLegacyIds(rows);
+    await store.writing;
+    expect(store.pinnedVersion('mask')).toBe(1);
+    expect(store.get('mask')).toMatchObject({ pinned: true });
+  });
+
+  test('does nothing when edits are already keyed by ID', async () => {
+    const store = new PromptStore({ filePath: path.join(tempDir, 'prompts.json') });
+    store.set('mask', { objectName: 'Mask', prompt: 'Edited mask prompt' });
+    await store.writing;
+    expect(store.migrateLegacyIds(rows)).toBe(0);
+    expect(store.get('mask')).toMatchObject({ prompt: 'Edited mask prompt' });
+  });
+});
+
+describe('parsePromptEdit', () => {
+  test('accepts a prompt with settings', () => {
+    const { edit, problems } = parsePromptEdit({
+      prompt: 'A carved mask',
+      author: ' Ana ',
+      settings: { conversationMode: 'cascaded', temperature: 0.5 }
+    });
+    expect(problems).toEqual([]);
+    expect(edit).toMatchObject({ prompt: 'A carved mask', author: 'Ana', settings: { conversationMode: 'cascaded', temperature: 0.5 } });
+  });
+
+  test.each([null, 'fast', ['cascaded']])('reports settings of %p instead of throwing', (settings) => {
+    expect(parsePromptEdit({ prompt: 'A carved mask', settings }).problems).toEqual(['settings must be an object']);
+  });
+
+  test.each([null, 'A carved mask', []])('reports a body of %p', (body) => {
+    expect(parsePromptEdit(body).problems).toEqual(['The request body must be an object']);
+  });
+
+  test('reports every problem with the fields', () => {
+    expect(parsePromptEdit({ prompt: ' ', objectName: 7, settings: { conversationMode: 'telepathy' } }).problems).toEqual([
+      'prompt must be a non-empty string',
+      'objectName must be a string',
+      'conversationMode must be one of: speech-to-speech, cascaded'
+    ]);
+  });
+});
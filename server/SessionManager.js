@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const DEFAULT_RESUME_WINDOW_MS = 2 * 60 * 1000;
+const MAX_RESTORED_TURNS = 50;
+const MAX_RESTORED_TURN_LENGTH = 4000;
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * SessionManager - Conversation sessions keyed by a durable session ID
+ *
+ * Sessions outlive the socket they were started on: when a socket disconnects
+ * its session is detached and kept alive for a resume window, so a client that
+ * reconnects (with a new socket.id) can present the session ID and reattach to
+ * the live provider stream. Events emitted while detached are dropped; the
+ * session's own history keeps the transcript.
+ *
+ * Each entry has a logger bound to its session ID, and outgoing events feed the
+ * audio and turn latency metrics and, if configured, the transcript store.
+ */
+class SessionManager {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {Object} options.providers - Speech providers keyed by conversation mode
+   * @param {number} options.resumeWindowMs - How long a detached session stays alive
+   * @param {TranscriptStore} options.transcriptStore - Where conversation text is recorded
+   */
+  constructor({ providers, resumeWindowMs = DEFAULT_RESUME_WINDOW_MS, transcriptStore = null }) {
+    this.providers = providers;
+    this.transcriptStore = transcriptStore;
+    this.resumeWindowMs = resumeWindowMs;
+    this.sessions = new Map();
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  /**
+   * Create a new session
+   * @param {Object} options
+   * @param {string} options.mode - Conversation mode
+   * @param {string} options.id - Session ID to use, a new one is generated by default
+   * @param {string} options.ip - Address of the client that started the session
+   * @param {string} options.objectId - Object the conversation is about
+   * @returns {Object} Session entry { id, mode, ip, objectId, session, socket, logger }
+   */
+  create({ mode, id = crypto.randomUUID(), ip = null, objectId = null }) {
+    if (this.sessions.has(id)) {
+      this.close(id);
+    }
+
+    const entry = {
+      id,
+      mode,
+      ip,
+      objectId,
+      socket: null,
+      detachTimer: null,
+      session: null,
+      audioSeconds: 0,
+      turnEndedAt: null,
+      logger: logger.child({ sessionId: id })
+    };
+    entry.session = this.providers[mode].createSession({
+      emit: (eventName, payload) => {
+        this.recordEvent(entry, eventName, payload);
+        if (entry.socket) {
+          entry.socket.emit(eventName, payload);
+        }
+      },
+      logger: entry.logger
+    });
+    entry.logger.info('Session created', { mode, ip, objectId });
+    this.sessions.set(id, entry);
+    return entry;
+  }
+
+  /**
+   * Note that the user finished speaking, to time the assistant's reply
+   * @param {Object} entry - Session entry
+   */
+  markTurnEnded(entry) {
+    entry.turnEndedAt = Date.now();
+  }
+
+  /**
+   * Update metrics and the transcript from an event a session is sending to its client
+   * @param {Object} entry - Session entry
+   * @param {string} eventName - Socket event name
+   * @param {Object} payload - Event payload
+   */
+  recordEvent(entry, eventName, payload) {
+    if (eventName === 'audioOutput' && payload && payload.content) {
+      metrics.audioBytesOut.inc({ mode: entry.mode }, Buffer.byteLength(payload.content, 'base64'));
+      if (entry.turnEndedAt) {
+        metrics.turnLatency.observe({ mode: entry.mode }, (Date.now() - entry.turnEndedAt) / 1000);
+        entry.turnEndedAt = null;
+      }
+    } else if (eventName === 'interrupted' || eventName === 'streamComplete') {
+      entry.turnEndedAt = null;
+    } else if (eventName === 'textOutput' && this.transcriptStore && payload && payload.content) {
+      this.transcriptStore.append({
+        sessionId: entry.id,
+        objectId: entry.objectId,
+        role: payload.role,
+        text: payload.content
+      });
+    }
+  }
+
+  /**
+   * Look up a live session
+   * @param {string} id - Session ID
+   * @returns {Object|undefined} Session entry
+   */
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  /**
+   * Count the live sessions started from a client address
+   * @param {string} ip - Client address
+   * @returns {number} Number of sessions, attached or detached
+   */
+  countForIp(ip) {
+    let count = 0;
+    this.sessions.forEach(entry => {
+      if (entry.ip === ip) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Route a session's events to a socket, taking it over from any previous socket
+   * @param {Object} entry - Session entry
+   * @param {Socket} socket - Socket to attach
+   */
+  attach(entry, socket) {
+    if (entry.detachTimer) {
+      clearTimeout(entry.detachTimer);
+      entry.detachTimer = null;
+    }
+    entry.socket = socket;
+  }
+
+  /**
+   * Detach a session from its socket and start the resume window
+   * @param {Object} entry - Session entry
+   * @param {Socket} socket - Socket that went away; ignored if it no longer owns the session
+   */
+  detach(entry, socket) {
+    if (entry.socket !== socket) return;
+
+    entry.socket = null;
+    entry.detachTimer = setTimeout(() => {
+      entry.logger.info('Resume window expired');
+      this.close(entry.id);
+    }, this.resumeWindowMs);
+  }
+
+  /**
+   * Close a session and forget it
+   * @param {string} id - Session ID
+   */
+  close(id) {
+    const entry = this.sessions.get(id);
+    if (!entry) return;
+
+    if (entry.detachTimer) {
+      clearTimeout(entry.detachTimer);
+    }
+    entry.session.close();
+    this.sessions.delete(id);
+    entry.logger.info('Session closed', { audioSeconds: Math.round(entry.audioSeconds) });
+  }
+}
+
+/**
+ * Check that a client supplied session ID looks like one we issued
+ * @param {*} id - Value from the client
+ * @returns {boolean} Whether it is a well-formed session ID
+ */
+function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+/**
+ * Sanitize a transcript sent by the client for restoring a session
+ * @param {*} history - Value from the client
+ * @returns {Array} Turns as { role, content }
+ */
+function sanitizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  return history
+    .filter(turn => turn && (turn.role === 'USER' || turn.role === 'ASSISTANT') &&
+      typeof turn.content === 'string' && turn.content.trim())
+    .slice(-MAX_RESTORED_TURNS)
+    .map(({ role, content }) => ({ role, content: content.substring(0, MAX_RESTORED_TURN_LENGTH) }));
+}
+
+module.exports = { SessionManager, isValidSessionId, sanitizeHistory };
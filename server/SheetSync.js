@@ -0,0 +1,178 @@
+const { logger } = require('./logger');
+const { checkOptionalText, MAX_PROMPT_LENGTH } = require('./PromptStore');
+
+// Sync status of one edited prompt
+const SYNC_STATUS = {
+  IN_SYNC: 'in-sync', // the sheet already has the edited prompt
+  READY: 'ready', // the sheet is unchanged since the edit started, so the edit can be pushed
+  CONFLICT: 'conflict', // a curator changed the sheet too; someone has to choose
+  MISSING: 'missing' // no sheet row has the object's ID any more
+};
+
+// Sheets and browsers disagree about line endings and trailing spaces; neither is a change
+const sameText = (a, b) => typeof a === 'string' && typeof b === 'string' &&
+  a.replace(/\r\n/g, '\n').trim() === b.replace(/\r\n/g, '\n').trim();
+
+/**
+ * SheetSync - Pushes edited prompts back to the Google Sheet
+ *
+ * The sheet stays the curators' source of truth, so nothing in it is
+ * overwritten blindly. Each edit remembers the sheet's prompt it started from
+ * (the base). If the sheet still holds the base, the edit is pushed; if a
+ * curator has changed the row since, the base, the sheet's prompt and the
+ * edit are returned as a three-way conflict and the row is only written once
+ * someone picks a resolution for exactly that sheet text.
+ */
+class SheetSync {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {PromptSheet} options.sheet - Google Sheet access
+   * @param {PromptStore} options.promptStore - Edited prompts
+   */
+  constructor({ sheet, promptStore }) {
+    this.sheet = sheet;
+    this.promptStore = promptStore;
+  }
+
+  /**
+   * Compare every edited prompt with the sheet
+   * @returns {Promise<Object>} { canWrite, items } with items of { objectId, objectName,
+   *   rowNumber, status, pinned, base, ours, theirs }
+   */
+  async preview() {
+    const rows = await this.sheet.readRows();
+    return { canWrite: this.sheet.canWrite, items: this.plan(rows) };
+  }
+
+  plan(rows) {
+    return this.promptStore.all().map(record => {
+      const row = rows.find(item => item.id === record.objectId);
+      const item = {
+        objectId: record.objectId,
+        objectName: record.objectName,
+        rowNumber: row ? row.rowNumber : null,
+        pinned: record.pinned,
+        base: this.promptStore.sheetBase(record.objectId),
+        ours: record.prompt,
+        theirs: row ? row.prompt : null,
+        settings: record.settings
+      };
+
+      if (!row) {
+        item.status = SYNC_STATUS.MISSING;
+      } else if (sameText(item.theirs, item.ours)) {
+        item.status = SYNC_STATUS.IN_SYNC;
+      } else if (sameText(item.theirs, item.base)) {
+        item.status = SYNC_STATUS.READY;
+      } else {
+        item.status = SYNC_STATUS.CONFLICT;
+      }
+      return item;
+    });
+  }
+
+  /**
+   * Push edits to the sheet
+   * Edits that are ready are written. A conflict is settled only by a
+   * resolution whose `theirs` still matches the sheet: if its prompt is the
+   * sheet's, the sheet is kept and the edit takes the sheet's text; otherwise
+   * the resolved prompt is written and saved as a new version.
+   * @param {Object} options
+   * @param {Object} options.resolutions - Object ID -> { prompt, theirs }
+   * @param {string} options.author - Who pushed, recorded on new versions
+   * @returns {Promise<Object>} { pushed, kept, conflicts, missing } with lists of object IDs,
+   *   plus the still unresolved conflicts in full
+   */
+  async push({ resolutions = {}, author = null }) {
+    const items = this.plan(await this.sheet.readRows());
+    const updates = [];
+    const kept = [];
+    const conflicts = [];
+
+    items.forEach(item => {
+      if (item.status === SYNC_STATUS.READY) {
+        updates.push({ item, prompt: item.ours });
+        return;
+      }
+      if (item.status === SYNC_STATUS.IN_SYNC && !sameText(item.base, item.theirs)) {
+        this.promptStore.markSynced(item.objectId, item.theirs);
+        return;
+      }
+      if (item.status !== SYNC_STATUS.CONFLICT) return;
+
+      const resolution = Object.prototype.hasOwnProperty.call(resolutions, item.objectId)
+        ? resolutions[item.objectId]
+        : null;
+      // A pinned prompt cannot take a new version, so only the pinned text can be pushed
+      if (!resolution || !sameText(resolution.theirs, item.theirs) ||
+        (item.pinned && !sameText(resolution.prompt, item.ours))) {
+        conflicts.push(item);
+      } else if (sameText(resolution.prompt, item.theirs)) {
+        kept.push(item);
+      } else {
+        updates.push({ item, prompt: resolution.prompt });
+      }
+    });
+
+    await this.sheet.writePrompts(updates.map(({ item, prompt }) => ({ rowNumber: item.rowNumber, prompt })));
+
+    [...updates, ...kept.map(item => ({ item, prompt: item.theirs }))].forEach(({ item, prompt }) => {
+      if (!sameText(prompt, item.ours)) {
+        this.promptStore.set(item.objectId, {
+          prompt,
+          settings: item.settings,
+          author,
+          comment: 'Merged with the Google Sheet'
+        });
+      }
+      this.promptStore.markSynced(item.objectId, prompt);
+    });
+
+    const result = {
+      pushed: updates.map(({ item }) => item.objectId),
+      kept: kept.map(item => item.objectId),
+      conflicts,
+      missing: items.filter(item => item.status === SYNC_STATUS.MISSING).map(item => item.objectId)
+    };
+    logger.info('Pushed edited prompts to the Google Sheet', {
+      author,
+      pushed: result.pushed.length,
+      kept: result.kept.length,
+      conflicts: conflicts.length,
+      missing: result.missing.length
+    });
+    return result;
+  }
+}
+
+/**
+ * Validate a push request sent by the client
+ * @param {Object} body - { author, resolutions: { [objectId]: { prompt, theirs } } }
+ * @returns {Object} { request, problems }
+ */
+function parseSyncRequest(body = {}) {
+  const { author, resolutions = {} } = body;
+  const problems = checkOptionalText({ author });
+
+  if (!resolutions || typeof resolutions !== 'object' || Array.isArray(resolutions)) {
+    problems.push('resolutions must map object IDs to { prompt, theirs }');
+    return { request: null, problems };
+  }
+  Object.entries(resolutions).forEach(([objectId, resolution]) => {
+    const { prompt, theirs } = resolution || {};
+    if (typeof prompt !== 'string' || !prompt.trim() || prompt.length > MAX_PROMPT_LENGTH) {
+      problems.push(`resolution for ${objectId} needs a non-empty prompt of at most ${MAX_PROMPT_LENGTH} characters`);
+    }
+    if (typeof theirs !== 'string') {
+      problems.push(`resolution for ${objectId} needs the sheet text it resolves (theirs)`);
+    }
+  });
+
+  return {
+    request: { author: author ? author.trim() : null, resolutions },
+    problems
+  };
+}
+
+module.exports = { SheetSync, parseSyncRequest, SYNC_STATUS };
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * TranscriptStore - Conversation turns persisted to a JSON-lines file
+ *
+ * Each line is one text block a session emitted: { sessionId, objectId, role,
+ * text, timestamp }. Records are kept in memory for querying and appended to the
+ * file as they arrive; deletes rewrite the file. Consecutive blocks from the
+ * same speaker are merged into one turn when a transcript is read back.
+ */
+class TranscriptStore {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {string} options.filePath - JSON-lines file, created on first write
+   */
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.records = [];
+    this.writing = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        this.records.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn('Skipping unreadable transcript line', { file: this.filePath, line: index + 1 });
+      }
+    });
+    logger.info('Loaded transcripts', { file: this.filePath, records: this.records.length });
+  }
+
+  /**
+   * Record a block of conversation text
+   * @param {Object} record
+   * @param {string} record.sessionId - Session the text belongs to
+   * @param {string|null} record.objectId - Object the visitor was talking about
+   * @param {string} record.role - USER or ASSISTANT
+   * @param {string} record.text - What was said
+   */
+  append({ sessionId, objectId = null, role, text }) {
+    const record = {
+      sessionId,
+      objectId: objectId === null || objectId === undefined ? null : String(objectId),
+      role,
+      text,
+      timestamp: new Date().toISOString()
+    };
+    this.records.push(record);
+    this.write(() => {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      return fs.promises.appendFile(this.filePath, JSON.stringify(record) + '\n');
+    });
+  }
+
+  /**
+   * Summaries of the stored conversations, newest first
+   * @param {Object} filters - { objectId, from, to }, see matches()
+   * @returns {Array} Items of { sessionId, objectId, startedAt, endedAt, turnCount, firstQuestion }
+   */
+  listSessions(filters = {}) {
+    return this.groupBySession()
+      .map(records => summarize(records))
+      .filter(session => matches(session, filters))
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * One conversation with its turns
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Summary plus `turns` of { role, text, startedAt, endedAt }
+   */
+  getSession(sessionId) {
+    const records = this.records.filter(record => record.sessionId === sessionId);
+    if (!records.length) return null;
+    return { ...summarize(records), turns: mergeTurns(records) };
+  }
+
+  /**
+   * Delete the conversations matching the filters
+   * @param {Object} filters - { sessionId, objectId, from, to }
+   * @returns {number} Number of conversations deleted
+   */
+  deleteSessions(filters) {
+    const doomed = new Set(this.groupBySession()
+      .map(records => summarize(records))
+      .filter(session => (!filters.sessionId || session.sessionId === filters.sessionId) && matches(session, filters))
+      .map(session => session.sessionId));
+    if (!doomed.size) return 0;
+
+    this.records = this.records.filter(record => !doomed.has(record.sessionId));
+    this.rewrite();
+    return doomed.size;
+  }
+
+  // Replace the file with the records in memory
+  rewrite() {
+    const contents = this.records.map(record => JSON.stringify(record) + '\n').join('');
+    this.write(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, contents);
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+  }
+
+  /**
+   * Re-key transcripts saved when object IDs were row positions
+   * Records do not name their object, so each one moves to the object now at
+   * its position.
+   * @param {Array} rows - Sheet rows of { id, position }
+   * @returns {number} Number of records moved
+   */
+  migrateLegacyIds(rows) {
+    const idsByPosition = new Map(rows.map(row => [String(row.position), row.id]));
+    let moved = 0;
+    this.records.forEach(record => {
+      if (record.objectId !== null && /^\d+$/.test(record.objectId) && idsByPosition.has(record.objectId)) {
+        record.objectId = idsByPosition.get(record.objectId);
+        moved++;
+      }
+    });
+    if (!moved) return 0;
+
+    logger.info('Moved transcripts from row positions to object IDs', { records: moved });
+    this.rewrite();
+    return moved;
+  }
+
+  groupBySession() {
+    const sessions = new Map();
+    this.records.forEach(record => {
+      if (!sessions.has(record.sessionId)) {
+        sessions.set(record.sessionId, []);
+      }
+      sessions.get(record.sessionId).push(record);
+    });
+    return [...sessions.values()];
+  }
+
+  // Serialize file writes so appends and rewrites never interleave
+  write(operation) {
+    this.writing = this.writing
+      .then(operation)
+      .catch(error => logger.error('Error writing transcripts', { file: this.filePath, error }));
+    return this.writing;
+  }
+}
+
+function summarize(records) {
+  const firstQuestion = records.find(record => record.role === 'USER');
+  return {
+    sessionId: records[0].sessionId,
+    objectId: records.find(record => record.objectId !== null)?.objectId ?? null,
+    startedAt: records[0].timestamp,
+    endedAt: records[records.length - 1].timestamp,
+    turnCount: mergeTurns(records).length,
+    firstQuestion: firstQuestion ? firstQuestion.text : null
+  };
+}
+
+function mergeTurns(records) {
+  const turns = [];
+  records.forEach(({ role, text, timestamp }) => {
+    const previous = turns[turns.length - 1];
+    if (previous && previous.role === role) {
+      previous.text += ` ${text}`;
+      previous.endedAt = timestamp;
+    } else {
+      turns.push({ role, text, startedAt: timestamp, endedAt: timestamp });
+    }
+  });
+  return turns;
+}
+
+/**
+ * Check a conversation summary against filters
+ * @param {Object} session - Conversation summary
+ * @param {Object} filters
+ * @param {string} filters.objectId - Only conversations about this object
+ * @param {Date} filters.from - Only conversations started at or after this time
+ * @param {Date} filters.to - Only conversations started at or before this time
+ * @returns {boolean} Whether the conversation matches
+ */
+function matches(session, { objectId, from, to }) {
+  if (objectId !== undefined && session.objectId !== String(objectId)) return false;
+  const startedAt = new Date(session.startedAt);
+  if (from && startedAt < from) return false;
+  if (to && startedAt > to) return false;
+  return true;
+}
+
+/**
+ * Parse transcript filters from query string parameters
+ * A date without a time covers the whole day, so `to=2024-05-01` includes May 1st.
+ * @param {Object} query - { objectId, from, to }
+ * @returns {Object} { filters, problems }
+ */
+function parseTranscriptFilters(query = {}) {
+  const filters = {};
+  const problems = [];
+
+  if (query.objectId) {
+    filters.objectId = String(query.objectId);
+  }
+
+  ['from', 'to'].forEach(name => {
+    if (!query[name]) return;
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(query[name]);
+    const date = new Date(dateOnly && name === 'to' ? `${query[name]}T23:59:59.999Z` : query[name]);
+    if (Number.isNaN(date.getTime())) {
+      problems.push(`${name} must be a date such as 2024-05-01`);
+    } else {
+      filters[name] = date;
+    }
+  });
+
+  return { filters, problems };
+}
+
+module.exports = { TranscriptStore, parseTranscriptFilters };
@@ -0,0 +1,32 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TranscriptStore } = require('./TranscriptStore');
+
+let tempDir;
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-store-test-'));
+});
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('TranscriptStore.migrateLegacyIds', () => {
+  test('moves transcripts keyed by row position to the object now at that position', async () => {
+    const filePath = path.join(tempDir, 'transcripts.jsonl');
+    const store = new TranscriptStore({ filePath });
+    store.append({ sessionId: 'a', objectId: 2, role: 'USER', text: 'Who made this?' });
+    store.append({ sessionId: 'b', objectId: 'medals', role: 'USER', text: 'How old is it?' });
+    store.append({ sessionId: 'c', objectId: 9, role: 'USER', text: 'Where is it from?' });
+    store.append({ sessionId: 'd', role: 'USER', text: 'Hello' });
+
+    expect(store.migrateLegacyIds([{ id: 'medals', position: 1 }, { id: 'mask', position: 2 }])).toBe(1);
+    await store.writing;
+
+    const objectIds = new TranscriptStore({ filePath }).records.map(record => record.objectId);
+    expect(objectIds).toEqual(['mask', 'medals', '9', null]);
+  });
+});
@@ -0,0 +1,202 @@
+// Microphone input is 16 kHz 16-bit mono PCM
+const INPUT_BYTES_PER_SECOND = 16000 * 2;
+
+const DEFAULT_LIMITS = {
+  maxSessions: 20,
+  maxSessionsPerIp: 3,
+  maxSessionAudioSeconds: 15 * 60,
+  dailyAudioSeconds: 8 * 60 * 60,
+  apiRequestsPerMinute: 60
+};
+
+// Error codes sent with `error` events and HTTP responses so the client can explain them
+const LIMIT_CODES = {
+  TOO_MANY_SESSIONS: 'TOO_MANY_SESSIONS',
+  SESSION_AUDIO_LIMIT: 'SESSION_AUDIO_LIMIT',
+  DAILY_LIMIT: 'DAILY_LIMIT',
+  RATE_LIMITED: 'RATE_LIMITED'
+};
+
+/**
+ * UsageLimiter - Caps on how much speech model time clients can use
+ *
+ * Limits concurrent sessions globally and per client IP, audio seconds per
+ * session, total audio seconds per day, and requests per minute on the REST API.
+ * A limit that is 0 or unset falls back to the default; Infinity disables it.
+ * Clients are told apart by address, so behind a reverse proxy the server's
+ * trustProxy setting must be set or every visitor shares the proxy's limits.
+ * Checks return null when allowed, or `{ code, message }` to pass on to the client.
+ */
+class UsageLimiter {
+  /**
+   * Constructor
+   * @param {Object} limits - Overrides for DEFAULT_LIMITS
+   */
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS };
+    Object.entries(limits).forEach(([name, value]) => {
+      if (value) {
+        this.limits[name] = value;
+      }
+    });
+
+    this.day = currentDay();
+    this.dailyAudioSeconds = 0;
+    this.apiWindows = new Map();
+  }
+
+  /**
+   * Check whether a client may start another session
+   * @param {Object} counts
+   * @param {number} counts.total - Sessions currently alive
+   * @param {number} counts.forIp - Sessions currently alive for this client's IP
+   * @returns {Object|null} Limit error, or null if allowed
+   */
+  checkNewSession({ total, forIp }) {
+    const dailyError = this.checkDailyLimit();
+    if (dailyError) return dailyError;
+
+    if (total >= this.limits.maxSessions) {
+      return {
+        code: LIMIT_CODES.TOO_MANY_SESSIONS,
+        message: 'All conversation slots are in use, please try again in a few minutes'
+      };
+    }
+    if (forIp >= this.limits.maxSessionsPerIp) {
+      return {
+        code: LIMIT_CODES.TOO_MANY_SESSIONS,
+        message: 'Too many conversations are open from this device'
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Check whether today's audio allowance has been used up
+   * @returns {Object|null} Limit error, or null if allowed
+   */
+  checkDailyLimit() {
+    this.rollDay();
+    if (this.dailyAudioSeconds >= this.limits.dailyAudioSeconds) {
+      return {
+        code: LIMIT_CODES.DAILY_LIMIT,
+        message: 'Conversations are resting for the day, please come back tomorrow'
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Count streamed microphone audio against a session and the daily allowance
+   * @param {Object} entry - Session entry; its `audioSeconds` is updated
+   * @param {string} audioBase64 - Base64 encoded 16 kHz PCM chunk
+   * @returns {Object|null} Limit error once a cap is reached, or null if allowed
+   */
+  recordAudio(entry, audioBase64) {
+    const seconds = Buffer.byteLength(audioBase64, 'base64') / INPUT_BYTES_PER_SECOND;
+    entry.audioSeconds = (entry.audioSeconds || 0) + seconds;
+    this.addDailyAudio(seconds);
+
+    if (entry.audioSeconds >= this.limits.maxSessionAudioSeconds) {
+      return {
+        code: LIMIT_CODES.SESSION_AUDIO_LIMIT,
+        message: 'This conversation has reached its time limit, please start a new one'
+      };
+    }
+    return this.checkDailyLimit();
+  }
+
+  /**
+   * Count a batch clip against the daily allowance
+   * @param {number} seconds - Clip duration
+   * @returns {Object|null} Limit error if the clip is too long or the day is used up
+   */
+  recordClip(seconds) {
+    if (seconds > this.limits.maxSessionAudioSeconds) {
+      return {
+        code: LIMIT_CODES.SESSION_AUDIO_LIMIT,
+        message: 'This recording is too long, please ask a shorter question'
+      };
+    }
+
+    const dailyError = this.checkDailyLimit();
+    if (dailyError) return dailyError;
+
+    this.addDailyAudio(seconds);
+    return null;
+  }
+
+  addDailyAudio(seconds) {
+    this.rollDay();
+    this.dailyAudioSeconds += seconds;
+  }
+
+  rollDay() {
+    const day = currentDay();
+    if (day !== this.day) {
+      this.day = day;
+      this.dailyAudioSeconds = 0;
+    }
+  }
+
+  /**
+   * Express middleware limiting each client IP to a number of requests per minute
+   * @returns {Function} Middleware
+   */
+  apiRateLimit() {
+    return (req, res, next) => {
+      const now = Date.now();
+      const windowStart = now - (now % 60000);
+      const key = req.ip;
+
+      let window = this.apiWindows.get(key);
+      if (!window || window.start !== windowStart) {
+        this.pruneApiWindows(windowStart);
+        window = { start: windowStart, count: 0 };
+        this.apiWindows.set(key, window);
+      }
+
+      window.count++;
+      if (window.count > this.limits.apiRequestsPerMinute) {
+        res.set('Retry-After', String(Math.ceil((windowStart + 60000 - now) / 1000)));
+        return res.status(429).json({
+          error: 'Too many requests',
+          code: LIMIT_CODES.RATE_LIMITED,
+          message: 'Too many requests, please wait a moment and try again'
+        });
+      }
+      next();
+    };
+  }
+
+  pruneApiWindows(windowStart) {
+    this.apiWindows.forEach((window, key) => {
+      if (window.start !== windowStart) {
+        this.apiWindows.delete(key);
+      }
+    });
+  }
+}
+
+function currentDay() {
+  return new Date().toDateString();
+}
+
+/**
+ * Address of the client behind a socket, the counterpart of Express's req.ip
+ * Each trusted proxy appends the address it received the connection from to
+ * X-Forwarded-For, so the client is that many entries back from the socket.
+ * @param {Object} handshake - Socket.IO handshake with `address` and `headers`
+ * @param {number} trustProxy - Reverse proxies in front of the server
+ * @returns {string} Client address
+ */
+function socketClientAddress(handshake, trustProxy = 0) {
+  const forwarded = String(handshake.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+  const addresses = [...forwarded, handshake.address];
+  return addresses[Math.max(0, addresses.length - 1 - trustProxy)];
+}
+
+module.exports = { UsageLimiter, LIMIT_CODES, socketClientAddress };
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+const { UsageLimiter, LIMIT_CODES, socketClientAddress } = require('./UsageLimiter');
+
+// Base64 of this many seconds of 16 kHz 16-bit PCM
+const audioSeconds = (seconds) => Buffer.alloc(seconds * 16000 * 2).toString('base64');
+
+describe('UsageLimiter', () => {
+  test('uses the defaults for limits that are 0 or unset', () => {
+    const limiter = new UsageLimiter({ maxSessions: 0, maxSessionsPerIp: 5 });
+    expect(limiter.limits.maxSessions).toBe(20);
+    expect(limiter.limits.maxSessionsPerIp).toBe(5);
+  });
+
+  test('refuses sessions beyond the total and per-IP caps', () => {
+    const limiter = new UsageLimiter({ maxSessions: 2, maxSessionsPerIp: 1 });
+    expect(limiter.checkNewSession({ total: 1, forIp: 0 })).toBeNull();
+    expect(limiter.checkNewSession({ total: 2, forIp: 0 })).toMatchObject({ code: LIMIT_CODES.TOO_MANY_SESSIONS });
+    expect(limiter.checkNewSession({ total: 1, forIp: 1 })).toMatchObject({ code: LIMIT_CODES.TOO_MANY_SESSIONS });
+  });
+
+  test('ends a session once it has streamed its audio allowance', () => {
+    const limiter = new UsageLimiter({ maxSessionAudioSeconds: 2 });
+    const entry = {};
+    expect(limiter.recordAudio(entry, audioSeconds(1))).toBeNull();
+    expect(limiter.recordAudio(entry, audioSeconds(1))).toMatchObject({ code: LIMIT_CODES.SESSION_AUDIO_LIMIT });
+    expect(entry.audioSeconds).toBe(2);
+  });
+
+  test('refuses new sessions and clips once the day is used up', () => {
+    const limiter = new UsageLimiter({ dailyAudioSeconds: 3 });
+    expect(limiter.recordClip(2)).toBeNull();
+    expect(limiter.recordClip(2)).toBeNull();
+    expect(limiter.recordClip(1)).toMatchObject({ code: LIMIT_CODES.DAILY_LIMIT });
+    expect(limiter.checkNewSession({ total: 0, forIp: 0 })).toMatchObject({ code: LIMIT_CODES.DAILY_LIMIT });
+  });
+
+  test('refuses a clip longer than a session may be', () => {
+    const limiter = new UsageLimiter({ maxSessionAudioSeconds: 10 });
+    expect(limiter.recordClip(11)).toMatchObject({ code: LIMIT_CODES.SESSION_AUDIO_LIMIT });
+    expect(limiter.dailyAudioSeconds).toBe(0);
+  });
+
+  describe('apiRateLimit', () => {
+    const request = (middleware, ip) => {
+      const res = {
+        statusCode: 200,
+        headers: {},
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+      };
+      const next = jest.fn();
+      middleware({ ip }, res, next);
+      return { res, next };
+    };
+
+    test('limits each client IP separately', () => {
+      const middleware = new UsageLimiter({ apiRequestsPerMinute: 2 }).apiRateLimit();
+      expect(request(middleware, '203.0.113.1').next).toHaveBeenCalled();
+      expect(request(middleware, '203.0.113.1').next).toHaveBeenCalled();
+
+      const { res, next } = request(middleware, '203.0.113.1');
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(429);
+      expect(res.body).toMatchObject({ code: LIMIT_CODES.RATE_LIMITED });
+      expect(res.headers['Retry-After']).toBeDefined();
+
+      expect(request(middleware, '203.0.113.2').next).toHaveBeenCalled();
+    });
+  });
+});
+
+describe('socketClientAddress', () => {
+  const handshake = (forwardedFor) => ({
+    address: '127.0.0.1',
+    headers: forwardedFor === undefined ? {} : { 'x-forwarded-for': forwardedFor }
+  });
+
+  test('uses the socket address when no proxy is trusted', () => {
+    expect(socketClientAddress(handshake('203.0.113.7'), 0)).toBe('127.0.0.1');
+  });
+
+  test('takes the address the trusted proxy received the connection from', () => {
+    expect(socketClientAddress(handshake('203.0.113.7'), 1)).toBe('203.0.113.7');
+  });
+
+  test('ignores addresses a client put in X-Forwarded-For itself', () => {
+    expect(socketClientAddress(handshake('10.9.9.9, 203.0.113.7'), 1)).toBe('203.0.113.7');
+  });
+
+  test('falls back to the furthest address when there are fewer hops than trusted', () => {
+    expect(socketClientAddress(handshake(undefined), 1)).toBe('127.0.0.1');
+    expect(socketClientAddress(handshake('203.0.113.7'), 3)).toBe('203.0.113.7');
+  });
+});
@@ -0,0 +1,127 @@
+const { chunkPcm, decodeWav, resamplePcm, MIN_SAMPLE_RATE, MAX_SAMPLE_RATE } = require('./pcm');
+const { sanitizeHistory } = require('./SessionManager');
+
+const INPUT_SAMPLE_RATE = 16000;
+const DEFAULT_TIMEOUT_MS = 55000;
+
+/**
+ * Decode an uploaded clip into 16 kHz mono PCM chunks
+ * WAV files are detected by their RIFF header; anything else must be declared
+ * as raw 16-bit little-endian PCM with `audioFormat: 'lpcm'`.
+ * @param {Buffer} audio - Uploaded audio bytes
+ * @param {Object} options
+ * @param {string} options.audioFormat - 'wav' or 'lpcm' (optional for WAV)
+ * @param {number} options.sampleRate - Sample rate of raw PCM input
+ * @returns {Array<string>} Base64 encoded PCM chunks
+ */
+function decodeClip(audio, { audioFormat, sampleRate = INPUT_SAMPLE_RATE } = {}) {
+  let pcm;
+  let inputRate;
+
+  if (audio.toString('ascii', 0, 4) === 'RIFF') {
+    ({ pcm, sampleRate: inputRate } = decodeWav(audio));
+  } else if (audioFormat === 'lpcm') {
+    pcm = audio;
+    inputRate = Number(sampleRate);
+    if (!Number.isInteger(inputRate) || inputRate < MIN_SAMPLE_RATE || inputRate > MAX_SAMPLE_RATE) {
+      const error = new Error(`sampleRate must be an integer from ${MIN_SAMPLE_RATE} to ${MAX_SAMPLE_RATE}`);
+      error.status = 400;
+      throw error;
+    }
+  } else {
+    const error = new Error('Unsupported audio format. Send WAV or 16-bit LPCM audio.');
+    error.status = 415;
+    throw error;
+  }
+
+  return chunkPcm(resamplePcm(pcm, inputRate, INPUT_SAMPLE_RATE), INPUT_SAMPLE_RATE);
+}
+
+/**
+ * Convert the client's conversation history into provider turns
+ * Items that are not objects and messages that are not text are skipped, and
+ * the turns are capped like a restored session's.
+ * @param {Array} conversationHistory - Items of { userMessage, botMessage }; check it is an array first
+ * @returns {Array} Turns as { role, content }
+ */
+function historyFromClient(conversationHistory = []) {
+  const turns = [];
+  conversationHistory.forEach(item => {
+    if (!item || typeof item !== 'object') return;
+    turns.push({ role: 'USER', content: item.userMessage }, { role: 'ASSISTANT', content: item.botMessage });
+  });
+  return sanitizeHistory(turns);
+}
+
+/**
+ * Run a single user turn through a speech provider without a socket
+ * @param {Object} provider - Speech provider
+ * @param {Object} options
+ * @param {string} options.systemPrompt - System prompt for the conversation
+ * @param {Array} options.history - Earlier turns as { role, content }
+ * @param {Array<string>} options.audioChunks - Base64 encoded 16 kHz PCM
+ * @param {Object} options.voiceSettings - Parsed per-object voice and inference settings
+ * @param {number} options.timeoutMs - Give up after this long
+ * @returns {Promise<Object>} { userText, assistantText, audioChunks }
+ */
+function runBatchTurn(provider, { systemPrompt, history = [], audioChunks, voiceSettings = {}, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  return new Promise((resolve, reject) => {
+    const userText = [];
+    const assistantText = [];
+    const outputChunks = [];
+    let session = null;
+    let settled = false;
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (session) session.close();
+
+      if (error) {
+        reject(error);
+      } else {
+        resolve({
+          userText: userText.join(' '),
+          assistantText: assistantText.join(' '),
+          audioChunks: outputChunks
+        });
+      }
+    };
+
+    const timer = setTimeout(() => finish(new Error('Timed out waiting for the speech provider')), timeoutMs);
+
+    session = provider.createSession({
+      realtime: false,
+      emit: (eventName, payload) => {
+        if (eventName === 'textOutput') {
+          (payload.role === 'USER' ? userText : assistantText).push(payload.content);
+        } else if (eventName === 'audioOutput') {
+          outputChunks.push(payload.content);
+        } else if (eventName === 'streamComplete') {
+          finish();
+        } else if (eventName === 'error') {
+          finish(new Error(payload.message));
+        }
+      }
+    });
+
+    session.setSystemPrompt(systemPrompt || "");
+    session.setVoiceSettings(voiceSettings);
+    session.setHistory(history);
+
+    // Feed the clip no faster than the provider takes it; a live stream drops chunks it has no room for
+    const sendClip = async () => {
+      session.startAudio();
+      for (const chunk of audioChunks) {
+        await session.inputReady();
+        if (settled) return;
+        session.addAudio(chunk);
+      }
+      session.endAudio();
+    };
+    sendClip().catch(finish);
+  });
+}
+
+module.exports = { decodeClip, historyFromClient, runBatchTurn, INPUT_SAMPLE_RATE };
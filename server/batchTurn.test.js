@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+const { decodeClip, historyFromClient, runBatchTurn } = require('./batchTurn');
+const { NovaSonicSession } = require('./NovaSonicSession');
+const { FakeBedrockClient, eventNames } = require('./testing/fakeBedrockClient');
+
+describe('historyFromClient', () => {
+  test('turns the client history into USER and ASSISTANT turns', () => {
+    expect(historyFromClient([{ userMessage: 'Who made this?', botMessage: 'A carver from Alert Bay.' }])).toEqual([
+      { role: 'USER', content: 'Who made this?' },
+      { role: 'ASSISTANT', content: 'A carver from Alert Bay.' }
+    ]);
+  });
+
+  test('skips items and messages that are not text', () => {
+    expect(historyFromClient([null, 7, { userMessage: { text: 'hi' }, botMessage: '' }, { botMessage: 'Hello' }])).toEqual([
+      { role: 'ASSISTANT', content: 'Hello' }
+    ]);
+  });
+});
+
+describe('decodeClip', () => {
+  test('splits raw PCM into 100 ms chunks', () => {
+    const chunks = decodeClip(Buffer.alloc(16000 * 2), { audioFormat: 'lpcm', sampleRate: 16000 });
+    expect(chunks).toHaveLength(10);
+  });
+
+  test('rejects audio that is neither WAV nor declared PCM with status 415', () => {
+    expect(() => decodeClip(Buffer.from('ID3 mp3 bytes'))).toThrow(expect.objectContaining({ status: 415 }));
+  });
+
+  test.each([0, null, 'fast', 1e9])('rejects a raw PCM sample rate of %p with status 400', (sampleRate) => {
+    expect(() => decodeClip(Buffer.alloc(320), { audioFormat: 'lpcm', sampleRate })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('runBatchTurn', () => {
+  // Answers once the user's audio content ends, as Nova Sonic does
+  const answeringClient = () => new FakeBedrockClient({
+    onInput: (stream, event) => {
+      if (event.contentStart && event.contentStart.type === 'AUDIO') {
+        stream.audioContentName = event.contentStart.contentName;
+      } else if (event.contentEnd && event.contentEnd.contentName === stream.audioContentName) {
+        const heard = stream.inputs.filter(input => input.audioInput).length;
+        stream.respond({ contentStart: { contentId: 'text', type: 'TEXT', role: 'ASSISTANT' } });
+        stream.respond({ textOutput: { contentId: 'text', content: `Heard ${heard} chunks` } });
+        stream.respond({ contentEnd: { contentId: 'text', stopReason: 'END_TURN' } });
+        stream.respond({ contentStart: { contentId: 'audio', type: 'AUDIO', role: 'ASSISTANT' } });
+        stream.respond({ audioOutput: { contentId: 'audio', content: 'AAAA' } });
+        stream.respond({ contentEnd: { contentId: 'audio', type: 'AUDIO', stopReason: 'END_TURN' } });
+      }
+    }
+  });
+
+  test('sends every chunk of a clip longer than the live input queue holds', async () => {
+    const client = answeringClient();
+    const provider = { createSession: ({ emit }) => new NovaSonicSession({ client, modelId: 'test', emit }) };
+    const audioChunks = Array.from({ length: 400 }, (_, i) => Buffer.from([i % 256, 0]).toString('base64'));
+    const history = Array.from({ length: 100 }, (_, i) => ({ role: i % 2 ? 'ASSISTANT' : 'USER', content: `Turn ${i}` }));
+
+    const result = await runBatchTurn(provider, { systemPrompt: 'Be brief', history, audioChunks });
+
+    expect(result.assistantText).toBe('Heard 400 chunks');
+    expect(result.audioChunks).toEqual(['AAAA']);
+    const sentAudio = client.streams[0].inputs.filter(event => event.audioInput).map(event => event.audioInput.content);
+    expect(sentAudio).toEqual(audioChunks);
+    expect(eventNames(client.streams[0]).filter(name => name === 'textInput')).toHaveLength(101);
+  });
+});
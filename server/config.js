@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+/**
+ * Settings schema, keyed by the setting's path in the config object
+ *
+ *   type     - string, integer, boolean, list (comma separated in env), enum,
+ *              map (key:value pairs, comma separated in env),
+ *              versionMap (key:version pairs, comma separated in env) or
+ *              columnMap (field:column letter pairs, comma separated in env)
+ *   env      - environment variable that overrides the setting
+ *   default  - value used when neither env nor the config file set it; a function
+ *              receives the settings resolved so far
+ *   values   - allowed values for enum settings, or allowed fields for columnMap settings
+ *   min      - smallest allowed integer
+ *   optional - null is allowed
+ *   public   - exposed to the React app through /api/config
+ */
+const SCHEMA = {
+  'server.port': { type: 'integer', env: 'PORT', default: 3001, min: 1 },
+  'server.corsOrigins': {
+    type: 'list',
+    env: 'CORS_ORIGINS',
+    default: ['http://localhost:3000', 'http://localhost:3001']
+  },
+  'server.requestBodyLimit': { type: 'string', env: 'REQUEST_BODY_LIMIT', default: '10mb' },
+  // Reverse proxies in front of the server (1 behind nginx) whose X-Forwarded-For is trusted for client IPs
+  'server.trustProxy': { type: 'integer', env: 'TRUST_PROXY', default: 0, min: 0 },
+
+  'aws.region': { type: 'string', env: 'AWS_REGION', default: 'us-east-1', public: true },
+  'aws.bedrockEndpoint': {
+    type: 'string',
+    env: 'BEDROCK_RUNTIME_ENDPOINT',
+    default: (config) => `bedrock-runtime.${config.aws.region}.amazonaws.com`
+  },
+
+  'novaSonic.modelId': { type: 'string', env: 'NOVA_SONIC_MODEL_ID', default: 'amazon.nova-sonic-v1:0', public: true },
+  'novaSonic.maxStreamMs': { type: 'integer', env: 'NOVA_SONIC_MAX_STREAM_MS', default: 8 * 60 * 1000, min: 60000 },
+
+  'speech.provider': { type: 'enum', env: 'SPEECH_PROVIDER', values: ['nova-sonic', 'mock'], default: 'nova-sonic' },
+  'speech.defaultMode': {
+    type: 'enum',
+    env: 'CONVERSATION_MODE',
+    values: ['speech-to-speech', 'cascaded'],
+    default: 'speech-to-speech',
+    public: true
+  },
+  'cascaded.stt': { type: 'string', env: 'CASCADED_STT', default: 'stub' },
+  'cascaded.llm': { type: 'string', env: 'CASCADED_LLM', default: 'stub' },
+  'cascaded.tts': { type: 'string', env: 'CASCADED_TTS', default: 'stub' },
+  'cascaded.llmModelId': { type: 'string', env: 'CASCADED_LLM_MODEL_ID', default: null, optional: true },
+  'cascaded.ttsVoiceId': { type: 'string', env: 'CASCADED_TTS_VOICE_ID', default: null, optional: true },
+
+  // Voice for each conversation language other than English, e.g. LANGUAGE_VOICES=fr:ambre
+  'languages.voices': { type: 'map', env: 'LANGUAGE_VOICES', default: { fr: 'ambre' } },
+  // The same for cascaded mode, which speaks through Polly
+  'languages.cascadedVoices': { type: 'map', env: 'CASCADED_LANGUAGE_VOICES', default: { fr: 'Gabrielle' } },
+
+  'transcripts.enabled': { type: 'boolean', env: 'TRANSCRIPTS_ENABLED', default: true },
+  'transcripts.file': { type: 'string', env: 'TRANSCRIPTS_FILE', default: 'data/transcripts.jsonl' },
+
+  'prompts.file': { type: 'string', env: 'PROMPTS_FILE', default: 'data/prompts.json' },
+  // Object ID -> prompt version this deployment must use, e.g. PROMPT_PINS=lawit-sis-mask:2
+  'prompts.pins': { type: 'versionMap', env: 'PROMPT_PINS', default: {} },
+
+  // Curators' pronunciation guide for names, see LexiconStore
+  'lexicon.file': { type: 'string', env: 'LEXICON_FILE', default: 'data/lexicon.json' },
+
+  'sessions.resumeWindowMs': { type: 'integer', env: 'SESSION_RESUME_WINDOW_MS', default: 2 * 60 * 1000, min: 0 },
+
+  'limits.maxSessions': { type: 'integer', env: 'MAX_SESSIONS', default: 20, min: 1 },
+  'limits.maxSessionsPerIp': { type: 'integer', env: 'MAX_SESSIONS_PER_IP', default: 3, min: 1 },
+  'limits.maxSessionAudioSeconds': { type: 'integer', env: 'MAX_SESSION_AUDIO_SECONDS', default: 15 * 60, min: 1 },
+  'limits.dailyAudioSeconds': { type: 'integer', env: 'DAILY_AUDIO_SECONDS', default: 8 * 60 * 60, min: 1 },
+  'limits.apiRequestsPerMinute': { type: 'integer', env: 'API_REQUESTS_PER_MINUTE', default: 60, min: 1 },
+
+  // Bearer token curators send to change prompts, the lexicon, transcripts and the sheet; unset disables those routes
+  'curators.token': { type: 'string', env: 'CURATOR_TOKEN', default: null, optional: true },
+
+  'logging.level': { type: 'enum', env: 'LOG_LEVEL', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+
+  // Server-side only; a REACT_APP_ variable would be built into the browser bundle
+  'google.apiKey': { type: 'string', env: 'GOOGLE_API_KEY', default: null, optional: true },
+  // Service account key file; the sheet must be shared with the account for edits to be pushed back
+  'google.serviceAccountFile': { type: 'string', env: 'GOOGLE_SERVICE_ACCOUNT_FILE', default: null, optional: true },
+  'google.driveFolderId': {
+    type: 'string',
+    env: 'GOOGLE_DRIVE_FOLDER_ID',
+    default: '1YXGb80tWNxMb1gZ31n-JT8aqjyMi1SZX',
+    public: true
+  },
+  'google.sheetId': {
+    type: 'string',
+    env: 'GOOGLE_SHEET_ID',
+    default: '1HzxaGN0f1mEg5Kz37q9glAca5Nc3R1yf70M1j59CpSE',
+    public: true
+  },
+  // Optional sheet columns besides the name (A) and prompt (B), e.g. SHEET_COLUMNS=image:C,culture:E;
+  // promptFr holds a curator's French translation of the prompt, id an object ID that survives renaming
+  'google.sheetColumns': {
+    type: 'columnMap',
+    env: 'SHEET_COLUMNS',
+    values: ['image', 'accessionNumber', 'culture', 'date', 'materials', 'location', 'description', 'promptFr', 'id'],
+    default: {
+      image: 'C',
+      accessionNumber: 'D',
+      culture: 'E',
+      date: 'F',
+      materials: 'G',
+      location: 'H',
+      description: 'I',
+      promptFr: 'J'
+    }
+  },
+  'google.sheetCacheTtlMs': { type: 'integer', env: 'SHEET_CACHE_TTL_MS', default: 5 * 60 * 1000, min: 0 },
+  'google.sheetSnapshotFile': { type: 'string', env: 'SHEET_SNAPSHOT_FILE', default: 'data/sheet-snapshot.json' },
+
+  'assistant.systemPrompt': {
+    type: 'string',
+    env: 'DEFAULT_SYSTEM_PROMPT',
+    default: 'You are Nova Sonic, an AI assistant that provides information about objects at the Royal BC Museum.',
+    public: true
+  }
+};
+
+/**
+ * Thrown at startup when settings are missing or malformed
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Load settings from defaults, an optional JSON config file and the environment
+ * Environment variables win over the file, which wins over the defaults. The
+ * file is CONFIG_FILE, or config.json in the project root if it exists.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Validated settings
+ * @throws {ConfigError} If any setting is invalid
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+  const file = readConfigFile(env.CONFIG_FILE, problems);
+  const config = {};
+
+  Object.keys(file).forEach(section => {
+    const settings = file[section];
+    const known = Object.keys(SCHEMA).filter(key => key.startsWith(`${section}.`));
+    if (!known.length || !settings || typeof settings !== 'object') {
+      problems.push(`Unknown config file section "${section}"`);
+      return;
+    }
+    Object.keys(settings).forEach(name => {
+      if (!SCHEMA[`${section}.${name}`]) {
+        problems.push(`Unknown config file setting "${section}.${name}"`);
+      }
+    });
+  });
+
+  Object.entries(SCHEMA).forEach(([key, spec]) => {
+    let value;
+    let source;
+    if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') {
+      value = parseEnvValue(spec, env[spec.env]);
+      source = `environment variable ${spec.env}`;
+    } else if (getPath(file, key) !== undefined) {
+      value = getPath(file, key);
+      source = `config file setting "${key}"`;
+    } else {
+      value = typeof spec.default === 'function' ? spec.default(config) : spec.default;
+      source = `default for "${key}"`;
+    }
+
+    const problem = validateValue(spec, value);
+    if (problem) {
+      problems.push(`${source} ${problem}`);
+    }
+    setPath(config, key, value);
+  });
+
+  if (problems.length) {
+    throw new ConfigError(problems);
+  }
+  return config;
+}
+
+function readConfigFile(configFile, problems) {
+  const filePath = configFile ? path.resolve(configFile) : path.join(ROOT_DIR, 'config.json');
+  if (!fs.existsSync(filePath)) {
+    if (configFile) {
+      problems.push(`Config file ${filePath} does not exist`);
+    }
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      problems.push(`Config file ${filePath} must contain a JSON object`);
+      return {};
+    }
+    return parsed;
+  } catch (error) {
+    problems.push(`Config file ${filePath} could not be read: ${error.message}`);
+    return {};
+  }
+}
+
+function parseEnvValue(spec, raw) {
+  switch (spec.type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+    case 'boolean':
+      return raw === 'true' ? true : raw === 'false' ? false : raw;
+    case 'list':
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    case 'map':
+      return parsePairs(raw, value => value);
+    case 'versionMap':
+      return parsePairs(raw, version => (/^\d+$/.test(version) ? Number(version) : version));
+    case 'columnMap':
+      return parsePairs(raw, column => column.toUpperCase());
+    default:
+      return raw;
+  }
+}
+
+// Parse key:value pairs such as "3:2,17:5"
+function parsePairs(raw, parseValue) {
+  return Object.fromEntries(raw.split(',').filter(pair => pair.trim()).map(pair => {
+    const [key, value] = pair.split(':').map(part => (part || '').trim());
+    return [key, parseValue(value)];
+  }));
+}
+
+function validateValue(spec, value) {
+  if (value === null || value === undefined) {
+    return spec.optional ? null : 'is required';
+  }
+
+  switch (spec.type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() ? null : 'must be a non-empty string';
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      return spec.min !== undefined && value < spec.min ? `must be at least ${spec.min}` : null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'list':
+      return Array.isArray(value) && value.every(item => typeof item === 'string')
+        ? null
+        : 'must be a list of strings';
+    case 'enum':
+      return spec.values.includes(value) ? null : `must be one of: ${spec.values.join(', ')}`;
+    case 'map':
+      return value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.entries(value).every(([key, item]) => key && typeof item === 'string' && item)
+        ? null
+        : 'must map keys to values, e.g. fr:ambre';
+    case 'versionMap':
+      return value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.entries(value).every(([key, version]) => key && Number.isInteger(version) && version >= 1)
+        ? null
+        : 'must map object IDs to version numbers, e.g. lawit-sis-mask:2';
+    case 'columnMap':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'must map fields to column letters, e.g. image:C';
+      }
+      return Object.entries(value).every(([field, column]) =>
+        spec.values.includes(field) && typeof column === 'string' && /^[A-Z]{1,2}$/.test(column) && !['A', 'B'].includes(column))
+        ? null
+        : `must map fields (${spec.values.join(', ')}) to column letters after B, e.g. image:C`;
+    default:
+      return `has unknown type ${spec.type}`;
+  }
+}
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((node, part) => {
+    node[part] = node[part] || {};
+    return node[part];
+  }, object);
+  target[last] = value;
+}
+
+/**
+ * The settings marked public, safe to send to the browser
+ * @param {Object} settings - Loaded settings
+ * @returns {Object} Public settings in the same shape
+ */
+function publicConfig(settings) {
+  const result = {};
+  Object.entries(SCHEMA)
+    .filter(([, spec]) => spec.public)
+    .forEach(([key]) => setPath(result, key, getPath(settings, key)));
+  return result;
+}
+
+// .env holds local overrides during development; real environment variables take precedence
+dotenv.config({ path: path.join(ROOT_DIR, '.env') });
+
+const config = loadConfig();
+
+module.exports = { config, loadConfig, publicConfig, ConfigError, SCHEMA };
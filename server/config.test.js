@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, publicConfig, ConfigError } = require('./config');
+
+// A config file in a temporary directory, removed after each test
+let tempDir;
+const configFile = (contents) => {
+  const filePath = path.join(tempDir, 'config.json');
+  fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return filePath;
+};
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Settings from an empty config file, so a config.json in the project root does not leak in
+const load = (env = {}, file = {}) => loadConfig({ CONFIG_FILE: configFile(file), ...env });
+
+const problemsOf = (run) => {
+  try {
+    run();
+  } catch (error) {
+    expect(error).toBeInstanceOf(ConfigError);
+    return error.problems;
+  }
+  throw new Error('Expected a ConfigError');
+};
+
+describe('loadConfig', () => {
+  test('uses the defaults', () => {
+    const config = load();
+    expect(config.server.port).toBe(3001);
+    expect(config.server.trustProxy).toBe(0);
+    expect(config.limits.maxSessionsPerIp).toBe(3);
+    expect(config.aws.bedrockEndpoint).toBe('bedrock-runtime.us-east-1.amazonaws.com');
+  });
+
+  test('lets the environment win over the config file', () => {
+    const config = load({ PORT: '4000' }, { server: { port: 5000, trustProxy: 1 } });
+    expect(config.server.port).toBe(4000);
+    expect(config.server.trustProxy).toBe(1);
+  });
+
+  test('parses lists and key:value pairs from the environment', () => {
+    const config = load({
+      CORS_ORIGINS: 'https://a.example, https://b.example',
+      PROMPT_PINS: 'lawit-sis-mask:2,medals:5',
+      LANGUAGE_VOICES: 'fr:tiffany',
+      SHEET_COLUMNS: 'image:e,culture:F'
+    });
+    expect(config.server.corsOrigins).toEqual(['https://a.example', 'https://b.example']);
+    expect(config.prompts.pins).toEqual({ 'lawit-sis-mask': 2, medals: 5 });
+    expect(config.languages.voices).toEqual({ fr: 'tiffany' });
+    expect(config.google.sheetColumns).toEqual({ image: 'E', culture: 'F' });
+  });
+
+  test('reports every invalid setting at once', () => {
+    const problems = problemsOf(() => load({
+      PORT: 'eighty',
+      TRUST_PROXY: '-1',
+      TRANSCRIPTS_ENABLED: 'yes',
+      SPEECH_PROVIDER: 'parrot',
+      PROMPT_PINS: 'medals:latest',
+      SHEET_COLUMNS: 'image:B'
+    }));
+    expect(problems).toEqual([
+      'environment variable PORT must be an integer',
+      'environment variable TRUST_PROXY must be at least 0',
+      'environment variable SPEECH_PROVIDER must be one of: nova-sonic, mock',
+      'environment variable TRANSCRIPTS_ENABLED must be true or false',
+      'environment variable PROMPT_PINS must map object IDs to version numbers, e.g. lawit-sis-mask:2',
+      expect.stringMatching(/^environment variable SHEET_COLUMNS must map fields/)
+    ]);
+  });
+
+  test('reports unknown sections and settings in the config file', () => {
+    const problems = problemsOf(() => load({}, { servr: { port: 1 }, server: { prot: 1 } }));
+    expect(problems).toEqual([
+      'Unknown config file section "servr"',
+      'Unknown config file setting "server.prot"'
+    ]);
+  });
+
+  test('reports a config file that is not a JSON object', () => {
+    expect(problemsOf(() => load({}, '[1, 2]'))).toEqual([expect.stringMatching(/must contain a JSON object$/)]);
+    expect(problemsOf(() => load({}, '{ port: '))).toEqual([expect.stringMatching(/could not be read/)]);
+  });
+
+  test('reports a missing CONFIG_FILE', () => {
+    const problems = problemsOf(() => loadConfig({ CONFIG_FILE: path.join(tempDir, 'missing.json') }));
+    expect(problems).toEqual([expect.stringMatching(/does not exist$/)]);
+  });
+});
+
+describe('publicConfig', () => {
+  test('only exposes the settings marked public', () => {
+    const settings = publicConfig(load({ GOOGLE_API_KEY: 'secret' }));
+    expect(settings.google.sheetId).toBeDefined();
+    expect(settings.google.apiKey).toBeUndefined();
+    expect(settings.server).toBeUndefined();
+  });
+});
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Error codes for refused curator requests, so the client can ask for the token
+const CURATOR_CODES = {
+  CURATOR_TOKEN_REQUIRED: 'CURATOR_TOKEN_REQUIRED',
+  CURATOR_TOOLS_DISABLED: 'CURATOR_TOOLS_DISABLED'
+};
+
+// Compare without leaking through timing how much of the token matched
+const tokensMatch = (given, expected) => {
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Express middleware that only lets curators through
+ * Curators send the configured token as `Authorization: Bearer <token>`. Without
+ * a configured token the curator write routes are switched off, so a public
+ * kiosk never exposes them by accident.
+ * @param {string|null} token - The curator token from the config, or null
+ * @returns {Function} Middleware answering 401 for a missing or wrong token and
+ *   403 when no token is configured
+ */
+function requireCurator(token) {
+  return (req, res, next) => {
+    if (!token) {
+      return res.status(403).json({
+        error: 'Curator tools are disabled on this server',
+        code: CURATOR_CODES.CURATOR_TOOLS_DISABLED
+      });
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    if (!match || !tokensMatch(match[1], token)) {
+      return res.status(401).json({
+        error: 'A valid curator token is required',
+        code: CURATOR_CODES.CURATOR_TOKEN_REQUIRED
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { requireCurator, CURATOR_CODES };
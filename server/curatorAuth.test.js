@@ -0,0 +1,44 @@
+/**
+ * @jest-environment node
+ */
+const { requireCurator, CURATOR_CODES } = require('./curatorAuth');
+
+// Run the middleware on a request with the given Authorization header
+const request = (middleware, authorization) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const next = jest.fn();
+  const headers = authorization === undefined ? {} : { authorization };
+  middleware({ get: (name) => headers[name.toLowerCase()] }, res, next);
+  return { res, next };
+};
+
+describe('requireCurator', () => {
+  const middleware = requireCurator('s3cret-token');
+
+  test('lets a request with the token through', () => {
+    expect(request(middleware, 'Bearer s3cret-token').next).toHaveBeenCalled();
+  });
+
+  test.each([
+    ['no header', undefined],
+    ['a wrong token', 'Bearer s3cret'],
+    ['another scheme', 'Basic s3cret-token'],
+    ['an empty token', 'Bearer ']
+  ])('refuses %s with 401', (label, authorization) => {
+    const { res, next } = request(middleware, authorization);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toMatchObject({ code: CURATOR_CODES.CURATOR_TOKEN_REQUIRED });
+  });
+
+  test('refuses everything with 403 when no token is configured', () => {
+    const { res, next } = request(requireCurator(null), 'Bearer anything');
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toMatchObject({ code: CURATOR_CODES.CURATOR_TOOLS_DISABLED });
+  });
+});
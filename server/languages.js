@@ -0,0 +1,47 @@
+const { config } = require('./config');
+
+// Conversation languages, with the locale speech recognition listens for
+const LANGUAGES = {
+  en: { locale: 'en-US' },
+  fr: { locale: 'fr-CA' }
+};
+
+// Prompts and per-object voices are written for this language
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Check a language code sent by the client
+ * @param {*} value - e.g. 'fr'
+ * @returns {string|null} The code, or null when it is not a supported language
+ */
+function parseLanguage(value) {
+  return typeof value === 'string' && Object.prototype.hasOwnProperty.call(LANGUAGES, value) ? value : null;
+}
+
+/**
+ * Voice settings for a conversation in a language
+ * The object's voice for the mode becomes voiceId, as the sessions expect.
+ * Per-object voices are picked for the English prompt, so other languages use
+ * the voice configured for them. The speech recognition locale is added as
+ * languageCode.
+ * @param {Object} settings - Parsed voice settings, see parseVoiceSettings()
+ * @param {string|null} language - Language code, null for the default
+ * @param {string} mode - 'speech-to-speech' or 'cascaded'
+ * @returns {Object} The settings with voiceId and languageCode for the language
+ */
+function voiceSettingsForLanguage(settings, language, mode) {
+  const code = language || DEFAULT_LANGUAGE;
+  const cascaded = mode === 'cascaded';
+  const voices = cascaded ? config.languages.cascadedVoices : config.languages.voices;
+  const { voiceId, cascadedVoiceId, ...rest } = settings;
+  const result = { ...rest, languageCode: LANGUAGES[code].locale };
+  const objectVoice = cascaded ? cascadedVoiceId : voiceId;
+  if (code !== DEFAULT_LANGUAGE && voices[code]) {
+    result.voiceId = voices[code];
+  } else if (objectVoice) {
+    result.voiceId = objectVoice;
+  }
+  return result;
+}
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, parseLanguage, voiceSettingsForLanguage };
@@ -0,0 +1,65 @@
+const { config } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Structured logger writing one JSON object per line
+ *
+ * Every line carries `time`, `level` and `msg`, plus the fields bound with
+ * `child()` (e.g. a session ID to correlate everything one conversation logs)
+ * and any fields passed with the call. Error values are expanded to their
+ * message and stack. Lines below the configured `logging.level` are dropped.
+ */
+class Logger {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {string} options.level - Lowest level to write
+   * @param {Object} options.fields - Fields added to every line
+   */
+  constructor({ level = 'info', fields = {} } = {}) {
+    this.level = LEVELS[level] ? level : 'info';
+    this.fields = fields;
+  }
+
+  /**
+   * Create a logger that adds more fields to every line
+   * @param {Object} fields - Fields to bind, e.g. { sessionId }
+   * @returns {Logger} Child logger
+   */
+  child(fields) {
+    return new Logger({ level: this.level, fields: { ...this.fields, ...fields } });
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  write(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const line = { time: new Date().toISOString(), level, msg, ...this.fields };
+    Object.entries(fields).forEach(([key, value]) => {
+      line[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+    });
+
+    const output = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    output.write(JSON.stringify(line) + '\n');
+  }
+}
+
+const logger = new Logger({ level: config.logging.level });
+
+module.exports = { Logger, logger };
@@ -0,0 +1,126 @@
+// Turn latency buckets in seconds, from a snappy reply to one about to time out
+const LATENCY_BUCKETS = [0.25, 0.5, 1, 2, 3, 5, 8, 13, 20, 30, 60];
+
+/**
+ * Minimal Prometheus metrics in the text exposition format
+ *
+ * Counters, gauges and histograms keep one series per distinct label set.
+ * A gauge can take a `collect` function that is read at scrape time instead of
+ * being set as things change.
+ */
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  seriesFor(labels, create) {
+    const key = JSON.stringify(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, value: create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.series.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => 0).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, collect = null) {
+    super('gauge', name, help);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => 0).value = value;
+  }
+
+  render() {
+    if (this.collect) {
+      this.set({}, this.collect());
+    }
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    })).value;
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.series.forEach(({ labels, value }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+const metrics = {
+  activeSessions: new Gauge('speech_sessions_active', 'Conversation sessions currently alive'),
+  streamsOpened: new Counter('speech_streams_opened_total', 'Model streams opened'),
+  streamsFailed: new Counter('speech_streams_failed_total', 'Model streams that ended with an error'),
+  audioBytesIn: new Counter('speech_audio_in_bytes_total', 'Microphone audio bytes received from clients'),
+  audioBytesOut: new Counter('speech_audio_out_bytes_total', 'Assistant audio bytes sent to clients'),
+  turnLatency: new Histogram(
+    'speech_turn_latency_seconds',
+    'Time from the end of a user turn to the first assistant audio',
+    LATENCY_BUCKETS
+  ),
+  httpResponses: new Counter('http_responses_total', 'HTTP responses by method and status code')
+};
+
+/**
+ * Render every metric for a Prometheus scrape
+ * @returns {string} Text exposition format
+ */
+function renderMetrics() {
+  return Object.values(metrics).map(metric => metric.render()).join('\n') + '\n';
+}
+
+module.exports = { Counter, Gauge, Histogram, metrics, renderMetrics };
@@ -0,0 +1,160 @@
+/**
+ * Helpers for building and parsing Nova Sonic bidirectional stream events.
+ * Every input event is a JSON document of the form { event: { <name>: {...} } }
+ * sent as the bytes of an input payload chunk.
+ */
+const { TextEncoder, TextDecoder } = require('util');
+
+const DEFAULT_INFERENCE_CONFIG = {
+  maxTokens: 1024,
+  topP: 0.9,
+  temperature: 0.7
+};
+
+const DEFAULT_AUDIO_INPUT_CONFIG = {
+  mediaType: 'audio/lpcm',
+  sampleRateHertz: 16000,
+  sampleSizeBits: 16,
+  channelCount: 1,
+  audioType: 'SPEECH',
+  encoding: 'base64'
+};
+
+const DEFAULT_AUDIO_OUTPUT_CONFIG = {
+  mediaType: 'audio/lpcm',
+  sampleRateHertz: 24000,
+  sampleSizeBits: 16,
+  channelCount: 1,
+  voiceId: 'matthew',
+  encoding: 'base64',
+  audioType: 'SPEECH'
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Session-level events
+const sessionStart = (inferenceConfiguration = DEFAULT_INFERENCE_CONFIG) => ({
+  event: { sessionStart: { inferenceConfiguration } }
+});
+
+const sessionEnd = () => ({
+  event: { sessionEnd: {} }
+});
+
+// Prompt-level events
+const promptStart = (promptName, audioOutputConfiguration = DEFAULT_AUDIO_OUTPUT_CONFIG) => ({
+  event: {
+    promptStart: {
+      promptName,
+      textOutputConfiguration: { mediaType: 'text/plain' },
+      audioOutputConfiguration
+    }
+  }
+});
+
+const promptEnd = (promptName) => ({
+  event: { promptEnd: { promptName } }
+});
+
+// Content-level events
+const contentEnd = (promptName, contentName) => ({
+  event: { contentEnd: { promptName, contentName } }
+});
+
+/**
+ * Build the three events that carry a complete block of text input
+ * @param {string} promptName - Name of the enclosing prompt
+ * @param {string} contentName - Unique name for this content block
+ * @param {string} role - SYSTEM, USER or ASSISTANT
+ * @param {string} content - The text itself
+ * @param {boolean} interactive - False for the system prompt and replayed history,
+ *   which set up the conversation rather than take part in it
+ * @returns {Array} contentStart, textInput and contentEnd events
+ */
+const textContent = (promptName, contentName, role, content, interactive = true) => [
+  {
+    event: {
+      contentStart: {
+        promptName,
+        contentName,
+        type: 'TEXT',
+        interactive,
+        role,
+        textInputConfiguration: { mediaType: 'text/plain' }
+      }
+    }
+  },
+  {
+    event: { textInput: { promptName, contentName, content } }
+  },
+  contentEnd(promptName, contentName)
+];
+
+const audioContentStart = (promptName, contentName, audioInputConfiguration = DEFAULT_AUDIO_INPUT_CONFIG) => ({
+  event: {
+    contentStart: {
+      promptName,
+      contentName,
+      type: 'AUDIO',
+      interactive: true,
+      role: 'USER',
+      audioInputConfiguration
+    }
+  }
+});
+
+const audioInput = (promptName, contentName, content) => ({
+  event: { audioInput: { promptName, contentName, content } }
+});
+
+/**
+ * Wrap an event in the chunk format expected by InvokeModelWithBidirectionalStreamCommand
+ * @param {Object} event - Event document
+ * @returns {Object} Input payload chunk
+ */
+const encodeEvent = (event) => ({
+  chunk: { bytes: textEncoder.encode(JSON.stringify(event)) }
+});
+
+/**
+ * Decode an output chunk from the response body into its event document
+ * @param {Object} part - Item from the response body iterator
+ * @returns {Object|null} The `event` object, or null if the part carried no bytes
+ */
+const decodeEvent = (part) => {
+  if (!part.chunk || !part.chunk.bytes) return null;
+  const parsed = JSON.parse(textDecoder.decode(part.chunk.bytes));
+  return parsed.event || null;
+};
+
+/**
+ * Extract the generation stage (SPECULATIVE or FINAL) from a contentStart event
+ * @param {Object} contentStartEvent - contentStart output event
+ * @returns {string|null} Generation stage if present
+ */
+const getGenerationStage = (contentStartEvent) => {
+  if (!contentStartEvent.additionalModelFields) return null;
+  try {
+    return JSON.parse(contentStartEvent.additionalModelFields).generationStage || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+module.exports = {
+  DEFAULT_INFERENCE_CONFIG,
+  DEFAULT_AUDIO_INPUT_CONFIG,
+  DEFAULT_AUDIO_OUTPUT_CONFIG,
+  sessionStart,
+  sessionEnd,
+  promptStart,
+  promptEnd,
+  textContent,
+  audioContentStart,
+  audioInput,
+  contentEnd,
+  encodeEvent,
+  decodeEvent,
+  getGenerationStage
+};
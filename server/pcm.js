@@ -0,0 +1,193 @@
+/**
+ * Helpers for working with raw 16-bit little-endian mono PCM audio
+ */
+
+/**
+ * Generate a sine tone as 16-bit PCM
+ * @param {Object} options
+ * @param {number} options.frequency - Tone frequency in Hz
+ * @param {number} options.durationMs - Length of the tone in milliseconds
+ * @param {number} options.sampleRate - Samples per second
+ * @param {number} options.amplitude - Peak amplitude between 0 and 1
+ * @returns {Buffer} PCM samples
+ */
+function generateTone({ frequency = 440, durationMs = 500, sampleRate = 24000, amplitude = 0.3 } = {}) {
+  const sampleCount = Math.floor(sampleRate * durationMs / 1000);
+  const buffer = Buffer.alloc(sampleCount * 2);
+  // Short fade in and out so consecutive tones don't click
+  const fadeSamples = Math.min(Math.floor(sampleRate / 100), Math.floor(sampleCount / 2));
+
+  for (let i = 0; i < sampleCount; i++) {
+    let gain = amplitude;
+    if (i < fadeSamples) {
+      gain *= i / fadeSamples;
+    } else if (i > sampleCount - fadeSamples) {
+      gain *= (sampleCount - i) / fadeSamples;
+    }
+    const sample = Math.sin(2 * Math.PI * frequency * i / sampleRate) * gain;
+    buffer.writeInt16LE(Math.round(sample * 0x7FFF), i * 2);
+  }
+
+  return buffer;
+}
+
+/**
+ * Split a PCM buffer into base64 chunks of a fixed duration
+ * @param {Buffer} pcm - PCM samples
+ * @param {number} sampleRate - Samples per second
+ * @param {number} chunkMs - Duration of each chunk in milliseconds
+ * @returns {Array<string>} Base64 encoded chunks
+ */
+function chunkPcm(pcm, sampleRate, chunkMs = 100) {
+  const chunkBytes = Math.max(2, Math.floor(sampleRate * chunkMs / 1000) * 2);
+  const chunks = [];
+  for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+    chunks.push(pcm.subarray(offset, offset + chunkBytes).toString('base64'));
+  }
+  return chunks;
+}
+
+/**
+ * Duration of base64 encoded PCM audio
+ * @param {Array<string>} chunks - Base64 encoded chunks
+ * @param {number} sampleRate - Samples per second
+ * @returns {number} Duration in seconds
+ */
+function pcmDurationSeconds(chunks, sampleRate) {
+  const bytes = chunks.reduce((total, chunk) => total + Buffer.byteLength(chunk, 'base64'), 0);
+  return bytes / 2 / sampleRate;
+}
+
+/**
+ * Resample PCM with linear interpolation
+ * @param {Buffer} pcm - PCM samples
+ * @param {number} fromRate - Source sample rate
+ * @param {number} toRate - Target sample rate
+ * @returns {Buffer} Resampled PCM
+ */
+function resamplePcm(pcm, fromRate, toRate) {
+  if (fromRate === toRate) return pcm;
+
+  const inputSamples = Math.floor(pcm.length / 2);
+  const outputSamples = Math.floor(inputSamples * toRate / fromRate);
+  const output = Buffer.alloc(outputSamples * 2);
+  const ratio = fromRate / toRate;
+
+  for (let i = 0; i < outputSamples; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const current = pcm.readInt16LE(index * 2);
+    const next = index + 1 < inputSamples ? pcm.readInt16LE((index + 1) * 2) : current;
+    output.writeInt16LE(Math.round(current + (next - current) * fraction), i * 2);
+  }
+
+  return output;
+}
+
+// Sample rates accepted for uploaded audio; resampling from far outside these
+// would make a short upload expand into a huge buffer
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 96000;
+
+// WAV sample sizes decodeWav can read, by encoding
+const INTEGER_SAMPLE_BITS = [8, 16, 24, 32];
+const FLOAT_SAMPLE_BITS = [32];
+
+// The fmt chunk's fields up to bitsPerSample
+const FMT_CHUNK_BYTES = 16;
+
+// Decoding errors carry the HTTP status for the upload: 400 if malformed, 415 if unsupported
+function wavError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Decode a WAV file into 16-bit mono PCM
+ * Supports integer PCM (8, 16, 24 and 32 bit) and 32-bit float, any channel count.
+ * @param {Buffer} wav - Complete WAV file
+ * @returns {Object} { pcm, sampleRate }
+ * @throws {Error} With `status` 400 for a malformed file or 415 for an unsupported encoding
+ */
+function decodeWav(wav) {
+  if (wav.length < 12 || wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw wavError('Not a WAV file', 400);
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= wav.length) {
+    const chunkId = wav.toString('ascii', offset, offset + 4);
+    const chunkSize = wav.readUInt32LE(offset + 4);
+    const body = wav.subarray(offset + 8, Math.min(wav.length, offset + 8 + chunkSize));
+
+    if (chunkId === 'fmt ') {
+      if (body.length < FMT_CHUNK_BYTES) {
+        throw wavError('WAV fmt chunk is too short', 400);
+      }
+      format = {
+        audioFormat: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14)
+      };
+    } else if (chunkId === 'data') {
+      data = body;
+    }
+    // Chunks are padded to an even number of bytes
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  if (!format || !data) {
+    throw wavError('WAV file is missing its fmt or data chunk', 400);
+  }
+
+  const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+  if (!channels || !sampleRate || !bitsPerSample) {
+    throw wavError('WAV fmt chunk has no channels, sample rate or sample size', 400);
+  }
+  const isFloat = audioFormat === 3;
+  // 0xFFFE is WAVE_FORMAT_EXTENSIBLE, treated as integer PCM here
+  if (!isFloat && audioFormat !== 1 && audioFormat !== 0xFFFE) {
+    throw wavError(`Unsupported WAV encoding ${audioFormat}`, 415);
+  }
+  if (!(isFloat ? FLOAT_SAMPLE_BITS : INTEGER_SAMPLE_BITS).includes(bitsPerSample)) {
+    throw wavError(`Unsupported WAV sample size ${bitsPerSample}`, 415);
+  }
+  if (sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+    throw wavError(`Unsupported WAV sample rate ${sampleRate}`, 415);
+  }
+
+  const bytesPerSample = bitsPerSample / 8;
+  const frameBytes = bytesPerSample * channels;
+  const frames = Math.floor(data.length / frameBytes);
+  const pcm = Buffer.alloc(frames * 2);
+
+  const readSample = (position) => {
+    if (isFloat) return data.readFloatLE(position);
+    switch (bitsPerSample) {
+      case 8: return (data.readUInt8(position) - 128) / 128;
+      case 16: return data.readInt16LE(position) / 32768;
+      case 24: return data.readIntLE(position, 3) / 8388608;
+      case 32: return data.readInt32LE(position) / 2147483648;
+      default: throw wavError(`Unsupported WAV sample size ${bitsPerSample}`, 415);
+    }
+  };
+
+  for (let frame = 0; frame < frames; frame++) {
+    // Downmix to mono by averaging the channels
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += readSample(frame * frameBytes + channel * bytesPerSample);
+    }
+    const sample = Math.max(-1, Math.min(1, sum / channels));
+    pcm.writeInt16LE(Math.round(sample * 0x7FFF), frame * 2);
+  }
+
+  return { pcm, sampleRate };
+}
+
+module.exports = { generateTone, chunkPcm, pcmDurationSeconds, resamplePcm, decodeWav, MIN_SAMPLE_RATE, MAX_SAMPLE_RATE };
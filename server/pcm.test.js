@@ -0,0 +1,94 @@
+/**
+ * @jest-environment node
+ */
+const { decodeWav } = require('./pcm');
+
+// A WAV file with one fmt chunk, whose fields can be overridden, and one data chunk
+function buildWav({ audioFormat = 1, channels = 1, sampleRate = 16000, bitsPerSample = 16, fmtBytes = 16, data = Buffer.alloc(8) } = {}) {
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(audioFormat, 0);
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * channels * bitsPerSample / 8, 8);
+  fmt.writeUInt16LE(channels * bitsPerSample / 8, 12);
+  fmt.writeUInt16LE(bitsPerSample, 14);
+
+  const chunk = (id, body) => {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'ascii');
+    header.writeUInt32LE(body.length, 4);
+    return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+  };
+  const chunks = Buffer.concat([chunk('fmt ', fmt.subarray(0, fmtBytes)), chunk('data', data)]);
+
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(4 + chunks.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  return Buffer.concat([header, chunks]);
+}
+
+const samples = (values, write, bytes) => {
+  const buffer = Buffer.alloc(values.length * bytes);
+  values.forEach((value, i) => write.call(buffer, value, i * bytes));
+  return buffer;
+};
+
+describe('decodeWav', () => {
+  test('returns 16-bit mono PCM unchanged', () => {
+    const data = samples([0, 1000, -1000, 16384], Buffer.prototype.writeInt16LE, 2);
+    const { pcm, sampleRate } = decodeWav(buildWav({ data }));
+
+    expect(sampleRate).toBe(16000);
+    expect([0, 1, 2, 3].map(i => pcm.readInt16LE(i * 2))).toEqual([0, 1000, -1000, 16384]);
+  });
+
+  test('downmixes stereo by averaging the channels', () => {
+    const data = samples([16384, 0, -16384, -16384], Buffer.prototype.writeInt16LE, 2);
+    const { pcm } = decodeWav(buildWav({ channels: 2, sampleRate: 48000, data }));
+
+    expect(pcm.length).toBe(4);
+    expect(pcm.readInt16LE(0)).toBe(8192);
+    // Samples are scaled by 0x7FFF on the way out, so -0.5 rounds to -16383
+    expect(pcm.readInt16LE(2)).toBe(-16383);
+  });
+
+  test('reads 32-bit float samples', () => {
+    const data = samples([0.5, -1], Buffer.prototype.writeFloatLE, 4);
+    const { pcm } = decodeWav(buildWav({ audioFormat: 3, bitsPerSample: 32, data }));
+
+    expect(pcm.readInt16LE(0)).toBe(Math.round(0.5 * 0x7FFF));
+    expect(pcm.readInt16LE(2)).toBe(-0x7FFF);
+  });
+
+  test('rejects files that are not WAV with status 400', () => {
+    expect(() => decodeWav(Buffer.from('not a wav file'))).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('rejects a short fmt chunk with status 400', () => {
+    expect(() => decodeWav(buildWav({ fmtBytes: 8 }))).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('rejects a file without a data chunk with status 400', () => {
+    const wav = buildWav();
+    // Cut the file after the fmt chunk
+    expect(() => decodeWav(wav.subarray(0, 12 + 8 + 16))).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test.each([
+    ['0 channels', { channels: 0 }],
+    ['0 bits per sample', { bitsPerSample: 0 }],
+    ['a sample rate of 0', { sampleRate: 0 }]
+  ])('rejects a fmt chunk with %s with status 400', (label, fields) => {
+    expect(() => decodeWav(buildWav(fields))).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test.each([
+    ['an unknown encoding', { audioFormat: 2 }],
+    ['12-bit samples', { bitsPerSample: 12 }],
+    ['64-bit float samples', { audioFormat: 3, bitsPerSample: 64 }],
+    ['a 1 Hz sample rate', { sampleRate: 1 }]
+  ])('rejects %s with status 415', (label, fields) => {
+    expect(() => decodeWav(buildWav(fields))).toThrow(expect.objectContaining({ status: 415 }));
+  });
+});
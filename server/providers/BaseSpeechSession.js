@@ -0,0 +1,194 @@
+const { chunkPcm } = require('../pcm');
+const { logger: rootLogger } = require('../logger');
+const { metrics } = require('../metrics');
+
+const OUTPUT_SAMPLE_RATE = 24000;
+const OUTPUT_CHUNK_MS = 100;
+
+/**
+ * BaseSpeechSession - Shared turn handling for providers that answer a whole
+ * user turn at once rather than over a live model stream
+ *
+ * Audio is collected between startAudio and endAudio, then handed to
+ * `respond(audioChunks, turn)`, which subclasses implement. Helpers emit text and
+ * paced audio with the same event shapes NovaSonicSession produces. Starting a
+ * new user turn while an answer is still being produced cancels it and emits
+ * `interrupted`, the same barge-in signal NovaSonicSession forwards. Each
+ * answer is counted as one model stream in the stream metrics.
+ */
+class BaseSpeechSession {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {Function} options.emit - Called with (eventName, payload) for every client event
+   * @param {boolean} options.realtime - Pace audio output in real time (false for batch requests)
+   * @param {Logger} options.logger - Logger bound to this session
+   * @param {string} options.provider - Provider label for metrics, e.g. mock
+   */
+  constructor({ emit, realtime = true, logger = rootLogger, provider }) {
+    this.emit = emit;
+    this.provider = provider;
+    this.logger = logger;
+    this.realtime = realtime;
+    this.systemPrompt = "";
+    this.state = 'idle';
+    this.history = [];
+    this.voiceSettings = {};
+    this.audioChunks = [];
+    this.timers = new Set();
+    this.turn = null;
+  }
+
+  setSystemPrompt(prompt) {
+    this.systemPrompt = prompt;
+  }
+
+  /**
+   * Per-object voice and inference settings for the following turns
+   * @param {Object} settings - Parsed { voiceId, temperature, topP, maxTokens }, all optional
+   */
+  setVoiceSettings(settings) {
+    this.voiceSettings = { ...settings };
+  }
+
+  /**
+   * Seed the conversation with earlier turns, e.g. from a client that kept them
+   * @param {Array} history - Turns as { role: 'USER' | 'ASSISTANT', content }
+   */
+  setHistory(history) {
+    this.history = history.map(({ role, content }) => ({ role, content }));
+  }
+
+  reset() {
+    this.cancelTurn();
+    this.history = [];
+    this.audioChunks = [];
+    if (this.state !== 'closed') {
+      this.state = 'idle';
+    }
+  }
+
+  startAudio() {
+    if (this.state === 'closed' || this.state === 'listening') return;
+
+    if (this.turn) {
+      this.cancelTurn();
+      this.emit('interrupted', { role: 'ASSISTANT' });
+    }
+
+    this.audioChunks = [];
+    this.state = 'listening';
+  }
+
+  addAudio(audioBase64) {
+    if (this.state !== 'listening' || !audioBase64) return;
+    this.audioChunks.push(audioBase64);
+  }
+
+  // Audio is collected in memory, so there is always room for more
+  inputReady() {
+    return Promise.resolve();
+  }
+
+  endAudio() {
+    if (this.state !== 'listening') return;
+
+    const audioChunks = this.audioChunks;
+    const turn = { cancelled: false };
+    this.audioChunks = [];
+    this.turn = turn;
+    this.state = 'ready';
+    metrics.streamsOpened.inc({ provider: this.provider });
+
+    Promise.resolve()
+      .then(() => this.respond(audioChunks, turn))
+      .catch((error) => {
+        if (turn.cancelled) return;
+        this.turn = null;
+        this.logger.error('Error responding to user turn', { error });
+        metrics.streamsFailed.inc({ provider: this.provider });
+        this.emit('error', { message: 'Failed to generate a response' });
+        this.emit('streamComplete');
+      });
+  }
+
+  close() {
+    this.state = 'closed';
+    this.cancelTurn();
+  }
+
+  /**
+   * Abandon the answer in progress, if any
+   */
+  cancelTurn() {
+    if (this.turn) {
+      this.turn.cancelled = true;
+      this.turn = null;
+    }
+    this.clearTimers();
+  }
+
+  /**
+   * Mark the current answer as finished
+   */
+  completeTurn() {
+    this.turn = null;
+    this.emit('streamComplete');
+  }
+
+  /**
+   * Answer one user turn
+   * @param {Array<string>} audioChunks - Base64 encoded 16 kHz PCM from the user
+   * @param {Object} turn - Has `cancelled` set once the answer is no longer wanted
+   */
+  async respond(audioChunks, turn) {
+    throw new Error('respond() must be implemented by the speech session');
+  }
+
+  /**
+   * Emit a complete text block and remember it in the conversation history
+   * @param {string} role - USER or ASSISTANT
+   * @param {string} content - Text to emit
+   */
+  emitText(role, content) {
+    this.history.push({ role, content });
+    this.emit('contentStart', { type: 'TEXT', role });
+    this.emit('textOutput', { role, content });
+    this.emit('contentEnd', { type: 'TEXT', role, stopReason: 'END_TURN' });
+  }
+
+  /**
+   * Stream assistant audio, paced in real time unless disabled, and finish the turn
+   * @param {Buffer} pcm - 24 kHz 16-bit mono PCM
+   */
+  streamAudio(pcm) {
+    const chunks = chunkPcm(pcm, OUTPUT_SAMPLE_RATE, OUTPUT_CHUNK_MS);
+    const chunkDelayMs = this.realtime ? OUTPUT_CHUNK_MS : 0;
+
+    this.emit('contentStart', { type: 'AUDIO', role: 'ASSISTANT' });
+    chunks.forEach((content, index) => {
+      this.schedule(index * chunkDelayMs, () => this.emit('audioOutput', { content }));
+    });
+    this.schedule(chunks.length * chunkDelayMs, () => {
+      this.emit('contentEnd', { type: 'AUDIO', role: 'ASSISTANT', stopReason: 'END_TURN' });
+      this.completeTurn();
+    });
+  }
+
+  schedule(delayMs, callback) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      if (this.state !== 'closed') {
+        callback();
+      }
+    }, delayMs);
+    this.timers.add(timer);
+  }
+
+  clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+module.exports = { BaseSpeechSession, OUTPUT_SAMPLE_RATE };
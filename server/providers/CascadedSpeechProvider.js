@@ -0,0 +1,83 @@
+const { BaseSpeechSession, OUTPUT_SAMPLE_RATE } = require('./BaseSpeechSession');
+const { resamplePcm } = require('../pcm');
+const { createSpeechToText, createTextLLM, createTextToSpeech } = require('./cascaded');
+const { inferenceOverrides } = require('../voiceSettings');
+
+const INPUT_SAMPLE_RATE = 16000;
+
+/**
+ * CascadedSpeechSession - Answers each user turn with speech-to-text, a text
+ * LLM and text-to-speech in sequence
+ */
+class CascadedSpeechSession extends BaseSpeechSession {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {Function} options.emit - Called with (eventName, payload) for every client event
+   * @param {Object} options.stt - Speech-to-text adapter
+   * @param {Object} options.llm - Text LLM adapter
+   * @param {Object} options.tts - Text-to-speech adapter
+   * @param {boolean} options.realtime - Pace audio output in real time
+   */
+  constructor({ emit, stt, llm, tts, realtime, logger }) {
+    super({ emit, realtime, logger, provider: 'cascaded' });
+    this.stt = stt;
+    this.llm = llm;
+    this.tts = tts;
+  }
+
+  async respond(audioChunks, turn) {
+    const pcm = Buffer.concat(audioChunks.map(chunk => Buffer.from(chunk, 'base64')));
+    const transcript = await this.stt.transcribe(pcm, {
+      sampleRate: INPUT_SAMPLE_RATE,
+      languageCode: this.voiceSettings.languageCode
+    });
+    if (turn.cancelled) return;
+
+    if (!transcript) {
+      // Nothing intelligible was said; let the client start another turn
+      this.completeTurn();
+      return;
+    }
+    this.emitText('USER', transcript);
+
+    const reply = await this.llm.complete({
+      systemPrompt: this.systemPrompt,
+      history: this.history,
+      inferenceConfig: inferenceOverrides(this.voiceSettings)
+    });
+    if (turn.cancelled) return;
+    this.emitText('ASSISTANT', reply);
+
+    const { audio, sampleRate } = await this.tts.synthesize(reply, { voiceId: this.voiceSettings.voiceId });
+    if (turn.cancelled) return;
+    this.streamAudio(resamplePcm(audio, sampleRate, OUTPUT_SAMPLE_RATE));
+  }
+}
+
+/**
+ * CascadedSpeechProvider - STT -> LLM -> TTS behind the speech provider interface
+ */
+class CascadedSpeechProvider {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {string} options.region - AWS region for the AWS adapters
+   * @param {string} options.stt - Speech-to-text adapter name
+   * @param {string} options.llm - Text LLM adapter name
+   * @param {string} options.tts - Text-to-speech adapter name
+   * @param {Object} options.adapterOptions - Extra options per adapter kind ({ stt, llm, tts })
+   */
+  constructor({ region, stt = 'stub', llm = 'stub', tts = 'stub', adapterOptions = {} }) {
+    this.name = `cascaded (${stt} -> ${llm} -> ${tts})`;
+    this.stt = createSpeechToText(stt, { region, ...adapterOptions.stt });
+    this.llm = createTextLLM(llm, { region, ...adapterOptions.llm });
+    this.tts = createTextToSpeech(tts, { region, ...adapterOptions.tts });
+  }
+
+  createSession({ emit, realtime, logger }) {
+    return new CascadedSpeechSession({ emit, stt: this.stt, llm: this.llm, tts: this.tts, realtime, logger });
+  }
+}
+
+module.exports = { CascadedSpeechProvider, CascadedSpeechSession };
@@ -0,0 +1,92 @@
+const { generateTone, pcmDurationSeconds } = require('../pcm');
+const { BaseSpeechSession, OUTPUT_SAMPLE_RATE } = require('./BaseSpeechSession');
+
+const INPUT_SAMPLE_RATE = 16000;
+
+const CANNED_TRANSCRIPTS = [
+  "Can you tell me about this object?",
+  "How old is it?",
+  "Who made it and how was it used?",
+  "Why is it important to the museum?"
+];
+
+// Two-tone "speech" so the mock is audibly different from silence
+const RESPONSE_TONES = [440, 554];
+
+/**
+ * Synthesize tones lasting roughly as long as the text would take to say
+ * @param {string} text - Text being "spoken"
+ * @returns {Buffer} 24 kHz 16-bit mono PCM
+ */
+function synthesizeTones(text) {
+  const words = text.split(/\s+/).length;
+  const toneMs = Math.min(4000, Math.max(600, words * 60));
+  return Buffer.concat(RESPONSE_TONES.map(frequency =>
+    generateTone({ frequency, durationMs: toneMs / RESPONSE_TONES.length, sampleRate: OUTPUT_SAMPLE_RATE })
+  ));
+}
+
+/**
+ * MockSpeechSession - Offline stand-in for a speech-to-speech session
+ *
+ * Pretends to transcribe each user turn by echoing canned text, answers with a
+ * short reply derived from the system prompt, and streams synthetic PCM tones as
+ * audioOutput. Events are emitted with the same shape and ordering the real
+ * provider produces so NovaSonicChat can be exercised without AWS.
+ */
+class MockSpeechSession extends BaseSpeechSession {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {Function} options.emit - Called with (eventName, payload) for every client event
+   * @param {number} options.latencyMs - Simulated model latency before each response
+   * @param {boolean} options.realtime - Pace audio output in real time
+   */
+  constructor({ emit, latencyMs = 300, realtime, logger }) {
+    super({ emit, realtime, logger, provider: 'mock' });
+    this.latencyMs = latencyMs;
+  }
+
+  async respond(audioChunks) {
+    const seconds = pcmDurationSeconds(audioChunks, INPUT_SAMPLE_RATE);
+    const userTurns = this.history.filter(turn => turn.role === 'USER').length;
+    const transcript = CANNED_TRANSCRIPTS[userTurns % CANNED_TRANSCRIPTS.length];
+    const reply = this.buildReply(transcript, seconds);
+
+    this.schedule(this.latencyMs, () => this.emitText('USER', transcript));
+    this.schedule(this.latencyMs * 2, () => {
+      this.emitText('ASSISTANT', reply);
+      this.streamAudio(synthesizeTones(reply));
+    });
+  }
+
+  /**
+   * Compose a canned answer that shows which prompt the session was given
+   * @param {string} transcript - Pretend user transcript
+   * @param {number} seconds - Length of the user's audio
+   * @returns {string} Assistant reply
+   */
+  buildReply(transcript, seconds) {
+    const subject = this.systemPrompt
+      ? this.systemPrompt.replace(/\s+/g, ' ').trim().substring(0, 80)
+      : 'this object';
+    return `This is a mock answer to "${transcript}" after ${seconds.toFixed(1)} seconds of audio. ` +
+      `I was asked to talk about: ${subject}`;
+  }
+}
+
+/**
+ * MockSpeechProvider - Speech provider that needs no credentials or network
+ */
+class MockSpeechProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.latencyMs = options.latencyMs;
+  }
+
+  createSession({ emit, realtime, logger }) {
+    return new MockSpeechSession({ emit, latencyMs: this.latencyMs, realtime, logger });
+  }
+}
+
+module.exports = { MockSpeechProvider, MockSpeechSession, CANNED_TRANSCRIPTS, synthesizeTones };
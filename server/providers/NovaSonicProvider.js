@@ -0,0 +1,36 @@
+const { BedrockRuntimeClient } = require('@aws-sdk/client-bedrock-runtime');
+const { NovaSonicSession } = require('../NovaSonicSession');
+
+/**
+ * NovaSonicProvider - Speech-to-speech through Amazon Nova Sonic on Bedrock
+ */
+class NovaSonicProvider {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {string} options.region - AWS region
+   * @param {string} options.endpoint - Bedrock runtime endpoint
+   * @param {string} options.modelId - Model to invoke
+   * @param {number} options.maxStreamMs - Longest a single stream may stay open
+   */
+  constructor({ region, endpoint, modelId, maxStreamMs }) {
+    this.name = 'nova-sonic';
+    this.modelId = modelId;
+    this.maxStreamMs = maxStreamMs;
+
+    // Initialize AWS v3 Bedrock client with default credentials
+    this.client = new BedrockRuntimeClient({ region, endpoint });
+  }
+
+  createSession({ emit, logger }) {
+    return new NovaSonicSession({
+      client: this.client,
+      modelId: this.modelId,
+      maxStreamMs: this.maxStreamMs,
+      emit,
+      logger
+    });
+  }
+}
+
+module.exports = { NovaSonicProvider };
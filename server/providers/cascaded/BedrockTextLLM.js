@@ -0,0 +1,53 @@
+const { BedrockRuntimeClient, ConverseCommand } = require('@aws-sdk/client-bedrock-runtime');
+
+/**
+ * BedrockTextLLM - Text generation through the Bedrock Converse API
+ */
+class BedrockTextLLM {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {string} options.region - AWS region
+   * @param {string} options.modelId - Text model to invoke
+   * @param {Object} options.inferenceConfig - maxTokens, temperature and topP
+   */
+  constructor({ region, modelId = 'amazon.nova-lite-v1:0', inferenceConfig = { maxTokens: 512 } }) {
+    this.client = new BedrockRuntimeClient({ region });
+    this.modelId = modelId;
+    this.inferenceConfig = inferenceConfig;
+  }
+
+  /**
+   * Generate the assistant's next reply
+   * @param {Object} options
+   * @param {string} options.systemPrompt - System prompt
+   * @param {Array} options.history - Conversation so far as { role, content }
+   * @param {Object} options.inferenceConfig - Overrides for maxTokens, temperature and topP
+   * @returns {Promise<string>} Reply text
+   */
+  async complete({ systemPrompt, history, inferenceConfig = {} }) {
+    // Converse needs strictly alternating roles starting with the user
+    const messages = [];
+    for (const turn of history) {
+      const role = turn.role === 'ASSISTANT' ? 'assistant' : 'user';
+      const previous = messages[messages.length - 1];
+      if (previous && previous.role === role) {
+        previous.content[0].text += `\n${turn.content}`;
+      } else if (messages.length > 0 || role === 'user') {
+        messages.push({ role, content: [{ text: turn.content }] });
+      }
+    }
+
+    const response = await this.client.send(new ConverseCommand({
+      modelId: this.modelId,
+      system: systemPrompt ? [{ text: systemPrompt }] : undefined,
+      messages,
+      inferenceConfig: { ...this.inferenceConfig, ...inferenceConfig }
+    }));
+
+    const content = response.output?.message?.content || [];
+    return content.map(block => block.text || '').join('').trim();
+  }
+}
+
+module.exports = { BedrockTextLLM };
@@ -0,0 +1,43 @@
+const AWS = require('aws-sdk');
+
+// Polly returns raw PCM at 8 or 16 kHz only
+const POLLY_SAMPLE_RATE = 16000;
+
+/**
+ * PollyTextToSpeech - Text-to-speech through Amazon Polly
+ */
+class PollyTextToSpeech {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {string} options.region - AWS region
+   * @param {string} options.voiceId - Polly voice, e.g. Matthew
+   * @param {string} options.engine - neural or standard
+   */
+  constructor({ region, voiceId = 'Matthew', engine = 'neural' }) {
+    this.polly = new AWS.Polly({ region });
+    this.voiceId = voiceId;
+    this.engine = engine;
+  }
+
+  /**
+   * Synthesize speech
+   * @param {string} text - Text to speak
+   * @param {Object} options
+   * @param {string} options.voiceId - Polly voice to use instead of the default
+   * @returns {Promise<Object>} { audio, sampleRate } with 16-bit mono PCM
+   */
+  async synthesize(text, { voiceId } = {}) {
+    const data = await this.polly.synthesizeSpeech({
+      Text: text,
+      OutputFormat: 'pcm',
+      SampleRate: String(POLLY_SAMPLE_RATE),
+      VoiceId: voiceId || this.voiceId,
+      Engine: this.engine
+    }).promise();
+
+    return { audio: Buffer.from(data.AudioStream), sampleRate: POLLY_SAMPLE_RATE };
+  }
+}
+
+module.exports = { PollyTextToSpeech };
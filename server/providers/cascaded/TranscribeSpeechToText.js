@@ -0,0 +1,60 @@
+const {
+  TranscribeStreamingClient,
+  StartStreamTranscriptionCommand
+} = require('@aws-sdk/client-transcribe-streaming');
+
+// Amazon Transcribe accepts audio events of up to 32 KB
+const AUDIO_EVENT_BYTES = 8192;
+
+/**
+ * TranscribeSpeechToText - Speech-to-text through Amazon Transcribe streaming
+ */
+class TranscribeSpeechToText {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {string} options.region - AWS region
+   * @param {string} options.languageCode - Transcription language, e.g. en-US
+   */
+  constructor({ region, languageCode = 'en-US' }) {
+    this.client = new TranscribeStreamingClient({ region });
+    this.languageCode = languageCode;
+  }
+
+  /**
+   * Transcribe a complete utterance
+   * @param {Buffer} pcm - 16-bit mono PCM
+   * @param {Object} options
+   * @param {number} options.sampleRate - Sample rate of the PCM
+   * @param {string} options.languageCode - Language spoken, instead of the default
+   * @returns {Promise<string>} Final transcript
+   */
+  async transcribe(pcm, { sampleRate = 16000, languageCode } = {}) {
+    if (!pcm || pcm.length === 0) return '';
+
+    const audioStream = async function* () {
+      for (let offset = 0; offset < pcm.length; offset += AUDIO_EVENT_BYTES) {
+        yield { AudioEvent: { AudioChunk: pcm.subarray(offset, offset + AUDIO_EVENT_BYTES) } };
+      }
+    };
+
+    const response = await this.client.send(new StartStreamTranscriptionCommand({
+      LanguageCode: languageCode || this.languageCode,
+      MediaEncoding: 'pcm',
+      MediaSampleRateHertz: sampleRate,
+      AudioStream: audioStream()
+    }));
+
+    const segments = [];
+    for await (const event of response.TranscriptResultStream) {
+      const results = event.TranscriptEvent?.Transcript?.Results || [];
+      results
+        .filter(result => !result.IsPartial && result.Alternatives && result.Alternatives.length > 0)
+        .forEach(result => segments.push(result.Alternatives[0].Transcript));
+    }
+
+    return segments.join(' ').trim();
+  }
+}
+
+module.exports = { TranscribeSpeechToText };
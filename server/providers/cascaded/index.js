@@ -0,0 +1,45 @@
+/**
+ * Adapter registries for the cascaded speech provider
+ *
+ * Speech-to-text:  transcribe(pcm, { sampleRate, languageCode }) -> Promise<string>
+ * Text LLM:        complete({ systemPrompt, history, inferenceConfig }) -> Promise<string>
+ * Text-to-speech:  synthesize(text, { voiceId }) -> Promise<{ audio, sampleRate }>
+ *
+ * `history` is an array of { role: 'USER' | 'ASSISTANT', content } and audio is
+ * always 16-bit little-endian mono PCM. `inferenceConfig`, `voiceId` and
+ * `languageCode` (e.g. fr-CA) carry per-object and per-language overrides and
+ * may be empty; adapters fall back to their own defaults.
+ */
+const { StubSpeechToText, StubTextLLM, StubTextToSpeech } = require('./stubAdapters');
+const { TranscribeSpeechToText } = require('./TranscribeSpeechToText');
+const { BedrockTextLLM } = require('./BedrockTextLLM');
+const { PollyTextToSpeech } = require('./PollyTextToSpeech');
+
+const SPEECH_TO_TEXT = {
+  stub: StubSpeechToText,
+  transcribe: TranscribeSpeechToText
+};
+
+const TEXT_LLM = {
+  stub: StubTextLLM,
+  bedrock: BedrockTextLLM
+};
+
+const TEXT_TO_SPEECH = {
+  stub: StubTextToSpeech,
+  polly: PollyTextToSpeech
+};
+
+function createAdapter(registry, kind, name, options) {
+  const Adapter = registry[name];
+  if (!Adapter) {
+    throw new Error(`Unknown ${kind} adapter "${name}". Expected one of: ${Object.keys(registry).join(', ')}`);
+  }
+  return new Adapter(options);
+}
+
+const createSpeechToText = (name, options = {}) => createAdapter(SPEECH_TO_TEXT, 'speech-to-text', name, options);
+const createTextLLM = (name, options = {}) => createAdapter(TEXT_LLM, 'text LLM', name, options);
+const createTextToSpeech = (name, options = {}) => createAdapter(TEXT_TO_SPEECH, 'text-to-speech', name, options);
+
+module.exports = { createSpeechToText, createTextLLM, createTextToSpeech };
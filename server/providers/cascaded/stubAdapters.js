@@ -0,0 +1,41 @@
+const { CANNED_TRANSCRIPTS, synthesizeTones } = require('../MockSpeechProvider');
+const { OUTPUT_SAMPLE_RATE } = require('../BaseSpeechSession');
+
+/**
+ * StubSpeechToText - Returns canned transcripts in turn, for tests and offline work
+ */
+class StubSpeechToText {
+  constructor() {
+    this.turns = 0;
+  }
+
+  async transcribe(pcm) {
+    if (!pcm || pcm.length === 0) return '';
+    const transcript = CANNED_TRANSCRIPTS[this.turns % CANNED_TRANSCRIPTS.length];
+    this.turns++;
+    return transcript;
+  }
+}
+
+/**
+ * StubTextLLM - Answers by quoting the last user message
+ */
+class StubTextLLM {
+  async complete({ history }) {
+    const lastUserTurn = [...history].reverse().find(turn => turn.role === 'USER');
+    return lastUserTurn
+      ? `This is a stub answer to "${lastUserTurn.content}".`
+      : 'This is a stub answer.';
+  }
+}
+
+/**
+ * StubTextToSpeech - Renders text as synthetic tones
+ */
+class StubTextToSpeech {
+  async synthesize(text) {
+    return { audio: synthesizeTones(text), sampleRate: OUTPUT_SAMPLE_RATE };
+  }
+}
+
+module.exports = { StubSpeechToText, StubTextLLM, StubTextToSpeech };
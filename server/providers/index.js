@@ -0,0 +1,49 @@
+/**
+ * Speech provider registry
+ *
+ * A provider exposes `createSession({ emit, realtime, logger })`, returning a session object with:
+ *   setSystemPrompt(prompt) - prompt used for the conversation
+ *   setVoiceSettings(obj)   - optional { voiceId, temperature, topP, maxTokens } for the object
+ *                             and the conversation's languageCode, e.g. fr-CA
+ *   setHistory(turns)       - earlier { role, content } turns to continue from
+ *   reset()                 - start a fresh conversation
+ *   startAudio()            - begin a user turn
+ *   addAudio(base64)        - 16 kHz 16-bit mono PCM from the microphone
+ *   inputReady()            - promise resolving once addAudio() will not drop a chunk
+ *   endAudio()              - finish the user turn
+ *   close()                 - release everything, the socket is gone
+ *
+ * Sessions report progress by calling emit(eventName, payload) with the socket
+ * events NovaSonicChat consumes: contentStart, textOutput, audioOutput,
+ * contentEnd, streamComplete and error. Sessions created with `realtime: false`
+ * may deliver audio as fast as it is produced instead of pacing it.
+ * `logger` is a child of server/logger bound to the session ID.
+ */
+const { NovaSonicProvider } = require('./NovaSonicProvider');
+const { MockSpeechProvider } = require('./MockSpeechProvider');
+const { CascadedSpeechProvider } = require('./CascadedSpeechProvider');
+
+const PROVIDERS = {
+  'nova-sonic': NovaSonicProvider,
+  mock: MockSpeechProvider,
+  cascaded: CascadedSpeechProvider
+};
+
+// Conversation modes an object can choose between
+const CONVERSATION_MODES = ['speech-to-speech', 'cascaded'];
+
+/**
+ * Create the speech provider selected by name
+ * @param {string} name - Provider name, e.g. from SPEECH_PROVIDER
+ * @param {Object} options - Provider specific options
+ * @returns {Object} Speech provider
+ */
+function createSpeechProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown speech provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = { createSpeechProvider, PROVIDERS, CONVERSATION_MODES };
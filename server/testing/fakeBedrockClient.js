@@ -0,0 +1,51 @@
+const { AsyncQueue } = require('../AsyncQueue');
+
+/**
+ * FakeBedrockClient - Stands in for BedrockRuntimeClient in tests of the
+ * Nova Sonic session
+ *
+ * send() pulls the command's input body in the background, one event per
+ * macrotask as a network write would, and records each decoded input event on
+ * the stream. Tests answer with stream.respond(event), which the session reads
+ * as model output, and can end the output with stream.end() or stream.fail().
+ */
+class FakeBedrockClient {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {Function} options.onInput - Called with (stream, event) for every input event
+   */
+  constructor({ onInput = () => {} } = {}) {
+    this.onInput = onInput;
+    this.streams = [];
+  }
+
+  async send(command, { abortSignal } = {}) {
+    const output = new AsyncQueue();
+    const stream = {
+      inputs: [],
+      respond: (event) => output.push({ chunk: { bytes: Buffer.from(JSON.stringify({ event })) } }),
+      fail: (message) => output.push({ modelStreamErrorException: { message } }),
+      end: () => output.close()
+    };
+    this.streams.push(stream);
+
+    stream.sent = (async () => {
+      for await (const part of command.input.body) {
+        await new Promise(resolve => setImmediate(resolve));
+        const { event } = JSON.parse(Buffer.from(part.chunk.bytes).toString('utf8'));
+        stream.inputs.push(event);
+        this.onInput(stream, event);
+      }
+    })();
+    if (abortSignal) {
+      abortSignal.addEventListener('abort', () => output.close());
+    }
+    return { body: output };
+  }
+}
+
+// Names of the events a stream received, e.g. ['sessionStart', 'promptStart', ...]
+const eventNames = (stream) => stream.inputs.map(event => Object.keys(event)[0]);
+
+module.exports = { FakeBedrockClient, eventNames };
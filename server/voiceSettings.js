@@ -0,0 +1,72 @@
+// Allowed range for each per-object generation setting
+const RANGES = {
+  temperature: { min: 0, max: 1 },
+  topP: { min: 0, max: 1 },
+  maxTokens: { min: 1, max: 4096, integer: true }
+};
+
+const VOICE_ID_PATTERN = /^[A-Za-z][A-Za-z-]{1,39}$/;
+
+// Each provider has its own voices: Nova Sonic's names are lower case, while
+// Polly's (used by cascaded text-to-speech) are case-sensitive, e.g. Joanna
+const VOICE_FIELDS = {
+  voiceId: { example: 'matthew', normalize: voice => voice.toLowerCase() },
+  cascadedVoiceId: { example: 'Joanna', normalize: voice => voice }
+};
+
+/**
+ * Validate per-object voice and inference settings sent by the client
+ * Missing, null and empty values are left out so provider defaults apply.
+ * @param {Object} input - { voiceId, cascadedVoiceId, temperature, topP, maxTokens } where
+ *   voiceId is the Nova Sonic voice and cascadedVoiceId the cascaded text-to-speech voice
+ * @returns {Object} { settings, problems } with the accepted settings and any errors
+ */
+function parseVoiceSettings(input = {}) {
+  const settings = {};
+  const problems = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    problems.push('voice settings must be an object');
+    return { settings, problems };
+  }
+  const isSet = value => value !== undefined && value !== null && value !== '';
+
+  Object.entries(VOICE_FIELDS).forEach(([name, { example, normalize }]) => {
+    if (!isSet(input[name])) return;
+
+    if (typeof input[name] === 'string' && VOICE_ID_PATTERN.test(input[name])) {
+      settings[name] = normalize(input[name]);
+    } else {
+      problems.push(`${name} must be a voice name such as ${example}`);
+    }
+  });
+
+  Object.entries(RANGES).forEach(([name, { min, max, integer }]) => {
+    if (!isSet(input[name])) return;
+
+    const value = Number(input[name]);
+    if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      problems.push(`${name} must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}`);
+    } else {
+      settings[name] = value;
+    }
+  });
+
+  return { settings, problems };
+}
+
+/**
+ * Pick the inference settings out of voice settings
+ * @param {Object} settings - Parsed voice settings
+ * @returns {Object} Only the temperature, topP and maxTokens that were set
+ */
+function inferenceOverrides(settings = {}) {
+  const overrides = {};
+  Object.keys(RANGES).forEach(name => {
+    if (settings[name] !== undefined) {
+      overrides[name] = settings[name];
+    }
+  });
+  return overrides;
+}
+
+module.exports = { parseVoiceSettings, inferenceOverrides };
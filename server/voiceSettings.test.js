@@ -0,0 +1,48 @@
+/**
+ * @jest-environment node
+ */
+const { parseVoiceSettings, inferenceOverrides } = require('./voiceSettings');
+const { voiceSettingsForLanguage } = require('./languages');
+
+describe('parseVoiceSettings', () => {
+  test('keeps a voice for each provider, lowering the case of Nova Sonic voices only', () => {
+    expect(parseVoiceSettings({ voiceId: 'Tiffany', cascadedVoiceId: 'Joanna', temperature: '0.4', maxTokens: 512 })).toEqual({
+      settings: { voiceId: 'tiffany', cascadedVoiceId: 'Joanna', temperature: 0.4, maxTokens: 512 },
+      problems: []
+    });
+  });
+
+  test('leaves out empty values so the defaults apply', () => {
+    expect(parseVoiceSettings({ voiceId: '', cascadedVoiceId: null, topP: undefined })).toEqual({ settings: {}, problems: [] });
+  });
+
+  test('reports each voice and value it cannot use', () => {
+    expect(parseVoiceSettings({ voiceId: 'matthew; drop', cascadedVoiceId: 7, topP: 2, maxTokens: 1.5 }).problems).toEqual([
+      'voiceId must be a voice name such as matthew',
+      'cascadedVoiceId must be a voice name such as Joanna',
+      'topP must be a number from 0 to 1',
+      'maxTokens must be an integer from 1 to 4096'
+    ]);
+  });
+
+  test('inferenceOverrides() picks out the generation settings', () => {
+    expect(inferenceOverrides({ voiceId: 'matthew', temperature: 0.4 })).toEqual({ temperature: 0.4 });
+  });
+});
+
+describe('voiceSettingsForLanguage', () => {
+  const settings = { voiceId: 'tiffany', cascadedVoiceId: 'Joanna', temperature: 0.4 };
+
+  test('gives each mode the object\'s voice for its provider', () => {
+    expect(voiceSettingsForLanguage(settings, null, 'speech-to-speech'))
+      .toEqual({ voiceId: 'tiffany', temperature: 0.4, languageCode: 'en-US' });
+    expect(voiceSettingsForLanguage(settings, 'en', 'cascaded'))
+      .toEqual({ voiceId: 'Joanna', temperature: 0.4, languageCode: 'en-US' });
+    expect(voiceSettingsForLanguage({ voiceId: 'tiffany' }, null, 'cascaded')).toEqual({ languageCode: 'en-US' });
+  });
+
+  test('uses the configured voice in other languages', () => {
+    expect(voiceSettingsForLanguage(settings, 'fr', 'speech-to-speech')).toMatchObject({ voiceId: 'ambre', languageCode: 'fr-CA' });
+    expect(voiceSettingsForLanguage(settings, 'fr', 'cascaded')).toMatchObject({ voiceId: 'Gabrielle', languageCode: 'fr-CA' });
+  });
+});
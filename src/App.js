@@ -1,66 +1,219 @@
-import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Button, Modal, Form } from 'react-bootstrap';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Button, Modal, Form, Tabs, Tab } from 'react-bootstrap';
+import { Routes, Route, Navigate, Link, useLocation, useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import './App.css';
 import DataService from './components/DataService';
 import NovaSonicService from './components/NovaSonicService';
-import SpeechInteraction from './components/SpeechInteraction';
+import PromptHistory from './components/PromptHistory';
+import SheetSyncModal from './components/SheetSyncModal';
+import MatchReportModal from './components/MatchReportModal';
+import LexiconModal from './components/LexiconModal';
+import ObjectDetail from './components/ObjectDetail';
+import ObjectFilters from './components/ObjectFilters';
+import { facetOptions, filterObjects, filterParams, readFilters } from './lib/util/objectFilters';
+import { LANGUAGES, translate, useTranslation } from './lib/i18n';
+
+// Optional per-object voice and generation settings; empty values use the server defaults
+// Nova Sonic and cascaded text-to-speech name their voices differently, so each has its own
+const VOICE_SETTING_KEYS = ['voiceId', 'cascadedVoiceId', 'temperature', 'topP', 'maxTokens'];
+const VOICE_KEYS = ['voiceId', 'cascadedVoiceId'];
+
+// Convert a voice settings form field to the value stored on the object
+const parseVoiceSetting = (key, value) => {
+  const trimmed = String(value).trim();
+  if (!trimmed) return null;
+  return VOICE_KEYS.includes(key) ? trimmed : Number(trimmed);
+};
+
+// The editor's name is remembered on this device and recorded with each prompt version
+const EDITOR_NAME_KEY = 'promptEditorName';
+
+// Links use the object's ID, which is made from its name and survives sheet edits
+const objectPath = (object) => `/objects/${object.id}`;
+
+const findObject = (objects, id) => objects.find(object => object.id === id);
+
+// The object page for /objects/:objectId and /objects/:objectId/talk
+const ObjectRoute = ({ objects, talking, backTo, novaSonicService, onEditPrompt }) => {
+  const { t } = useTranslation();
+  const { objectId } = useParams();
+  const object = findObject(objects, objectId);
+
+  if (!object) {
+    return (
+      <div className="alert alert-warning">
+        <p>{t('grid.notFound', { id: objectId })}</p>
+        <Link to="/">{t('grid.backToAll')}</Link>
+      </div>
+    );
+  }
+
+  return (
+    <ObjectDetail
+      object={object}
+      novaSonicService={novaSonicService}
+      talking={talking}
+      backTo={backTo}
+      onEditPrompt={onEditPrompt}
+    />
+  );
+};
 
 function App() {
+  const { t, language, setLanguage, locale } = useTranslation();
+  
   // State for managing objects and UI
   const [objects, setObjects] = useState([]);
   const [selectedObject, setSelectedObject] = useState(null);
   const [showPromptModal, setShowPromptModal] = useState(false);
   const [editedPrompt, setEditedPrompt] = useState("");
+  const [editedMode, setEditedMode] = useState("");
+  const [editedVoice, setEditedVoice] = useState({});
+  const [editorName, setEditorName] = useState(() => localStorage.getItem(EDITOR_NAME_KEY) || "");
+  const [editComment, setEditComment] = useState("");
+  const [modalTab, setModalTab] = useState("edit");
+  const [showSyncModal, setShowSyncModal] = useState(false);
+  const [showMatchReport, setShowMatchReport] = useState(false);
+  const [showLexicon, setShowLexicon] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const [error, setError] = useState(null); // Message key
+  const [sheetStatus, setSheetStatus] = useState({ stale: false, fetchedAt: null });
+  
+  // Initialize services once; they hold the cached objects and each object's conversation
+  const [dataService] = useState(() => new DataService());
+  const [novaSonicService] = useState(() => new NovaSonicService()); // No region needed for proxy mode
+
+  // Curators are asked for their token in the chosen language
+  useEffect(() => {
+    dataService.requestCuratorToken = () => window.prompt(translate(language, 'app.curatorToken'));
+  }, [dataService, language]);
+  const navigate = useNavigate();
+  const location = useLocation();
   
-  // Initialize services
-  const dataService = new DataService();
-  const novaSonicService = new NovaSonicService(); // No region needed for proxy mode
+  // Search, facets and sort live in the grid's URL query so they can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = readFilters(searchParams);
+  const visibleObjects = filterObjects(objects, filters);
+  // Object pages link back to the grid as it was last filtered
+  const [gridSearch, setGridSearch] = useState('');
   
   // Fetch images and prompts from Google sources
+  const loadData = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const objectsData = await dataService.getObjectsData();
+      setObjects(objectsData);
+      setSheetStatus(dataService.sheetStatus);
+      setIsLoading(false);
+    } catch (err) {
+      console.error('Error loading data:', err);
+      setError('app.loadError');
+      setIsLoading(false);
+    }
+  }, [dataService]);
+  
+  // Load once on mount; dataService never changes
   useEffect(() => {
-    const loadData = async () => {
-      try {
-        setIsLoading(true);
-        const objectsData = await dataService.getObjectsData();
-        setObjects(objectsData);
-        setIsLoading(false);
-      } catch (err) {
-        console.error('Error loading data:', err);
-        setError('Failed to load objects. Please refresh the page to try again.');
-        setIsLoading(false);
-      }
-    };
-    
     loadData();
-  // Adding dataService to the dependency array to satisfy ESLint
-  // This is safe because dataService is created once at component load
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [loadData]);
 
+  useEffect(() => {
+    if (location.pathname === '/') {
+      setGridSearch(location.search);
+    }
+  }, [location]);
+
+  // Typing in the search box replaces the URL rather than adding a history entry per key
+  const handleFiltersChange = (changes) => {
+    setSearchParams(filterParams({ ...filters, ...changes }), { replace: true });
+  };
+
+  // Conversations happen on the object's own page so they can be linked to
   const handleSpeakClick = (object) => {
-    setSelectedObject(object);
+    navigate(`${objectPath(object)}/talk`);
+  };
+
+  // Open an object's own page with its large image and metadata
+  const handleShowDetails = (object) => {
+    navigate(objectPath(object));
+  };
+
+  // Fill the edit form from an object's current prompt and settings
+  const loadEditFields = (object) => {
+    setEditedPrompt(object.prompt);
+    setEditedMode(object.conversationMode || "");
+    setEditedVoice(Object.fromEntries(VOICE_SETTING_KEYS.map(key => [key, object[key] ?? ""])));
+    setEditComment("");
   };
 
   const handleEditPrompt = (object) => {
     setSelectedObject(object);
-    setEditedPrompt(object.prompt);
+    loadEditFields(object);
+    setSaveError(null);
+    setModalTab("edit");
     setShowPromptModal(true);
   };
 
-  const handleSavePrompt = () => {
-    if (selectedObject) {
-      // Update the prompt in the local state
-      const updatedObjects = objects.map(obj => 
-        obj.id === selectedObject.id ? { ...obj, prompt: editedPrompt } : obj
-      );
-      setObjects(updatedObjects);
-      
-      // Update the prompt in the data service for persistence
-      dataService.updateObjectPrompt(selectedObject.id, editedPrompt);
-      
+  const handleEditorNameChange = (name) => {
+    setEditorName(name);
+    localStorage.setItem(EDITOR_NAME_KEY, name);
+  };
+
+  // Replace one object in the list with the saved version
+  const applySavedObject = (savedObject) => {
+    setObjects(objects.map(obj => 
+      obj.id === savedObject.id ? { ...obj, ...savedObject } : obj
+    ));
+    setSelectedObject({ ...selectedObject, ...savedObject });
+  };
+
+  // A restored version becomes the current prompt; keep the modal open on the history
+  const handleVersionRestored = (savedObject) => {
+    applySavedObject(savedObject);
+    loadEditFields({ ...selectedObject, ...savedObject });
+  };
+
+  const handleSavePrompt = async () => {
+    if (!selectedObject) return;
+    
+    const settings = { conversationMode: editedMode || null };
+    VOICE_SETTING_KEYS.forEach(key => {
+      settings[key] = parseVoiceSetting(key, editedVoice[key] ?? "");
+    });
+    
+    // Save on the server so every kiosk sees the edit
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      applySavedObject(await dataService.updateObjectPrompt(selectedObject.id, editedPrompt, settings, {
+        author: editorName.trim() || null,
+        comment: editComment.trim() || null
+      }));
+      setShowPromptModal(false);
+    } catch (err) {
+      console.error('Error saving prompt:', err);
+      setSaveError(err.response?.data?.error || t('editor.saveError'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Go back to the prompt from the Google Sheet
+  const handleResetPrompt = async () => {
+    if (!selectedObject) return;
+    
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      applySavedObject(await dataService.resetObjectPrompt(selectedObject.id));
       setShowPromptModal(false);
+    } catch (err) {
+      console.error('Error resetting prompt:', err);
+      setSaveError(err.response?.data?.error || t('editor.resetError'));
+    } finally {
+      setIsSaving(false);
     }
   };
   
@@ -70,104 +223,337 @@ function App() {
     <div className="App">
       <Container fluid>
         <header className="App-header">
-          <h1>RBCM Objects of Interest</h1>
-          <p>Explore the Royal BC Museum's 100 objects of interest collection</p>
+          <h1>{t('app.title')}</h1>
+          <p>{t('app.subtitle')}</p>
+          <div className="d-flex justify-content-center align-items-center gap-2">
+            <Form.Select
+              size="sm"
+              className="language-picker"
+              aria-label={t('app.language')}
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+            >
+              {LANGUAGES.map(item => (
+                <option key={item.code} value={item.code} lang={item.code}>{item.label}</option>
+              ))}
+            </Form.Select>
+            <Button variant="outline-light" size="sm" onClick={() => setShowSyncModal(true)}>
+              {t('app.syncToSheet')}
+            </Button>
+            <Button variant="outline-light" size="sm" onClick={() => setShowMatchReport(true)}>
+              {t('app.imageMatches')}
+            </Button>
+            <Button variant="outline-light" size="sm" onClick={() => setShowLexicon(true)}>
+              {t('app.pronunciations')}
+            </Button>
+          </div>
         </header>
         
         {isLoading ? (
           <div className="text-center my-5">
             <div className="spinner-border" role="status">
-              <span className="visually-hidden">Loading...</span>
+              <span className="visually-hidden">{t('app.loading')}</span>
             </div>
-            <p className="mt-2">Loading objects...</p>
+            <p className="mt-2">{t('app.loadingObjects')}</p>
           </div>
         ) : error ? (
-          <div className="alert alert-danger">{error}</div>
+          <div className="alert alert-danger">{t(error)}</div>
         ) : objects.length === 0 ? (
           <div className="alert alert-warning">
-            <h4 className="alert-heading">No Images Available</h4>
-            <p>No images could be found. This might be due to:</p>
+            <h4 className="alert-heading">{t('app.noImagesTitle')}</h4>
+            <p>{t('app.noImagesIntro')}</p>
             <ul>
-              <li>Images haven't been downloaded yet from Google Drive</li>
-              <li>There's an issue with accessing the images directory</li>
-              <li>The Google Drive folder might be empty or contain no valid images</li>
+              <li>{t('app.noImagesNotDownloaded')}</li>
+              <li>{t('app.noImagesAccess')}</li>
+              <li>{t('app.noImagesEmptyFolder')}</li>
             </ul>
-            <p>Please try refreshing the page or contact the administrator.</p>
+            <p>{t('app.noImagesContact')}</p>
           </div>
         ) : (
-          <Row className="g-4">
-            {objects.map(object => (
-              <Col key={object.id} xs={12} sm={6} md={4} lg={3}>
-                <Card className="h-100">
-                  <div className="image-container">
-                    <Card.Img 
-                      variant="top" 
-                      src={object.image} 
-                      alt={object.name}
-                    />
-                  </div>
-                  <Card.Body className="d-flex flex-column">
-                    <Card.Title className="text-center">{object.name}</Card.Title>
-                    <Card.Text className="mb-3 small text-muted">
-                      {/* Show the first 60 characters of the prompt as a hint */}
-                      {object.prompt ? `${object.prompt.substring(0, 60)}...` : 'No prompt available'}
-                    </Card.Text>
-                    <div className="mt-auto d-flex justify-content-center gap-2">
-                      {selectedObject && selectedObject.id === object.id ? (
-                        <SpeechInteraction 
-                          object={object} 
-                          novaSonicService={novaSonicService} 
-                        />
-                      ) : (
-                        <Button 
-                          variant="primary" 
-                          onClick={() => handleSpeakClick(object)}
-                        >
-                          Speak
-                        </Button>
-                      )}
-                      <Button 
-                        variant="outline-secondary" 
-                        onClick={() => handleEditPrompt(object)}
-                      >
-                        Edit Prompt
-                      </Button>
-                    </div>
-                  </Card.Body>
-                </Card>
-              </Col>
-            ))}
-          </Row>
+          <>
+            {sheetStatus.stale && (
+              <div className="alert alert-warning">
+                {sheetStatus.fetchedAt
+                  ? t('app.staleSince', { time: new Date(sheetStatus.fetchedAt).toLocaleString(locale) })
+                  : t('app.stale')}
+              </div>
+            )}
+            <Routes>
+              <Route path="/" element={
+                <>
+                  <ObjectFilters
+                    filters={filters}
+                    options={facetOptions(objects)}
+                    shown={visibleObjects.length}
+                    total={objects.length}
+                    onChange={handleFiltersChange}
+                    onClear={() => setSearchParams({}, { replace: true })}
+                  />
+                  {visibleObjects.length === 0 && (
+                    <p className="text-muted my-5">{t('grid.noMatches')}</p>
+                  )}
+                  <Row className="g-4">
+                    {visibleObjects.map(object => (
+                      <Col key={object.id} xs={12} sm={6} md={4} lg={3}>
+                        <Card className="h-100">
+                          <div
+                            className="image-container clickable"
+                            role="button"
+                            onClick={() => handleShowDetails(object)}
+                          >
+                            <Card.Img 
+                              variant="top" 
+                              src={object.image} 
+                              alt={object.name}
+                            />
+                          </div>
+                          <Card.Body className="d-flex flex-column">
+                            <Card.Title className="text-center">{object.name}</Card.Title>
+                            <Card.Text className="mb-3 small text-muted">
+                              {/* Show the first 60 characters of the prompt as a hint */}
+                              {object.prompt ? `${object.prompt.substring(0, 60)}...` : t('grid.noPrompt')}
+                            </Card.Text>
+                            <div className="mt-auto d-flex justify-content-center flex-wrap gap-2">
+                              <Button 
+                                variant="primary" 
+                                onClick={() => handleSpeakClick(object)}
+                              >
+                                {t('grid.speak')}
+                              </Button>
+                              <Button
+                                variant="outline-primary"
+                                onClick={() => handleShowDetails(object)}
+                              >
+                                {t('grid.details')}
+                              </Button>
+                              <Button 
+                                variant="outline-secondary" 
+                                onClick={() => handleEditPrompt(object)}
+                              >
+                                {t('grid.editPrompt')}
+                              </Button>
+                            </div>
+                          </Card.Body>
+                        </Card>
+                      </Col>
+                    ))}
+                  </Row>
+                </>
+              } />
+              <Route path="/objects/:objectId" element={
+                <ObjectRoute
+                  objects={objects}
+                  backTo={`/${gridSearch}`}
+                  novaSonicService={novaSonicService}
+                  onEditPrompt={handleEditPrompt}
+                />
+              } />
+              <Route path="/objects/:objectId/talk" element={
+                <ObjectRoute
+                  objects={objects}
+                  backTo={`/${gridSearch}`}
+                  novaSonicService={novaSonicService}
+                  talking
+                  onEditPrompt={handleEditPrompt}
+                />
+              } />
+              <Route path="*" element={<Navigate to="/" replace />} />
+            </Routes>
+          </>
         )}
       </Container>
 
       {/* Prompt Edit Modal */}
-      <Modal show={showPromptModal} onHide={() => setShowPromptModal(false)}>
+      <Modal show={showPromptModal} onHide={() => setShowPromptModal(false)} size="lg">
         <Modal.Header closeButton>
-          <Modal.Title>Edit Prompt</Modal.Title>
+          <Modal.Title>{t('editor.title')}</Modal.Title>
         </Modal.Header>
         <Modal.Body>
-          <Form>
-            <Form.Group>
-              <Form.Label>Prompt</Form.Label>
-              <Form.Control 
-                as="textarea" 
-                rows={5} 
-                value={editedPrompt}
-                onChange={(e) => setEditedPrompt(e.target.value)}
-              />
-            </Form.Group>
-          </Form>
+          {saveError && (
+            <div className="alert alert-danger">{saveError}</div>
+          )}
+          {selectedObject && selectedObject.promptPinned && (
+            <div className="alert alert-info small">
+              {t('editor.pinned', { version: selectedObject.promptVersion })}
+            </div>
+          )}
+          {selectedObject && selectedObject.promptEdited && !selectedObject.promptPinned && (
+            <p className="small text-muted">
+              {t('editor.edited', {
+                version: selectedObject.promptVersion,
+                time: new Date(selectedObject.promptUpdatedAt).toLocaleString(locale)
+              })}
+            </p>
+          )}
+          {selectedObject && selectedObject.translatedPrompts && Object.keys(selectedObject.translatedPrompts).length > 0 && (
+            <p className="small text-muted">
+              {t('editor.translations', {
+                languages: Object.keys(selectedObject.translatedPrompts).map(code => t(`languages.${code}`)).join(', ')
+              })}
+            </p>
+          )}
+          <Tabs activeKey={modalTab} onSelect={(key) => setModalTab(key)} className="mb-3" mountOnEnter>
+            <Tab eventKey="edit" title={t('editor.editTab')}>
+              <Form>
+                <Form.Group>
+                  <Form.Label>{t('editor.prompt')}</Form.Label>
+                  <Form.Control 
+                    as="textarea" 
+                    rows={5} 
+                    value={editedPrompt}
+                    onChange={(e) => setEditedPrompt(e.target.value)}
+                  />
+                </Form.Group>
+                <Form.Group className="mt-3">
+                  <Form.Label>{t('editor.mode')}</Form.Label>
+                  <Form.Select
+                    value={editedMode}
+                    onChange={(e) => setEditedMode(e.target.value)}
+                  >
+                    <option value="">{t('editor.modeDefault')}</option>
+                    <option value="speech-to-speech">{t('editor.modeSpeechToSpeech')}</option>
+                    <option value="cascaded">{t('editor.modeCascaded')}</option>
+                  </Form.Select>
+                </Form.Group>
+                <Form.Group className="mt-3">
+                  <Form.Label>{t('editor.voice')}</Form.Label>
+                  <Form.Control
+                    type="text"
+                    placeholder={t('editor.voicePlaceholder')}
+                    value={editedVoice.voiceId ?? ""}
+                    onChange={(e) => setEditedVoice({ ...editedVoice, voiceId: e.target.value })}
+                  />
+                  <Form.Text muted>
+                    {t('editor.voiceHelp')}
+                  </Form.Text>
+                </Form.Group>
+                <Form.Group className="mt-3">
+                  <Form.Label>{t('editor.cascadedVoice')}</Form.Label>
+                  <Form.Control
+                    type="text"
+                    placeholder={t('editor.voicePlaceholder')}
+                    value={editedVoice.cascadedVoiceId ?? ""}
+                    onChange={(e) => setEditedVoice({ ...editedVoice, cascadedVoiceId: e.target.value })}
+                  />
+                  <Form.Text muted>
+                    {t('editor.cascadedVoiceHelp')}
+                  </Form.Text>
+                </Form.Group>
+                <Row className="mt-3">
+                  <Form.Group as={Col}>
+                    <Form.Label>{t('editor.temperature')}</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.1"
+                      placeholder={t('editor.defaultPlaceholder')}
+                      value={editedVoice.temperature ?? ""}
+                      onChange={(e) => setEditedVoice({ ...editedVoice, temperature: e.target.value })}
+                    />
+                  </Form.Group>
+                  <Form.Group as={Col}>
+                    <Form.Label>{t('editor.topP')}</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      placeholder={t('editor.defaultPlaceholder')}
+                      value={editedVoice.topP ?? ""}
+                      onChange={(e) => setEditedVoice({ ...editedVoice, topP: e.target.value })}
+                    />
+                  </Form.Group>
+                  <Form.Group as={Col}>
+                    <Form.Label>{t('editor.maxTokens')}</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="1"
+                      max="4096"
+                      step="1"
+                      placeholder={t('editor.defaultPlaceholder')}
+                      value={editedVoice.maxTokens ?? ""}
+                      onChange={(e) => setEditedVoice({ ...editedVoice, maxTokens: e.target.value })}
+                    />
+                  </Form.Group>
+                </Row>
+                <Row className="mt-3">
+                  <Form.Group as={Col}>
+                    <Form.Label>{t('editor.yourName')}</Form.Label>
+                    <Form.Control
+                      type="text"
+                      placeholder={t('editor.optional')}
+                      value={editorName}
+                      onChange={(e) => handleEditorNameChange(e.target.value)}
+                    />
+                  </Form.Group>
+                  <Form.Group as={Col} xs={8}>
+                    <Form.Label>{t('editor.comment')}</Form.Label>
+                    <Form.Control
+                      type="text"
+                      placeholder={t('editor.commentPlaceholder')}
+                      value={editComment}
+                      onChange={(e) => setEditComment(e.target.value)}
+                    />
+                  </Form.Group>
+                </Row>
+              </Form>
+            </Tab>
+            <Tab eventKey="history" title={t('editor.historyTab')}>
+              {selectedObject && (
+                <PromptHistory
+                  object={selectedObject}
+                  dataService={dataService}
+                  author={editorName.trim()}
+                  onRestored={handleVersionRestored}
+                />
+              )}
+            </Tab>
+          </Tabs>
         </Modal.Body>
         <Modal.Footer>
+          {selectedObject && selectedObject.promptEdited && !selectedObject.promptPinned && (
+            <Button variant="outline-danger" className="me-auto" onClick={handleResetPrompt} disabled={isSaving}>
+              {t('editor.resetToSheet')}
+            </Button>
+          )}
           <Button variant="secondary" onClick={() => setShowPromptModal(false)}>
-            Cancel
+            {t('editor.cancel')}
           </Button>
-          <Button variant="primary" onClick={handleSavePrompt}>
-            Save Changes
+          <Button
+            variant="primary"
+            onClick={handleSavePrompt}
+            disabled={isSaving || modalTab !== "edit" || (selectedObject && selectedObject.promptPinned)}
+          >
+            {isSaving ? t('editor.saving') : t('editor.save')}
           </Button>
         </Modal.Footer>
       </Modal>
+
+      {/* Push edited prompts back to the Google Sheet */}
+      <SheetSyncModal
+        show={showSyncModal}
+        onHide={() => setShowSyncModal(false)}
+        dataService={dataService}
+        author={editorName.trim()}
+        onSynced={loadData}
+      />
+
+      {/* How objects were paired with images */}
+      <MatchReportModal
+        show={showMatchReport}
+        onHide={() => setShowMatchReport(false)}
+        dataService={dataService}
+      />
+
+      {/* How the assistant should say names, and how transcripts should spell them */}
+      <LexiconModal
+        show={showLexicon}
+        onHide={() => setShowLexicon(false)}
+        dataService={dataService}
+        objects={objects}
+        author={editorName.trim()}
+      />
     </div>
   );
 }
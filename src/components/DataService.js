@@ -1,15 +1,22 @@
 import axios from 'axios';
+import { apiBaseUrl } from '../lib/util/appConfig';
 
-// Constants for Google API endpoints
-// Only using the Sheets API base in this file
-const GOOGLE_SHEETS_API_BASE = 'https://sheets.googleapis.com/v4/spreadsheets';
+// Conversation settings an edited prompt can carry besides its text
+const PROMPT_SETTING_KEYS = ['conversationMode', 'voiceId', 'cascadedVoiceId', 'temperature', 'topP', 'maxTokens'];
 
-// This service will handle fetching images and prompts from Google Drive and Sheets
+// The curator token is asked for once and remembered on this device
+const CURATOR_TOKEN_KEY = 'curatorToken';
+
+// This service will handle fetching the gallery's objects and editing their prompts
+// The API server reads the Google Sheet, matches it with the downloaded images and caches the result
+// Curator edits to prompts are stored on the server and take precedence over the sheet
 class DataService {
   constructor() {
-    this.gDriveFolderId = '1YXGb80tWNxMb1gZ31n-JT8aqjyMi1SZX';
-    this.gSheetId = '1HzxaGN0f1mEg5Kz37q9glAca5Nc3R1yf70M1j59CpSE';
     this.objects = [];
+    // Whether the prompts are older than the sheet: { stale, fetchedAt, error }
+    this.sheetStatus = { stale: false, fetchedAt: null, error: null };
+    // Asks the curator for their token; the app replaces this with a translated prompt
+    this.requestCuratorToken = () => window.prompt('Curator token');
     
     // API info for debugging
     console.log('DataService initialized');
@@ -89,209 +96,178 @@ class DataService {
     }
   }
   
-  // Update a specific object's prompt
-  updateObjectPrompt(objectId, newPrompt) {
-    const objectIndex = this.objects.findIndex(obj => obj.id === objectId);
-    if (objectIndex !== -1) {
-      this.objects[objectIndex].prompt = newPrompt;
-      this.saveToLocalStorage();
-      return true;
+  // Send a request that changes prompts, the lexicon or the sheet
+  // Without a valid token the server answers 401; the curator is asked for it once and the request retried
+  async curatorRequest(method, url, data) {
+    const send = () => axios({
+      method,
+      url,
+      data,
+      headers: { Authorization: `Bearer ${localStorage.getItem(CURATOR_TOKEN_KEY) || ''}` }
+    });
+    try {
+      return await send();
+    } catch (error) {
+      if (!error.response || error.response.status !== 401) throw error;
+      const token = this.requestCuratorToken();
+      if (!token) throw error;
+      localStorage.setItem(CURATOR_TOKEN_KEY, token.trim());
+      return send();
     }
-    return false;
   }
   
-  // Get a specific object by ID
-  getObjectById(objectId) {
-    return this.objects.find(obj => obj.id === objectId);
+  // Save an object's prompt and optional conversation settings on the server as a new version
+  // Resolves with the updated object; rejects if the server refuses the edit
+  async updateObjectPrompt(objectId, newPrompt, settings = {}, { author = null, comment = null } = {}) {
+    const object = this.getObjectById(objectId);
+    const response = await this.curatorRequest('put', this.promptUrl(objectId), {
+      prompt: newPrompt,
+      objectName: object ? object.name : null,
+      author,
+      comment,
+      // The sheet's prompt this edit starts from, to spot later changes in the sheet
+      sheetPrompt: object && object.sheetPrompt !== undefined ? object.sheetPrompt : null,
+      settings
+    });
+    
+    return this.updateLocalObject(objectId, this.promptEditFields(response.data));
   }
-
-  // Fetch images from local manifest file (loaded from Google Drive images)
-  async fetchImages() {
+  
+  // Drop the server-side edit so the object uses the sheet's prompt again
+  async resetObjectPrompt(objectId) {
     try {
-      console.log('Loading images from local manifest file');
-      
-      try {
-        // Try to load image manifest created by downloadImages.js
-        const manifestPath = '/images/manifest.json';
-        const response = await fetch(manifestPath, {
-          // Prevent caching issues
-          cache: 'no-store',
-          headers: {
-            'Cache-Control': 'no-cache',
-            'Pragma': 'no-cache'
-          }
-        });
-        
-        if (!response.ok) {
-          throw new Error(`Failed to load image manifest: ${response.status} ${response.statusText}`);
-        }
-        
-        // Use a try/catch specifically for JSON parsing
-        let manifest;
-        try {
-          manifest = await response.json();
-        } catch (jsonError) {
-          console.error('Error parsing manifest JSON:', jsonError);
-          throw new Error('Invalid manifest format');
-        }
-        console.log(`Loaded ${manifest.length} images from manifest file`);
-        
-        if (manifest.length === 0) {
-          console.warn('Manifest file exists but contains no images');
-          // Return empty array, will be handled by the calling code
-          return [];
-        }
-        
-        // Convert manifest to the format we need
-        return manifest.map((item, index) => {
-          // The manifest contains sanitized filenames (with underscores)
-          // But display names should have spaces for better readability
-          const displayName = item.name ? item.name.replace(/_/g, ' ') : `Object ${index + 1}`;
-          
-          // Keep the original localPath for the image URL since that's the actual file path
-          return {
-            id: index + 1,
-            name: displayName,
-            imageUrl: item.localPath || '/images/image-not-found.png'
-          };
-        });
-      } catch (manifestError) {
-        console.error('Error loading manifest:', manifestError);
-        console.warn('Could not load image manifest. This usually happens when the download script fails.');
-        console.warn('Make sure you have run: npm run download-images');
-        
-        // Instead of throwing error, try to check if any images exist directly
-        console.log('Checking if any images exist directly...');
-        
-        try {
-          // Request a directory listing (this will only work if the server supports it)
-          const response = await fetch('/api/list-images');
-          if (response.ok) {
-            const imageList = await response.json();
-            if (imageList && imageList.length > 0) {
-              return imageList.map((fileName, index) => ({
-                id: index + 1,
-                name: fileName.replace(/\.[^/.]+$/, "").replace(/_/g, " "),
-                imageUrl: `/images/${fileName}`
-              }));
-            }
-          }
-        } catch (listError) {
-          console.error('Error listing images directory:', listError);
-        }
-        
-        // If all attempts fail, return empty array
-        console.warn('Could not load images. Returning empty array.');
-        return [];
-      }
+      await this.curatorRequest('delete', this.promptUrl(objectId));
     } catch (error) {
-      console.error('Error fetching images:', error);
-      // Return empty array instead of throwing
-      return [];
+      // Nothing to reset is as good as a reset
+      if (!error.response || error.response.status !== 404) {
+        throw error;
+      }
     }
+    
+    const object = this.getObjectById(objectId);
+    const reset = { promptEdited: false, promptUpdatedAt: null, promptVersion: null, promptPinned: false };
+    PROMPT_SETTING_KEYS.forEach(key => {
+      reset[key] = null;
+    });
+    if (object && object.sheetPrompt !== undefined) {
+      reset.prompt = object.sheetPrompt;
+    }
+    return this.updateLocalObject(objectId, reset);
   }
-
-  // Fetch prompts from Google Sheet
-  async fetchPrompts() {
-    try {
-      console.log('Fetching prompts from Google Sheet:', this.gSheetId);
-      
-      // Make API call to Google Sheets
-      const response = await axios.get(
-        `${GOOGLE_SHEETS_API_BASE}/${this.gSheetId}/values/A1:D100`, {
-          params: {
-            key: process.env.REACT_APP_GOOGLE_API_KEY
-          }
-        }
-      );
-      
-      const values = response.data.values || [];
-      if (!values || values.length === 0) {
-        throw new Error('No data returned from Google Sheets');
-      }
-      
-      // Start reading from row 4 as specified and skip empty rows
-      const startRow = 3; // 0-indexed, so row 4 is index 3
-      
-      // Filter out empty rows and process the valid data
-      return values.slice(startRow)
-        .filter(row => row && row.length >= 2 && row[0] && row[1]) // Ensure row has both name and prompt
-        .map((row, index) => ({
-        id: index + 1, // Sequential ID after filtering empty rows
-        objectName: row[0],
-        prompt: row[1]
-      }));
-    } catch (error) {
-      console.error('Error fetching prompts from Google Sheets:', error);
-      // Return fallback data if the API call fails
-      return Array.from({ length: 12 }, (_, i) => ({
-        id: i + 1,
-        objectName: `Object ${i+1}`,
-        prompt: `This is a sample prompt for object ${i+1}. Ask me about this object's history and significance.`
-      }));
+  
+  // Fetch the version history of an object's prompt, newest first
+  async fetchPromptVersions(objectId) {
+    const response = await axios.get(`${this.promptUrl(objectId)}/versions`);
+    return response.data;
+  }
+  
+  // Make an earlier version current again; the server saves a copy of it as the newest version
+  async restorePromptVersion(objectId, version, author = null) {
+    const response = await this.curatorRequest('post', `${this.promptUrl(objectId)}/versions/${version}/restore`, { author });
+    return this.updateLocalObject(objectId, this.promptEditFields(response.data));
+  }
+  
+  // Compare edited prompts with the Google Sheet
+  async fetchSheetSync() {
+    const response = await axios.get(`${apiBaseUrl()}/api/sheet/sync`);
+    return response.data;
+  }
+  
+  // Push edited prompts to the Google Sheet; resolutions map object IDs to { prompt, theirs }
+  async pushToSheet(resolutions = {}, author = null) {
+    const response = await this.curatorRequest('post', `${apiBaseUrl()}/api/sheet/sync`, { resolutions, author });
+    return response.data;
+  }
+  
+  // How each object was paired with an image, with unmatched objects and images
+  async fetchMatchReport() {
+    const response = await axios.get(`${apiBaseUrl()}/api/objects/match-report`);
+    return response.data;
+  }
+  
+  // The curators' pronunciation lexicon, sorted by term
+  async fetchLexicon() {
+    const response = await axios.get(`${apiBaseUrl()}/api/lexicon`);
+    return response.data;
+  }
+  
+  // Add a lexicon entry, or replace one that has an id; entry is { term, pronunciation, spellings, objects, author }
+  async saveLexiconEntry({ id, ...entry }) {
+    const response = id
+      ? await this.curatorRequest('put', `${apiBaseUrl()}/api/lexicon/${encodeURIComponent(id)}`, entry)
+      : await this.curatorRequest('post', `${apiBaseUrl()}/api/lexicon`, entry);
+    return response.data;
+  }
+  
+  async deleteLexiconEntry(id) {
+    await this.curatorRequest('delete', `${apiBaseUrl()}/api/lexicon/${encodeURIComponent(id)}`);
+  }
+  
+  // Server URL of one object's prompt
+  promptUrl(objectId) {
+    return `${apiBaseUrl()}/api/objects/${encodeURIComponent(objectId)}/prompt`;
+  }
+  
+  // Merge changes into the cached object and return the result
+  updateLocalObject(objectId, changes) {
+    const objectIndex = this.objects.findIndex(obj => obj.id === objectId);
+    if (objectIndex === -1) {
+      return { id: objectId, ...changes };
     }
+    
+    this.objects[objectIndex] = { ...this.objects[objectIndex], ...changes };
+    this.saveToLocalStorage();
+    return this.objects[objectIndex];
+  }
+  
+  // Object fields for a prompt edit record from the server
+  promptEditFields(record) {
+    const fields = {
+      prompt: record.prompt,
+      promptEdited: true,
+      promptUpdatedAt: record.updatedAt,
+      promptVersion: record.version,
+      promptPinned: Boolean(record.pinned)
+    };
+    PROMPT_SETTING_KEYS.forEach(key => {
+      fields[key] = record.settings && record.settings[key] !== undefined ? record.settings[key] : null;
+    });
+    return fields;
+  }
+  
+  // Get a specific object by ID
+  getObjectById(objectId) {
+    return this.objects.find(obj => obj.id === objectId);
   }
 
-  // Combine images and prompts into a single dataset
+  // Fetch the gallery's objects; the server matches sheet rows with images and applies prompt edits
   async getObjectsData() {
     try {
-      const images = await this.fetchImages();
-      const prompts = await this.fetchPrompts();
-
-      // Debug information
-      console.log('Fetched images:', images.length);
-      console.log('Fetched prompts:', prompts.length);
+      const response = await axios.get(`${apiBaseUrl()}/api/objects`);
+      const { objects, stale, fetchedAt, error } = response.data;
+      this.sheetStatus = { stale, fetchedAt, error };
+      if (stale) {
+        console.warn('Serving cached objects, the Google Sheet could not be read:', error);
+      }
       
-      // Match images with prompts by name
-      this.objects = prompts.map(prompt => {
-        // Find matching image by comparing names (with normalization)
-        const promptName = prompt.objectName.trim();
-        const matchingImage = images.find(img => {
-          // Normalize names for comparison (remove spaces, special chars, lowercase)
-          // Use a more aggressive normalization to handle Unicode characters
-          const normalizeString = (str) => {
-            return str.toLowerCase()
-              .normalize('NFD')                // Normalize to decomposed form
-              .replace(/[\u0300-\u036f]/g, '')  // Remove diacritics
-              .replace(/[^a-z0-9]/g, '')       // Remove non-alphanumeric
-              .trim();                          // Remove whitespace
-          };
-          
-          const imgNameNormalized = normalizeString(img.name);
-          const promptNameNormalized = normalizeString(promptName);
-          
-          // Try both exact match and contains match
-          return imgNameNormalized === promptNameNormalized || 
-                 imgNameNormalized.includes(promptNameNormalized) || 
-                 promptNameNormalized.includes(imgNameNormalized);
-        });
-        
-        // Use the image URL from our downloaded images
-        let imageUrl = '/images/image-not-found.jpg'; // This will show a 404 if not available
-        if (matchingImage) {
-          imageUrl = matchingImage.imageUrl;
-          console.log(`Found image match for ${promptName}: ${imageUrl}`);
-        } else {
-          console.warn(`No matching image found for: ${promptName}`);
-        }
-        
-        return {
-          id: prompt.id,
-          googleId: matchingImage ? matchingImage.googleId : null,
-          name: prompt.objectName,
-          image: imageUrl,
-          prompt: prompt.prompt,
-          conversationHistory: [] // For tracking conversation with Nova Sonic
-        };
-      });
+      this.objects = objects.map(object => ({
+        ...object,
+        conversationHistory: [] // For tracking conversation with Nova Sonic
+      }));
       
-      // Save to localStorage for persistence between sessions
+      // Cache in localStorage for the next page load
       this.saveToLocalStorage();
       
       return this.objects;
     } catch (error) {
       console.error('Error getting objects data:', error);
-      throw error;
+      
+      // Fall back to the objects cached on this device rather than showing nothing
+      if (!this.objects.length) {
+        throw error;
+      }
+      this.sheetStatus = { stale: true, fetchedAt: null, error: error.message };
+      return this.objects;
     }
   }
 }
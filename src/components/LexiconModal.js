@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Col, Form, Modal, Row, Table } from 'react-bootstrap';
+import { useTranslation } from '../lib/i18n';
+
+const EMPTY_ENTRY = { id: null, term: '', pronunciation: '', spellings: '', objects: [] };
+
+// Spellings are edited as one comma-separated field
+const parseSpellings = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Curator dialog for the pronunciation lexicon: how the assistant should say
+ * names such as Lawit'sis, and the spellings speech recognition turns them into
+ */
+const LexiconModal = ({ show, onHide, dataService, objects, author }) => {
+  const { t } = useTranslation();
+  const [entries, setEntries] = useState([]);
+  const [form, setForm] = useState(EMPTY_ENTRY);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!show) return;
+
+    const loadEntries = async () => {
+      setIsLoading(true);
+      setError(null);
+      setForm(EMPTY_ENTRY);
+      try {
+        setEntries(await dataService.fetchLexicon());
+      } catch (err) {
+        console.error('Error loading the pronunciation lexicon:', err);
+        setError(err.response?.data?.error || t('lexicon.loadError'));
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadEntries();
+  }, [show, dataService, t]);
+
+  const objectName = (id) => {
+    const object = objects.find(item => item.id === id);
+    return object ? object.name : id;
+  };
+
+  const handleEdit = (entry) => {
+    setForm({ ...entry, spellings: entry.spellings.join(', ') });
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const saved = await dataService.saveLexiconEntry({
+        id: form.id,
+        term: form.term,
+        pronunciation: form.pronunciation,
+        spellings: parseSpellings(form.spellings),
+        objects: form.objects,
+        author: author || null
+      });
+      setEntries([...entries.filter(entry => entry.id !== saved.id), saved]
+        .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base' })));
+      setForm(EMPTY_ENTRY);
+    } catch (err) {
+      console.error('Error saving a lexicon entry:', err);
+      setError(err.response?.data?.error || t('lexicon.saveError'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(t('lexicon.confirmDelete', { term: entry.term }))) return;
+    setError(null);
+    try {
+      await dataService.deleteLexiconEntry(entry.id);
+      setEntries(entries.filter(item => item.id !== entry.id));
+      if (form.id === entry.id) {
+        setForm(EMPTY_ENTRY);
+      }
+    } catch (err) {
+      console.error('Error deleting a lexicon entry:', err);
+      setError(err.response?.data?.error || t('lexicon.deleteError'));
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>{t('lexicon.title')}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body className="text-start">
+        {error && <div className="alert alert-danger">{error}</div>}
+        <p className="small text-muted">{t('lexicon.help')}</p>
+        {isLoading && <p className="text-muted">{t('lexicon.loading')}</p>}
+
+        {!isLoading && (
+          <Table size="sm" striped className="small">
+            <thead>
+              <tr>
+                <th>{t('lexicon.term')}</th>
+                <th>{t('lexicon.pronunciation')}</th>
+                <th>{t('lexicon.heardAs')}</th>
+                <th>{t('lexicon.objects')}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="text-muted">{t('lexicon.empty')}</td>
+                </tr>
+              )}
+              {entries.map(entry => (
+                <tr key={entry.id} className={entry.id === form.id ? 'table-active' : ''}>
+                  <td>{entry.term}</td>
+                  <td>{entry.pronunciation}</td>
+                  <td>{entry.spellings.join(', ')}</td>
+                  <td>{entry.objects.length ? entry.objects.map(objectName).join(', ') : t('lexicon.allObjects')}</td>
+                  <td className="text-nowrap">
+                    <Button variant="link" size="sm" className="py-0" onClick={() => handleEdit(entry)}>
+                      {t('lexicon.edit')}
+                    </Button>
+                    <Button variant="link" size="sm" className="py-0 text-danger" onClick={() => handleDelete(entry)}>
+                      {t('lexicon.delete')}
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+
+        <h6>{form.id ? t('lexicon.editTitle', { term: form.term }) : t('lexicon.addTitle')}</h6>
+        <Form onSubmit={(e) => e.preventDefault()}>
+          <Row className="g-2">
+            <Form.Group as={Col} md={4}>
+              <Form.Label>{t('lexicon.term')}</Form.Label>
+              <Form.Control
+                type="text"
+                placeholder="Lawit'sis"
+                value={form.term}
+                onChange={(e) => setForm({ ...form, term: e.target.value })}
+              />
+            </Form.Group>
+            <Form.Group as={Col} md={8}>
+              <Form.Label>{t('lexicon.pronunciation')}</Form.Label>
+              <Form.Control
+                type="text"
+                placeholder={t('lexicon.pronunciationPlaceholder')}
+                value={form.pronunciation}
+                onChange={(e) => setForm({ ...form, pronunciation: e.target.value })}
+              />
+            </Form.Group>
+          </Row>
+          <Row className="g-2 mt-1">
+            <Form.Group as={Col} md={6}>
+              <Form.Label>{t('lexicon.heardAs')}</Form.Label>
+              <Form.Control
+                type="text"
+                placeholder={t('lexicon.heardAsPlaceholder')}
+                value={form.spellings}
+                onChange={(e) => setForm({ ...form, spellings: e.target.value })}
+              />
+              <Form.Text muted>{t('lexicon.heardAsHelp')}</Form.Text>
+            </Form.Group>
+            <Form.Group as={Col} md={6}>
+              <Form.Label>{t('lexicon.objects')}</Form.Label>
+              <Form.Select
+                multiple
+                htmlSize={4}
+                value={form.objects}
+                onChange={(e) => setForm({ ...form, objects: [...e.target.selectedOptions].map(option => option.value) })}
+              >
+                {objects.map(object => (
+                  <option key={object.id} value={object.id}>{object.name}</option>
+                ))}
+              </Form.Select>
+              <Form.Text muted>{t('lexicon.objectsHelp')}</Form.Text>
+            </Form.Group>
+          </Row>
+        </Form>
+      </Modal.Body>
+      <Modal.Footer>
+        {form.id && (
+          <Button variant="outline-secondary" className="me-auto" onClick={() => setForm(EMPTY_ENTRY)}>
+            {t('lexicon.newEntry')}
+          </Button>
+        )}
+        <Button variant="secondary" onClick={onHide}>
+          {t('lexicon.close')}
+        </Button>
+        <Button
+          variant="primary"
+          onClick={handleSave}
+          disabled={isSaving || !form.term.trim() || !form.pronunciation.trim()}
+        >
+          {isSaving ? t('lexicon.saving') : form.id ? t('lexicon.save') : t('lexicon.add')}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default LexiconModal;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Form, Modal, Table } from 'react-bootstrap';
+import { useTranslation } from '../lib/i18n';
+
+// Match problems the server reports, see MATCH_PROBLEMS in server/ObjectCatalog.js
+const PROBLEM_MESSAGES = {
+  MAPPED_IMAGE_MISSING: 'matches.problems.mappedImageMissing'
+};
+
+/**
+ * Curator view of how objects were paired with images, so wrong or missing
+ * matches can be fixed in the sheet's image column or the Drive folder
+ */
+const MatchReportModal = ({ show, onHide, dataService }) => {
+  const { t } = useTranslation();
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reviewOnly, setReviewOnly] = useState(true);
+
+  useEffect(() => {
+    if (!show) return;
+
+    const loadReport = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        setReport(await dataService.fetchMatchReport());
+      } catch (err) {
+        console.error('Error loading the match report:', err);
+        setError(err.response?.data?.error || t('matches.loadError'));
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadReport();
+  }, [show, dataService, t]);
+
+  const objects = report ? report.objects.filter(object => !reviewOnly || object.needsReview) : [];
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>{t('matches.title')}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body className="text-start">
+        {error && <div className="alert alert-danger">{error}</div>}
+        {isLoading && <p className="text-muted">{t('matches.loading')}</p>}
+
+        {report && !isLoading && (
+          <>
+            <p className="small text-muted">
+              {t('matches.help')}
+              {' '}{t('matches.needReview', {
+                count: report.objects.filter(object => object.needsReview).length,
+                total: report.objects.length
+              })}
+            </p>
+            <Form.Check
+              type="switch"
+              id="match-report-review-only"
+              label={t('matches.reviewOnly')}
+              checked={reviewOnly}
+              onChange={(e) => setReviewOnly(e.target.checked)}
+              className="mb-2"
+            />
+            <Table size="sm" striped className="small">
+              <thead>
+                <tr>
+                  <th>{t('matches.object')}</th>
+                  <th>{t('matches.image')}</th>
+                  <th>{t('matches.method')}</th>
+                  <th>{t('matches.score')}</th>
+                  <th>{t('matches.notes')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {objects.map(object => (
+                  <tr key={object.id} className={object.needsReview ? 'table-warning' : ''}>
+                    <td>{object.position}. {object.name}</td>
+                    <td>{object.imageMatch.imageName || '—'}</td>
+                    <td>{t(`matches.methods.${object.imageMatch.method}`)}</td>
+                    <td>{object.imageMatch.confidence.toFixed(2)}</td>
+                    <td>
+                      {object.imageMatch.problem && (PROBLEM_MESSAGES[object.imageMatch.problem]
+                        ? t(PROBLEM_MESSAGES[object.imageMatch.problem], { mapping: object.imageMatch.mapping })
+                        : object.imageMatch.problem)}
+                      {object.imageMatch.alternatives.length > 0 && (
+                        <div>{t('matches.alsoClose', { names: object.imageMatch.alternatives.map(item => item.imageName).join(', ') })}</div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+
+            <h6>{t('matches.unmatchedObjects', { count: report.unmatchedObjects.length })}</h6>
+            <ul className="small">
+              {report.unmatchedObjects.map(object => (
+                <li key={object.id}>{object.position}. {object.name}</li>
+              ))}
+            </ul>
+
+            <h6>{t('matches.unmatchedImages', { count: report.unmatchedImages.length })}</h6>
+            <ul className="small">
+              {report.unmatchedImages.map(image => (
+                <li key={image.imageUrl}>
+                  {image.name} <span className="text-muted">{image.googleId || image.imageUrl}</span>
+                </li>
+              ))}
+            </ul>
+
+            {report.sharedImages.length > 0 && (
+              <>
+                <h6>{t('matches.sharedImages')}</h6>
+                <ul className="small">
+                  {report.sharedImages.map(shared => (
+                    <li key={shared.imageUrl}>
+                      {shared.imageUrl}: {shared.objects.map(object => object.name).join(', ')}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          {t('matches.close')}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default MatchReportModal;
@@ -3,15 +3,32 @@ import { Button, Card, Spinner, Row, Col } from 'react-bootstrap';
 import { io } from 'socket.io-client';
 import { AudioPlayer } from '../lib/play/AudioPlayer';
 import { ChatHistoryManager } from '../lib/util/ChatHistoryManager';
+import { apiBaseUrl, loadAppConfig } from '../lib/util/appConfig';
+import { loadLexicon, pronunciationGuide, spellingCorrector } from '../lib/util/lexicon';
+import { useTranslation } from '../lib/i18n';
 
-const NovaSonicChat = ({ objectPrompt }) => {
-  // State
+// Usage limits the server enforces, with the message explaining each; these end
+// the session rather than signal a fault
+const LIMIT_MESSAGES = {
+  TOO_MANY_SESSIONS: 'chat.limits.tooManySessions',
+  SESSION_AUDIO_LIMIT: 'chat.limits.sessionAudioLimit',
+  DAILY_LIMIT: 'chat.limits.dailyLimit',
+  RATE_LIMITED: 'chat.limits.rateLimited'
+};
+
+const NovaSonicChat = ({ objectId, objectPrompt, conversationMode, voiceSettings = {} }) => {
+  const { t, language, instruction } = useTranslation();
+  
+  // State; status is a chat.status message key and error a { key, params } message
   const [isConnected, setIsConnected] = useState(false);
   const [isListening, setIsListening] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
-  const [status, setStatus] = useState('Initializing...');
+  const [status, setStatus] = useState('initializing');
   const [chat, setChat] = useState({ history: [] });
   const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null); // Limit error { code, message }
+  // Pronunciation entries for this object, loaded with the session
+  const [lexicon, setLexicon] = useState([]);
   const [waitingForUserTranscription, setWaitingForUserTranscription] = useState(false);
   const [waitingForAssistantResponse, setWaitingForAssistantResponse] = useState(false);
   
@@ -24,12 +41,20 @@ const NovaSonicChat = ({ objectPrompt }) => {
   const chatContainerRef = useRef(null);
   const audioPlayerRef = useRef(null);
   const sessionInitializedRef = useRef(false);
+  const isListeningRef = useRef(false);
+  const startListeningRef = useRef(null);
+  // Durable session ID from the server and what it was started with, for resuming after reconnects
+  const sessionIdRef = useRef(null);
+  const sessionSetupRef = useRef(null);
   
   const TARGET_SAMPLE_RATE = 16000;
   const chatRef = useRef(chat);
   chatRef.current = chat;
   
   // Initialize chat history manager
+  // Transcripts are shown with the lexicon's spelling of names the recognizer anglicizes
+  const correctSpelling = spellingCorrector(lexicon);
+  
   const chatHistoryManager = useRef(
     ChatHistoryManager.getInstance(
       chatRef,
@@ -45,25 +70,47 @@ const NovaSonicChat = ({ objectPrompt }) => {
     audioPlayerRef.current = new AudioPlayer();
     audioPlayerRef.current.start();
     
-    // Set up WebSocket connection
-    // Use the same host and port that the page is served from
-    const socketUrl = window.location.hostname === 'localhost' 
-      ? 'http://localhost:3001' 
-      : window.location.origin;
-    socketRef.current = io(socketUrl);
+    // Set up WebSocket connection to the API server
+    socketRef.current = io(apiBaseUrl());
     
     // Event handlers
     socketRef.current.on('connect', () => {
       console.log('Connected to WebSocket server');
       setIsConnected(true);
-      setStatus('Connected to server');
+      
+      // After a reconnect, pick the conversation up where it left off
+      if (sessionIdRef.current) {
+        setStatus('resuming');
+        socketRef.current.emit('resumeSession', {
+          sessionId: sessionIdRef.current,
+          ...sessionSetupRef.current,
+          history: chatHistoryManager.getHistory()
+            .filter(item => item.role && item.message)
+            .map(item => ({ role: item.role, content: item.message }))
+        });
+        return;
+      }
+      
+      setStatus('connected');
       sessionInitializedRef.current = false;
     });
     
+    socketRef.current.on('sessionStarted', (data) => {
+      console.log('Session started:', data.sessionId);
+      sessionIdRef.current = data.sessionId;
+    });
+    
+    socketRef.current.on('sessionResumed', (data) => {
+      console.log('Session resumed:', data);
+      sessionInitializedRef.current = true;
+      setStatus(data.restored ? 'restored' : 'resumed');
+    });
+    
     socketRef.current.on('disconnect', () => {
       console.log('Disconnected from WebSocket server');
       setIsConnected(false);
-      setStatus('Disconnected from server');
+      setStatus('disconnected');
+      isListeningRef.current = false;
       setIsListening(false);
       setIsProcessing(false);
       hideUserThinkingIndicator();
@@ -71,10 +118,28 @@ const NovaSonicChat = ({ objectPrompt }) => {
     });
     
     socketRef.current.on('error', (error) => {
-      console.error('WebSocket error:', error);
-      setError('Error: ' + (error.message || JSON.stringify(error)));
       setIsProcessing(false);
+      isListeningRef.current = false;
       setIsListening(false);
+      
+      // The server has ended or refused the session; explain instead of reporting a fault
+      if (error && LIMIT_MESSAGES[error.code]) {
+        console.log('Usage limit reached:', error.code);
+        sessionIdRef.current = null;
+        sessionInitializedRef.current = false;
+        if (processorRef.current) {
+          processorRef.current.disconnect();
+          sourceNodeRef.current.disconnect();
+        }
+        hideUserThinkingIndicator();
+        hideAssistantThinkingIndicator();
+        setNotice({ code: error.code, message: error.message });
+        setStatus('paused');
+        return;
+      }
+      
+      console.error('WebSocket error:', error);
+      setError({ key: 'chat.error', params: { message: error.message || JSON.stringify(error) } });
     });
     
     // Handle content start events
@@ -138,10 +203,26 @@ const NovaSonicChat = ({ objectPrompt }) => {
       }
     });
     
+    // Handle barge-in: the visitor spoke over the assistant
+    socketRef.current.on('interrupted', (data) => {
+      console.log('Assistant interrupted:', data);
+      
+      // Flush queued speech so the two audio streams don't overlap
+      audioPlayerRef.current.bargeIn();
+      chatHistoryManager.markInterrupted();
+      hideAssistantThinkingIndicator();
+      setIsProcessing(false);
+      
+      // Resume listening straight away so the visitor's question is captured
+      if (!isListeningRef.current && startListeningRef.current) {
+        startListeningRef.current();
+      }
+    });
+    
     // Handle stream completion
     socketRef.current.on('streamComplete', () => {
       setIsProcessing(false);
-      setStatus('Ready to speak');
+      setStatus('ready');
     });
     
     // Clean up on unmount
@@ -156,12 +237,21 @@ const NovaSonicChat = ({ objectPrompt }) => {
       
       cleanupAudioResources();
     };
-  }, []);
+  // chatHistoryManager is kept in a ref, so the socket is still set up only once
+  }, [chatHistoryManager]);
+  
+  // A conversation keeps the language it started in; after a change the next question starts a new one
+  useEffect(() => {
+    if (!sessionInitializedRef.current) return;
+    sessionInitializedRef.current = false;
+    sessionIdRef.current = null;
+    setStatus('languageChanged');
+  }, [language]);
   
   // Initialize audio for recording
   const initializeAudio = async () => {
     try {
-      setStatus('Requesting microphone access...');
+      setStatus('requestingMicrophone');
       
       // Request microphone access
       const stream = await navigator.mediaDevices.getUserMedia({
@@ -180,12 +270,12 @@ const NovaSonicChat = ({ objectPrompt }) => {
       mediaStreamRef.current = stream;
       audioContextRef.current = audioContext;
       
-      setStatus('Microphone ready');
+      setStatus('microphoneReady');
       return true;
     } catch (error) {
       console.error('Error accessing microphone:', error);
-      setError('Could not access microphone. Please check permissions and try again.');
-      setStatus('Microphone error');
+      setError({ key: 'chat.microphoneError' });
+      setStatus('microphoneError');
       return false;
     }
   };
@@ -194,35 +284,52 @@ const NovaSonicChat = ({ objectPrompt }) => {
   const initializeSession = async () => {
     if (sessionInitializedRef.current) return true;
     
-    setStatus('Initializing session...');
+    setStatus('initializingSession');
     
     try {
-      // Create system prompt from object prompt
-      const systemPrompt = `You are Nova Sonic, an AI assistant that provides information about objects at the Royal BC Museum. 
+      // Create system prompt from the gallery's assistant introduction, the object prompt,
+      // the curators' pronunciation guide and, for languages other than English, which
+      // language to converse in
+      const [appConfig, entries] = await Promise.all([loadAppConfig(), loadLexicon(objectId)]);
+      setLexicon(entries);
+      const guide = pronunciationGuide(entries);
+      const systemPrompt = `${appConfig.assistant.systemPrompt} 
       The current object is: ${objectPrompt}. 
-      Keep your responses concise, generally two or three sentences for each exchange.`;
+      Keep your responses concise, generally two or three sentences for each exchange.${guide ? `
+      ${guide}` : ''}${instruction ? `
+      ${instruction}` : ''}`;
+      
+      // Remember the setup so the session can be restored after a reconnect
+      sessionSetupRef.current = { systemPrompt, mode: conversationMode || null, voiceSettings, objectId, language };
       
-      // Send events in sequence
+      // Send events in sequence, starting with the object's conversation mode, language and voice
+      // The server picks the language's voice unless the conversation is in English
+      socketRef.current.emit('sessionConfig', { mode: conversationMode || null, objectId, language, ...voiceSettings });
       socketRef.current.emit('promptStart');
       socketRef.current.emit('systemPrompt', systemPrompt);
-      socketRef.current.emit('audioStart');
       
       sessionInitializedRef.current = true;
-      setStatus('Session initialized');
+      setStatus('sessionReady');
       return true;
     } catch (error) {
       console.error('Failed to initialize session:', error);
-      setError('Error initializing session');
-      setStatus('Session initialization failed');
+      setError({ key: 'chat.sessionError' });
+      setStatus('sessionFailed');
       return false;
     }
   };
   
   // Start audio recording and streaming
   const startListening = async () => {
-    if (isListening) return;
+    if (isListeningRef.current) return;
     
     setError(null);
+    setNotice(null);
+    
+    // Speaking over the assistant cuts its answer short
+    if (audioPlayerRef.current && audioPlayerRef.current.bargeIn()) {
+      console.log('Barge-in: stopped assistant playback');
+    }
     
     // Initialize audio if not already done
     if (!audioContextRef.current) {
@@ -244,7 +351,8 @@ const NovaSonicChat = ({ objectPrompt }) => {
       processorRef.current = audioContextRef.current.createScriptProcessor(512, 1, 1);
       
       processorRef.current.onaudioprocess = (e) => {
-        if (!isListening) return;
+        // Read the ref, the isListening state captured here would always be stale
+        if (!isListeningRef.current) return;
         
         const inputData = e.inputBuffer.getChannelData(0);
         const pcmData = new Int16Array(inputData.length);
@@ -264,23 +372,31 @@ const NovaSonicChat = ({ objectPrompt }) => {
       sourceNodeRef.current.connect(processorRef.current);
       processorRef.current.connect(audioContextRef.current.destination);
       
+      // Every user turn starts a new audio input on the server
+      socketRef.current.emit('audioStart');
+      
+      isListeningRef.current = true;
       setIsListening(true);
-      setStatus('Listening... Speak now');
+      setIsProcessing(false);
+      setStatus('listening');
       showUserThinkingIndicator();
       
     } catch (error) {
       console.error('Error starting recording:', error);
-      setError('Error starting recording: ' + error.message);
+      setError({ key: 'chat.recordingError', params: { message: error.message } });
     }
   };
   
+  startListeningRef.current = startListening;
+  
   // Stop recording and process the audio
   const stopListening = () => {
     if (!isListening) return;
     
+    isListeningRef.current = false;
     setIsListening(false);
     setIsProcessing(true);
-    setStatus('Processing...');
+    setStatus('processing');
     
     // Clean up audio processing
     if (processorRef.current) {
@@ -357,7 +473,7 @@ const NovaSonicChat = ({ objectPrompt }) => {
     if (item.endOfConversation) {
       return (
         <div className="message system" key={`end-${index}`}>
-          Conversation ended
+          {t('chat.ended')}
         </div>
       );
     }
@@ -368,10 +484,13 @@ const NovaSonicChat = ({ objectPrompt }) => {
       return (
         <Card className={`mb-2 ${roleLowerCase}-message`} key={`msg-${index}`}>
           <Card.Header className={`${roleLowerCase}-header`}>
-            {item.role}
+            {t(`chat.roles.${item.role}`)}
           </Card.Header>
           <Card.Body>
-            {item.message}
+            {correctSpelling(item.message)}
+            {item.interrupted && (
+              <span className="interrupted-marker"> {t('chat.interrupted')}</span>
+            )}
           </Card.Body>
         </Card>
       );
@@ -386,10 +505,10 @@ const NovaSonicChat = ({ objectPrompt }) => {
       <>
         {waitingForUserTranscription && (
           <Card className="mb-2 user-message thinking">
-            <Card.Header className="user-header">USER</Card.Header>
+            <Card.Header className="user-header">{t('chat.roles.USER')}</Card.Header>
             <Card.Body>
               <div className="d-flex align-items-center">
-                <span className="mr-2">Listening</span>
+                <span className="mr-2">{t('chat.listening')}</span>
                 <Spinner animation="grow" size="sm" className="ml-2" />
                 <Spinner animation="grow" size="sm" className="ml-2" />
                 <Spinner animation="grow" size="sm" className="ml-2" />
@@ -400,10 +519,10 @@ const NovaSonicChat = ({ objectPrompt }) => {
         
         {waitingForAssistantResponse && (
           <Card className="mb-2 assistant-message thinking">
-            <Card.Header className="assistant-header">ASSISTANT</Card.Header>
+            <Card.Header className="assistant-header">{t('chat.roles.ASSISTANT')}</Card.Header>
             <Card.Body>
               <div className="d-flex align-items-center">
-                <span className="mr-2">Thinking</span>
+                <span className="mr-2">{t('chat.thinking')}</span>
                 <Spinner animation="grow" size="sm" className="ml-2" />
                 <Spinner animation="grow" size="sm" className="ml-2" />
                 <Spinner animation="grow" size="sm" className="ml-2" />
@@ -420,16 +539,21 @@ const NovaSonicChat = ({ objectPrompt }) => {
     <div className="nova-sonic-chat">
       <Card className="mb-3">
         <Card.Header>
-          <h5 className="mb-0">Nova Sonic Conversation</h5>
+          <h5 className="mb-0">{t('chat.title')}</h5>
         </Card.Header>
         <Card.Body>
           <div className="status-bar mb-3">
             <div className={`status-indicator ${isConnected ? 'connected' : 'disconnected'}`}>
-              {status}
+              {t(`chat.status.${status}`)}
             </div>
             {error && (
               <div className="error-message alert alert-danger mt-2">
-                {error}
+                {t(error.key, error.params)}
+              </div>
+            )}
+            {notice && (
+              <div className="limit-notice alert alert-info mt-2">
+                {LIMIT_MESSAGES[notice.code] ? t(LIMIT_MESSAGES[notice.code]) : notice.message}
               </div>
             )}
           </div>
@@ -446,9 +570,9 @@ const NovaSonicChat = ({ objectPrompt }) => {
                   variant="primary"
                   size="lg"
                   onClick={startListening}
-                  disabled={!isConnected || isProcessing}
+                  disabled={!isConnected}
                 >
-                  Start Speaking
+                  {isProcessing ? t('chat.interruptAndSpeak') : t('chat.startSpeaking')}
                 </Button>
               ) : (
                 <Button
@@ -456,7 +580,7 @@ const NovaSonicChat = ({ objectPrompt }) => {
                   size="lg"
                   onClick={stopListening}
                 >
-                  Stop Recording
+                  {t('chat.stopRecording')}
                 </Button>
               )}
             </Col>
@@ -1,13 +1,17 @@
 import axios from 'axios';
+import { encodeWav } from '../lib/util/wav';
+import { apiBaseUrl } from '../lib/util/appConfig';
 
-// API endpoint for Nova Sonic proxy
-const NOVA_SONIC_API_ENDPOINT = 'http://localhost:3001/api/nova-sonic';
+// Nova Sonic expects 16 kHz 16-bit mono PCM
+const NOVA_SONIC_SAMPLE_RATE = 16000;
 
 // This is a placeholder service for AWS Nova Sonic integration
 class NovaSonicService {
-  constructor() {
+  // audioFormat is 'wav' or 'lpcm' and decides how recorded clips are uploaded
+  constructor({ audioFormat = 'wav' } = {}) {
     // Store conversation contexts by object ID
     this.conversationContexts = new Map();
+    this.audioFormat = audioFormat;
     console.log('NovaSonicService initialized - using server proxy mode');
   }
 
@@ -32,23 +36,27 @@ class NovaSonicService {
       const context = this.conversationContexts.get(objectId);
       
       // Process audio input through WebAudio API to get the right format
-      const processedAudioInput = await this.processAudioForNovaSonic(audioInput);
+      const processedAudioInput = await this.processAudioForNovaSonic(audioInput, this.audioFormat);
       
       // Convert audio blob to base64
       const arrayBuffer = await processedAudioInput.arrayBuffer();
       const audioBase64 = this._arrayBufferToBase64(arrayBuffer);
       
       // Format conversation history for the API
+      // Placeholder text is left out so the server only sees real transcripts
       const conversationHistory = context.messages.map(msg => ({
-        userMessage: msg.userText || 'User audio input',
+        userMessage: msg.userText === 'User audio input' ? '' : (msg.userText || ''),
         botMessage: msg.botResponse || ''
       }));
       
       // Make the API call to the server proxy
       console.log('Sending request to server proxy...');
-      const response = await axios.post(NOVA_SONIC_API_ENDPOINT, {
+      const response = await axios.post(`${apiBaseUrl()}/api/nova-sonic`, {
         audioBase64,
+        audioFormat: this.audioFormat,
+        sampleRate: NOVA_SONIC_SAMPLE_RATE,
         prompt: context.systemPrompt,
+        objectId,
         conversationHistory
       }, {
         timeout: 60000, // 60 second timeout
@@ -60,7 +68,7 @@ class NovaSonicService {
       console.log('Received response from server proxy');
       
       // Extract the data from the response
-      const { success, audioChunks, textResponse } = response.data;
+      const { success, audioChunks, audioFormat, textResponse, userText } = response.data;
       
       if (!success || !audioChunks || audioChunks.length === 0) {
         throw new Error('Invalid response from server proxy');
@@ -74,7 +82,13 @@ class NovaSonicService {
       const headerCheck = firstChunk.substring(0, 10);
       console.log('Audio header signature:', headerCheck);
       
-      if (headerCheck.startsWith('SUQz')) {
+      // Raw PCM from the speech provider is wrapped in a WAV header below
+      const isRawPcm = audioFormat && audioFormat.mediaType === 'audio/lpcm';
+      
+      if (isRawPcm) {
+        audioType = 'audio/wav';
+        console.log('Received raw PCM audio at', audioFormat.sampleRateHertz, 'Hz');
+      } else if (headerCheck.startsWith('SUQz')) {
         audioType = 'audio/mpeg';  // ID3 - MP3 format
         console.log('Detected MP3 format audio');
       } else if (headerCheck.startsWith('UklG')) {
@@ -106,13 +120,23 @@ class NovaSonicService {
       }
       
       console.log('Creating audio blob of type:', audioType, 'with', audioData.length, 'chunks');
-      const audioBlob = new Blob(audioData, { type: audioType });
+      let audioParts = audioData;
+      if (isRawPcm) {
+        const pcmBytes = new Uint8Array(audioData.reduce((total, buffer) => total + buffer.byteLength, 0));
+        let offset = 0;
+        audioData.forEach(buffer => {
+          pcmBytes.set(new Uint8Array(buffer), offset);
+          offset += buffer.byteLength;
+        });
+        audioParts = [encodeWav(pcmBytes, audioFormat.sampleRateHertz, audioFormat.channelCount || 1)];
+      }
+      const audioBlob = new Blob(audioParts, { type: audioType });
       const audioUrl = URL.createObjectURL(audioBlob);
       
       // Add this exchange to the conversation context
       context.messages.push({
         userAudio: URL.createObjectURL(audioInput),
-        userText: 'User audio input', // In production, we would transcribe this
+        userText: userText || 'User audio input',
         botResponse: textResponse,
         botAudio: audioUrl,
         timestamp: new Date()
@@ -124,6 +148,7 @@ class NovaSonicService {
       // Return the response data
       return {
         audioResponse: audioUrl,
+        userText: userText || '',
         textResponse: textResponse || 'Response received but no text was provided'
       };
       
@@ -134,17 +159,47 @@ class NovaSonicService {
   }
   
   // Helper method to process audio for Nova Sonic
-  async processAudioForNovaSonic(audioBlob) {
+  // Decodes any recording the browser can play (webm/opus, ogg, mp4, wav...),
+  // mixes it down to mono and resamples it to 16 kHz 16-bit PCM.
+  // Returns a Blob holding raw LPCM or a WAV file depending on format.
+  async processAudioForNovaSonic(audioBlob, format = 'wav') {
     try {
-      // Convert audio to the format expected by Nova Sonic
-      // This is a placeholder - in a real implementation you would:
-      // 1. Convert the audio to PCM 16-bit, 16kHz, mono format
-      // 2. Convert to the appropriate binary format for the API
-      // 3. Return the processed audio
-      
-      // For now, we'll just return the audioBlob as is
-      // In production, you'd need proper audio processing
-      return audioBlob;
+      const encodedAudio = await audioBlob.arrayBuffer();
+      
+      // Decode with a regular context, then close it so we don't hold the audio device
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      const decodeContext = new AudioContextClass();
+      let decodedAudio;
+      try {
+        decodedAudio = await decodeContext.decodeAudioData(encodedAudio);
+      } finally {
+        decodeContext.close();
+      }
+      
+      // Render through an offline mono context at the target rate to downmix and resample
+      const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+      const frameCount = Math.max(1, Math.ceil(decodedAudio.duration * NOVA_SONIC_SAMPLE_RATE));
+      const offlineContext = new OfflineContextClass(1, frameCount, NOVA_SONIC_SAMPLE_RATE);
+      const source = offlineContext.createBufferSource();
+      source.buffer = decodedAudio;
+      source.connect(offlineContext.destination);
+      source.start();
+      const renderedAudio = await offlineContext.startRendering();
+      
+      // Convert to 16-bit PCM
+      const samples = renderedAudio.getChannelData(0);
+      const pcmData = new Int16Array(samples.length);
+      for (let i = 0; i < samples.length; i++) {
+        pcmData[i] = Math.max(-1, Math.min(1, samples[i])) * 0x7FFF;
+      }
+      const pcmBytes = new Uint8Array(pcmData.buffer);
+      
+      console.log(`Converted ${decodedAudio.duration.toFixed(2)}s of audio to ${NOVA_SONIC_SAMPLE_RATE} Hz mono ${format}`);
+      
+      if (format === 'lpcm') {
+        return new Blob([pcmBytes], { type: `audio/L16;rate=${NOVA_SONIC_SAMPLE_RATE};channels=1` });
+      }
+      return new Blob([encodeWav(pcmBytes, NOVA_SONIC_SAMPLE_RATE)], { type: 'audio/wav' });
     } catch (error) {
       console.error('Error processing audio for Nova Sonic:', error);
       throw error;
@@ -0,0 +1,75 @@
+import React, { useEffect } from 'react';
+import { Button, Col, Row } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import SpeechInteraction from './SpeechInteraction';
+import { useTranslation } from '../lib/i18n';
+import './ObjectDetail.css';
+
+// Metadata fields in display order, labelled by object.fields.<key>; the description is shown separately
+const METADATA_FIELDS = ['accessionNumber', 'culture', 'date', 'materials', 'location'];
+
+/**
+ * One object on its own page: the large image, its metadata from the sheet
+ * and, at the /talk route, the conversation panel
+ */
+const ObjectDetail = ({ object, novaSonicService, talking, backTo = '/', onEditPrompt }) => {
+  const { t } = useTranslation();
+  const metadata = object.metadata || {};
+  const fields = METADATA_FIELDS.filter(key => metadata[key]);
+  const objectPath = `/objects/${object.slug || object.id}`;
+
+  // Start at the top when arriving from further down the grid
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, [object.id]);
+
+  return (
+    <div className="object-detail">
+      <Button as={Link} to={backTo} variant="link" className="px-0 mb-3">
+        &larr; {t('object.allObjects')}
+      </Button>
+      <Row className="g-4">
+        <Col md={6}>
+          <div className="object-detail-image">
+            <img src={object.image} alt={object.name} />
+          </div>
+        </Col>
+        <Col md={6}>
+          <h2>{object.name}</h2>
+          {metadata.description && <p className="lead">{metadata.description}</p>}
+          {fields.length > 0 && (
+            <dl className="row">
+              {fields.map(key => (
+                <React.Fragment key={key}>
+                  <dt className="col-sm-5">{t(`object.fields.${key}`)}</dt>
+                  <dd className="col-sm-7">{metadata[key]}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+          )}
+          <div className="object-detail-conversation">
+            <h5>{t('object.askAbout')}</h5>
+            {talking ? (
+              <>
+                {/* Mounting the chat opens its connection, so it only lives on the /talk route */}
+                <SpeechInteraction object={object} novaSonicService={novaSonicService} />
+                <Button as={Link} to={objectPath} variant="link" size="sm" className="px-0">
+                  {t('object.endConversation')}
+                </Button>
+              </>
+            ) : (
+              <Button as={Link} to={`${objectPath}/talk`} variant="primary">
+                {t('object.startConversation')}
+              </Button>
+            )}
+          </div>
+          <Button variant="outline-secondary" size="sm" className="mt-3" onClick={() => onEditPrompt(object)}>
+            {t('object.editPrompt')}
+          </Button>
+        </Col>
+      </Row>
+    </div>
+  );
+};
+
+export default ObjectDetail;
@@ -0,0 +1,90 @@
+import React from 'react';
+import { Button, Col, Form, Row } from 'react-bootstrap';
+import { SORT_OPTIONS } from '../lib/util/objectFilters';
+import { useTranslation } from '../lib/i18n';
+import './ObjectFilters.css';
+
+// Facet menus in display order, with the message for their "any" option
+const FACET_MENUS = [
+  ['culture', 'filters.anyCulture'],
+  ['gallery', 'filters.anyGallery'],
+  ['era', 'filters.anyEra']
+];
+
+/**
+ * Search box, facet menus and sort order above the object grid; onChange is
+ * called with the filters that changed
+ */
+const ObjectFilters = ({ filters, options, shown, total, onChange, onClear }) => {
+  const { t } = useTranslation();
+  const filtered = shown !== total;
+  // Eras are translated; cultures and galleries are shown as the sheet has them
+  const optionLabel = (facet, value) => (facet === 'era' ? t(`filters.era.${value}`) : value);
+
+  return (
+    <Form className="object-filters" onSubmit={(e) => e.preventDefault()}>
+      <Row className="g-2 align-items-center">
+        <Col xs={12} lg={4}>
+          <Form.Control
+            type="search"
+            placeholder={t('filters.searchPlaceholder')}
+            aria-label={t('filters.search')}
+            value={filters.q}
+            onChange={(e) => onChange({ q: e.target.value })}
+          />
+        </Col>
+        {FACET_MENUS.map(([facet, anyKey]) => (
+          <Col key={facet} xs={6} md={3} lg>
+            <Form.Select
+              aria-label={t(anyKey)}
+              value={filters[facet]}
+              onChange={(e) => onChange({ [facet]: e.target.value })}
+              disabled={!options[facet].length}
+            >
+              <option value="">{t(anyKey)}</option>
+              {options[facet].map(option => (
+                <option key={option.value} value={option.value}>
+                  {optionLabel(facet, option.value)} ({option.count})
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+        ))}
+        <Col xs={6} md={3} lg>
+          <Form.Select
+            aria-label={t('filters.image')}
+            value={filters.image}
+            onChange={(e) => onChange({ image: e.target.value })}
+          >
+            <option value="">{t('filters.imageAny')}</option>
+            <option value="yes">{t('filters.imageYes')}</option>
+            <option value="no">{t('filters.imageNo')}</option>
+          </Form.Select>
+        </Col>
+        <Col xs={12} md={6} lg>
+          <Form.Select
+            aria-label={t('filters.sortBy')}
+            value={filters.sort}
+            onChange={(e) => onChange({ sort: e.target.value })}
+          >
+            {SORT_OPTIONS.map(value => (
+              <option key={value} value={value}>
+                {t('filters.sortOption', { label: t(`filters.sort.${value}`) })}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+      </Row>
+      <div className="object-filters-summary small text-muted">
+        {filtered ? t('filters.showing', { shown, total }) : t('filters.total', { total })}
+        {filtered && (
+          <Button variant="link" size="sm" className="py-0" onClick={onClear}>
+            {t('filters.clear')}
+          </Button>
+        )}
+      </div>
+    </Form>
+  );
+};
+
+export default ObjectFilters;
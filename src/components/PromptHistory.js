@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Col, Form, Row, Table } from 'react-bootstrap';
+import { diffWords } from '../lib/util/diff';
+import { useTranslation } from '../lib/i18n';
+import './PromptHistory.css';
+
+// Describe who saved a version and why
+const describeVersion = (version, locale) => {
+  const details = [new Date(version.createdAt).toLocaleString(locale)];
+  if (version.author) details.push(version.author);
+  return details.join(' · ');
+};
+
+/**
+ * Version history of one object's prompt, with a side-by-side diff of any two
+ * versions and a restore button for each
+ */
+const PromptHistory = ({ object, dataService, author, onRestored }) => {
+  const { t, locale } = useTranslation();
+  const [history, setHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadHistory = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const data = await dataService.fetchPromptVersions(object.id);
+        if (cancelled) return;
+        setHistory(data);
+        // Compare the two newest versions by default
+        setToVersion(data.versions[0] ? data.versions[0].version : null);
+        setFromVersion(data.versions[1] ? data.versions[1].version : null);
+      } catch (err) {
+        console.error('Error loading prompt history:', err);
+        if (!cancelled) setError(t('history.loadError'));
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  // A restore changes promptVersion, which reloads the list
+  }, [dataService, object.id, object.promptVersion, t]);
+
+  const handleRestore = async (version) => {
+    setRestoring(version);
+    setError(null);
+    try {
+      onRestored(await dataService.restorePromptVersion(object.id, version, author || null));
+    } catch (err) {
+      console.error('Error restoring prompt version:', err);
+      setError(err.response?.data?.error || t('history.restoreError'));
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-muted">{t('history.loading')}</p>;
+  }
+  if (error && !history) {
+    return <div className="alert alert-danger">{error}</div>;
+  }
+  if (!history.versions.length) {
+    return <p className="text-muted">{t('history.notEdited')}</p>;
+  }
+
+  const isPinned = Boolean(history.pinnedVersion);
+  const findVersion = (number) => history.versions.find(version => version.version === number);
+  const from = findVersion(fromVersion);
+  const to = findVersion(toVersion);
+  const parts = from && to ? diffWords(from.prompt, to.prompt) : [];
+
+  return (
+    <div className="prompt-history">
+      {error && <div className="alert alert-danger">{error}</div>}
+      {isPinned && (
+        <div className="alert alert-info small">
+          {t('history.pinned', { version: history.pinnedVersion })}
+        </div>
+      )}
+
+      <Table size="sm" hover className="small">
+        <thead>
+          <tr>
+            <th>{t('history.version')}</th>
+            <th>{t('history.saved')}</th>
+            <th>{t('history.comment')}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {history.versions.map(version => (
+            <tr key={version.version}>
+              <td>
+                {version.version}
+                {version.version === history.activeVersion && !isPinned && <span className="badge bg-primary ms-1">{t('history.current')}</span>}
+                {version.version === history.pinnedVersion && <span className="badge bg-secondary ms-1">{t('history.pinnedBadge')}</span>}
+              </td>
+              <td>{describeVersion(version, locale)}</td>
+              <td>{version.comment || ''}</td>
+              <td className="text-end">
+                <Button
+                  size="sm"
+                  variant="outline-primary"
+                  onClick={() => handleRestore(version.version)}
+                  disabled={isPinned || restoring !== null || version.version === history.activeVersion}
+                >
+                  {restoring === version.version ? t('history.restoring') : t('history.restore')}
+                </Button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+
+      {history.versions.length > 1 && (
+        <>
+          <Row className="mb-2">
+            <Form.Group as={Col}>
+              <Form.Label className="small">{t('history.compare')}</Form.Label>
+              <Form.Select size="sm" value={fromVersion ?? ''} onChange={(e) => setFromVersion(Number(e.target.value))}>
+                {history.versions.map(version => (
+                  <option key={version.version} value={version.version}>{t('history.versionOption', { version: version.version })}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+            <Form.Group as={Col}>
+              <Form.Label className="small">{t('history.with')}</Form.Label>
+              <Form.Select size="sm" value={toVersion ?? ''} onChange={(e) => setToVersion(Number(e.target.value))}>
+                {history.versions.map(version => (
+                  <option key={version.version} value={version.version}>{t('history.versionOption', { version: version.version })}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          </Row>
+          <Row className="prompt-diff">
+            <Col>
+              <pre>
+                {parts.filter(part => part.type !== 'added').map((part, index) => (
+                  <span key={index} className={`diff-${part.type}`}>{part.text}</span>
+                ))}
+              </pre>
+            </Col>
+            <Col>
+              <pre>
+                {parts.filter(part => part.type !== 'removed').map((part, index) => (
+                  <span key={index} className={`diff-${part.type}`}>{part.text}</span>
+                ))}
+              </pre>
+            </Col>
+          </Row>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PromptHistory;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button, Col, Form, Modal, Row } from 'react-bootstrap';
+import { useTranslation } from '../lib/i18n';
+import './SheetSyncModal.css';
+
+// How a conflict is settled: keep the sheet's prompt, use the edit, or write a merged prompt;
+// labelled by sheetSync.choices.<value>
+const RESOLUTION_CHOICES = ['later', 'theirs', 'ours', 'merged'];
+
+/**
+ * Admin dialog that pushes edited prompts back to the Google Sheet and shows
+ * rows changed in the sheet since they were edited as three-way conflicts
+ */
+const SheetSyncModal = ({ show, onHide, dataService, author, onSynced }) => {
+  const { t } = useTranslation();
+  const [preview, setPreview] = useState(null);
+  const [choices, setChoices] = useState({});
+  const [merged, setMerged] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isPushing, setIsPushing] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const loadPreview = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await dataService.fetchSheetSync();
+      setPreview(data);
+      setChoices({});
+      setMerged(Object.fromEntries(data.items.map(item => [item.objectId, item.ours])));
+    } catch (err) {
+      console.error('Error comparing prompts with the sheet:', err);
+      setError(err.response?.data?.error || t('sheetSync.readError'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [dataService, t]);
+
+  useEffect(() => {
+    if (show) {
+      setResult(null);
+      loadPreview();
+    }
+  }, [show, loadPreview]);
+
+  const handlePush = async () => {
+    const resolutions = {};
+    preview.items
+      .filter(item => item.status === 'conflict')
+      .forEach(item => {
+        const choice = choices[item.objectId] || 'later';
+        if (choice === 'later') return;
+        const prompt = choice === 'theirs' ? item.theirs : choice === 'ours' ? item.ours : merged[item.objectId];
+        resolutions[item.objectId] = { prompt, theirs: item.theirs };
+      });
+
+    setIsPushing(true);
+    setError(null);
+    try {
+      setResult(await dataService.pushToSheet(resolutions, author || null));
+      onSynced();
+      await loadPreview();
+    } catch (err) {
+      console.error('Error pushing prompts to the sheet:', err);
+      setError(err.response?.data?.error || t('sheetSync.pushError'));
+    } finally {
+      setIsPushing(false);
+    }
+  };
+
+  const itemsWith = (status) => (preview ? preview.items.filter(item => item.status === status) : []);
+  const ready = itemsWith('ready');
+  const conflicts = itemsWith('conflict');
+  const missing = itemsWith('missing');
+  const describe = (item) => t('sheetSync.item', {
+    name: item.objectName || t('sheetSync.unnamed', { id: item.objectId }),
+    row: item.rowNumber ?? '?'
+  });
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>{t('sheetSync.title')}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body className="sheet-sync">
+        {error && <div className="alert alert-danger">{error}</div>}
+        {result && (
+          <div className="alert alert-success">
+            {t('sheetSync.result', { pushed: result.pushed.length, kept: result.kept.length })}
+            {result.conflicts.length > 0 && ` ${t('sheetSync.resultConflicts', { count: result.conflicts.length })}`}
+          </div>
+        )}
+        {isLoading && <p className="text-muted">{t('sheetSync.comparing')}</p>}
+
+        {preview && !isLoading && (
+          <>
+            {!preview.canWrite && (
+              <div className="alert alert-warning">
+                {t('sheetSync.noServiceAccount')}
+              </div>
+            )}
+            {ready.length + conflicts.length + missing.length === 0 && (
+              <p>{t('sheetSync.upToDate')}</p>
+            )}
+
+            {ready.length > 0 && (
+              <>
+                <h6>{t('sheetSync.ready')}</h6>
+                <ul className="small">
+                  {ready.map(item => <li key={item.objectId}>{describe(item)}</li>)}
+                </ul>
+              </>
+            )}
+
+            {missing.length > 0 && (
+              <>
+                <h6>{t('sheetSync.missing')}</h6>
+                <p className="small text-muted">
+                  {t('sheetSync.missingHelp')}
+                </p>
+                <ul className="small">
+                  {missing.map(item => <li key={item.objectId}>{describe(item)}</li>)}
+                </ul>
+              </>
+            )}
+
+            {conflicts.map(item => (
+              <div key={item.objectId} className="sheet-conflict">
+                <h6>{t('sheetSync.changed', { item: describe(item) })}</h6>
+                <Row>
+                  <Col>
+                    <div className="small text-muted">{t('sheetSync.base')}</div>
+                    <pre>{item.base ?? t('sheetSync.unknown')}</pre>
+                  </Col>
+                  <Col>
+                    <div className="small text-muted">{t('sheetSync.theirs')}</div>
+                    <pre>{item.theirs}</pre>
+                  </Col>
+                  <Col>
+                    <div className="small text-muted">{t(item.pinned ? 'sheetSync.oursPinned' : 'sheetSync.ours')}</div>
+                    <pre>{item.ours}</pre>
+                  </Col>
+                </Row>
+                <Form.Group>
+                  {RESOLUTION_CHOICES
+                    .filter(choice => !item.pinned || ['later', 'ours'].includes(choice))
+                    .map(choice => (
+                      <Form.Check
+                        key={choice}
+                        inline
+                        type="radio"
+                        id={`resolution-${item.objectId}-${choice}`}
+                        name={`resolution-${item.objectId}`}
+                        label={t(`sheetSync.choices.${choice}`)}
+                        checked={(choices[item.objectId] || 'later') === choice}
+                        onChange={() => setChoices({ ...choices, [item.objectId]: choice })}
+                      />
+                    ))}
+                </Form.Group>
+                {choices[item.objectId] === 'merged' && (
+                  <Form.Control
+                    as="textarea"
+                    rows={4}
+                    className="mt-2"
+                    value={merged[item.objectId] ?? ''}
+                    onChange={(e) => setMerged({ ...merged, [item.objectId]: e.target.value })}
+                  />
+                )}
+              </div>
+            ))}
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          {t('sheetSync.close')}
+        </Button>
+        <Button
+          variant="primary"
+          onClick={handlePush}
+          disabled={!preview || !preview.canWrite || isLoading || isPushing || (ready.length === 0 && conflicts.length === 0)}
+        >
+          {isPushing ? t('sheetSync.pushing') : t('sheetSync.push')}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default SheetSyncModal;
@@ -1,11 +1,27 @@
 import React from 'react';
 import NovaSonicChat from './NovaSonicChat';
 import './NovaSonicChat.css';
+import { useTranslation } from '../lib/i18n';
 
 const SpeechInteraction = ({ object }) => {
+  const { language } = useTranslation();
+  // A curator's translation of the prompt when there is one; otherwise the model is told to answer in the language
+  const prompt = (object.translatedPrompts && object.translatedPrompts[language]) || object.prompt;
+
   return (
     <div className="speech-interaction">
-      <NovaSonicChat objectPrompt={object.prompt} />
+      <NovaSonicChat
+        objectId={object.id}
+        objectPrompt={prompt}
+        conversationMode={object.conversationMode}
+        voiceSettings={{
+          voiceId: object.voiceId,
+          cascadedVoiceId: object.cascadedVoiceId,
+          temperature: object.temperature,
+          topP: object.topP,
+          maxTokens: object.maxTokens
+        }}
+      />
     </div>
   );
 };
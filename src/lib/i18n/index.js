@@ -0,0 +1,84 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import en from './en.json';
+import fr from './fr.json';
+
+/**
+ * Languages a visitor can choose
+ *   label       - name shown in the language picker, in the language itself
+ *   locale      - for dates and numbers
+ *   instruction - added to the system prompt so the model converses in the language
+ */
+export const LANGUAGES = [
+  { code: 'en', label: 'English', locale: 'en-CA', instruction: null },
+  {
+    code: 'fr',
+    label: 'Français',
+    locale: 'fr-CA',
+    instruction: 'Converse with the visitor in Canadian French. Answer in French even when the information about the object is written in English.'
+  }
+];
+
+const CATALOGS = { en, fr };
+const DEFAULT_LANGUAGE = 'en';
+
+// The choice is remembered on this device
+const LANGUAGE_KEY = 'uiLanguage';
+
+const lookup = (catalog, key) => key.split('.')
+  .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+/**
+ * Message from a language's catalog, falling back to English and then to the key
+ * @param {string} language - Language code
+ * @param {string} key - Dotted path in the catalog, e.g. chat.startSpeaking
+ * @param {Object} params - Values for {name} placeholders
+ * @returns {string}
+ */
+export function translate(language, key, params = {}) {
+  const message = lookup(CATALOGS[language], key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+  if (typeof message !== 'string') return key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+// A saved choice, or the browser's language when it is one we have
+const initialLanguage = () => {
+  const saved = localStorage.getItem(LANGUAGE_KEY);
+  if (CATALOGS[saved]) return saved;
+  const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+  return CATALOGS[browser] ? browser : DEFAULT_LANGUAGE;
+};
+
+const LanguageContext = createContext({ language: DEFAULT_LANGUAGE, setLanguage: () => {} });
+
+export function LanguageProvider({ children }) {
+  const [language, setLanguage] = useState(initialLanguage);
+
+  useEffect(() => {
+    localStorage.setItem(LANGUAGE_KEY, language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  return (
+    <LanguageContext.Provider value={{ language, setLanguage }}>
+      {children}
+    </LanguageContext.Provider>
+  );
+}
+
+/**
+ * The chosen language and a translate function bound to it
+ * t only changes with the language, so effects can list it as a dependency.
+ * @returns {Object} { t, language, setLanguage, locale, instruction }
+ */
+export function useTranslation() {
+  const { language, setLanguage } = useContext(LanguageContext);
+  const { locale, instruction } = LANGUAGES.find(item => item.code === language);
+  const t = useCallback((key, params) => translate(language, key, params), [language]);
+  return {
+    t,
+    language,
+    setLanguage,
+    locale,
+    instruction
+  };
+}
@@ -1,15 +1,21 @@
 /**
  * AudioPlayer class for handling real-time audio playback
  * Manages the Web Audio API context and audio processing
+ * Chunks are queued back to back so streamed audio plays without gaps or overlap
  */
 export class AudioPlayer {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate - Sample rate of the PCM chunks being played (Nova Sonic sends 24 kHz)
+   */
+  constructor({ sampleRate = 24000 } = {}) {
     this.audioContext = null;
     this.outputNode = null;
     this.gainNode = null;
-    this.audioQueue = [];
+    this.sampleRate = sampleRate;
+    this.audioQueue = new Set();
+    this.nextStartTime = 0;
     this.isPlaying = false;
-    this.audioSourceNode = null;
     this.isStarted = false;
   }
 
@@ -42,28 +48,32 @@ export class AudioPlayer {
   }
 
   /**
-   * Stop audio playback and release resources
+   * Stop audio playback and flush everything queued
    */
   stop() {
-    if (this.audioSourceNode) {
+    this.audioQueue.forEach(sourceNode => {
       try {
-        this.audioSourceNode.stop();
-        this.audioSourceNode.disconnect();
+        sourceNode.onended = null;
+        sourceNode.stop();
+        sourceNode.disconnect();
       } catch (e) {
         console.warn("Error stopping audio source:", e);
       }
-      this.audioSourceNode = null;
-    }
+    });
     
+    this.audioQueue.clear();
+    this.nextStartTime = 0;
     this.isPlaying = false;
-    this.audioQueue = [];
   }
   
   /**
    * Interrupt current speech (for barge-in functionality)
+   * @returns {boolean} Whether anything was playing
    */
   bargeIn() {
+    const wasPlaying = this.isPlaying;
     this.stop();
+    return wasPlaying;
   }
 
   /**
@@ -77,7 +87,8 @@ export class AudioPlayer {
     
     try {
       // Create an audio buffer from the Float32Array data
-      const audioBuffer = this.audioContext.createBuffer(1, audioData.length, this.audioContext.sampleRate);
+      // Web Audio resamples it from the source rate to the device rate
+      const audioBuffer = this.audioContext.createBuffer(1, audioData.length, this.sampleRate);
       const channelData = audioBuffer.getChannelData(0);
       
       // Copy data to the channel
@@ -90,17 +101,19 @@ export class AudioPlayer {
       // Connect to the gain node
       sourceNode.connect(this.gainNode);
       
-      // Store the source node
-      this.audioSourceNode = sourceNode;
+      // Queue the source node after whatever is already scheduled
+      this.audioQueue.add(sourceNode);
+      const startTime = Math.max(this.audioContext.currentTime, this.nextStartTime);
+      this.nextStartTime = startTime + audioBuffer.duration;
       
       // Start playback
-      sourceNode.start();
+      sourceNode.start(startTime);
       this.isPlaying = true;
       
       // When audio finishes playing
       sourceNode.onended = () => {
-        this.isPlaying = false;
-        this.audioSourceNode = null;
+        this.audioQueue.delete(sourceNode);
+        this.isPlaying = this.audioQueue.size > 0;
       };
     } catch (error) {
       console.error("Error playing audio:", error);
@@ -56,6 +56,36 @@ export class ChatHistoryManager {
     }
   }
   
+  /**
+   * Mark the most recent assistant message as interrupted (barge-in)
+   * @returns {boolean} Whether a message was marked
+   */
+  markInterrupted() {
+    const history = this.chatRef.current?.history || [];
+    let index = history.length - 1;
+    while (index >= 0 && history[index].role !== 'ASSISTANT') {
+      // Only look back as far as the last user message
+      if (history[index].role === 'USER') return false;
+      index--;
+    }
+    if (index < 0 || history[index].interrupted) return false;
+    
+    const updatedHistory = [...history];
+    updatedHistory[index] = { ...history[index], interrupted: true };
+    
+    const updatedChat = {
+      ...this.chatRef.current,
+      history: updatedHistory
+    };
+    
+    this.currentTurnMessages = [];
+    
+    if (this.updateCallback) {
+      this.updateCallback(updatedChat);
+    }
+    return true;
+  }
+  
   /**
    * End the current conversation turn
    */
@@ -0,0 +1,27 @@
+import axios from 'axios';
+
+let configPromise = null;
+
+// Base URL of the API server: the dev server on port 3001, otherwise the page's own origin
+export function apiBaseUrl() {
+  return window.location.hostname === 'localhost'
+    ? 'http://localhost:3001'
+    : window.location.origin;
+}
+
+/**
+ * Load the gallery instance's public settings from /api/config
+ * The request is made once and shared; a failed request is retried on the next call.
+ * @returns {Promise<Object>} Settings such as google.sheetId and assistant.systemPrompt
+ */
+export function loadAppConfig() {
+  if (!configPromise) {
+    configPromise = axios.get(`${apiBaseUrl()}/api/config`)
+      .then(response => response.data)
+      .catch(error => {
+        configPromise = null;
+        throw error;
+      });
+  }
+  return configPromise;
+}
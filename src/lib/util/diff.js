@@ -0,0 +1,77 @@
+// Split text into words and the whitespace between them, so joining the tokens gives the text back
+const tokenize = (text) => (text || '').split(/(\s+)/).filter(token => token !== '');
+
+// Largest table the word diff fills in, about 16 MB; bigger changes are shown as a replacement
+const MAX_TABLE_CELLS = 4000000;
+
+/**
+ * Word-level diff of two texts using the longest common subsequence
+ * The words the texts start and end with are matched first, so an edit in a
+ * long prompt only compares the part that changed. If that part is too long to
+ * compare, all of it is shown as removed and added.
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @returns {Array} Parts of { type: 'equal' | 'removed' | 'added', text }, adjacent parts of a type merged
+ */
+export function diffWords(oldText, newText) {
+  const oldTokens = tokenize(oldText);
+  const newTokens = tokenize(newText);
+
+  let start = 0;
+  while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < oldTokens.length - start && end < newTokens.length - start &&
+    oldTokens[oldTokens.length - 1 - end] === newTokens[newTokens.length - 1 - end]) {
+    end++;
+  }
+
+  const a = oldTokens.slice(start, oldTokens.length - end);
+  const b = newTokens.slice(start, newTokens.length - end);
+  const compare = (a.length + 1) * (b.length + 1) <= MAX_TABLE_CELLS;
+
+  // lengths[i][j] is the LCS length of a[i..] and b[j..]
+  const lengths = compare ? Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1)) : null;
+  if (compare) {
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  oldTokens.slice(0, start).forEach(token => push('equal', token));
+
+  let i = 0;
+  let j = 0;
+  while (compare && i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  oldTokens.slice(oldTokens.length - end).forEach(token => push('equal', token));
+
+  return parts;
+}
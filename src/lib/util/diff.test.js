@@ -0,0 +1,53 @@
+import { diffWords } from './diff';
+
+// Joining a diff's equal and removed parts gives the old text back, equal and added parts the new one
+const sides = (parts) => ({
+  oldText: parts.filter(part => part.type !== 'added').map(part => part.text).join(''),
+  newText: parts.filter(part => part.type !== 'removed').map(part => part.text).join('')
+});
+
+describe('diffWords', () => {
+  test('marks changed words and merges adjacent parts', () => {
+    expect(diffWords('The mask is cedar.', 'The carved mask is red cedar.')).toEqual([
+      { type: 'equal', text: 'The ' },
+      { type: 'added', text: 'carved ' },
+      { type: 'equal', text: 'mask is' },
+      { type: 'added', text: ' red' },
+      { type: 'equal', text: ' cedar.' }
+    ]);
+  });
+
+  test('returns one equal part for identical texts', () => {
+    expect(diffWords('Same prompt', 'Same prompt')).toEqual([{ type: 'equal', text: 'Same prompt' }]);
+  });
+
+  test('handles empty and missing texts', () => {
+    expect(diffWords('', 'New prompt')).toEqual([{ type: 'added', text: 'New prompt' }]);
+    expect(diffWords('Old prompt', null)).toEqual([{ type: 'removed', text: 'Old prompt' }]);
+    expect(diffWords(undefined, '')).toEqual([]);
+  });
+
+  test('compares only the middle of long prompts with a small edit', () => {
+    const words = Array.from({ length: 5000 }, (_, i) => `word${i}`);
+    const oldText = words.join(' ');
+    const newText = [...words.slice(0, 2500), 'inserted', ...words.slice(2500)].join(' ');
+
+    const parts = diffWords(oldText, newText);
+    expect(parts.map(part => part.type)).toEqual(['equal', 'added', 'equal']);
+    expect(parts[1].text).toBe('inserted ');
+    expect(sides(parts)).toEqual({ oldText, newText });
+  });
+
+  test('shows a rewrite too long to compare as removed and added', () => {
+    const oldText = Array.from({ length: 3000 }, (_, i) => `old${i}`).join(' ');
+    const newText = Array.from({ length: 3000 }, (_, i) => `new${i}`).join(' ');
+
+    const parts = diffWords(`Intro. ${oldText} Signed.`, `Intro. ${newText} Signed.`);
+    expect(parts).toEqual([
+      { type: 'equal', text: 'Intro. ' },
+      { type: 'removed', text: oldText },
+      { type: 'added', text: newText },
+      { type: 'equal', text: ' Signed.' }
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+import axios from 'axios';
+import { apiBaseUrl } from './appConfig';
+
+// The curators' pronunciation lexicon: guidance for the model and spelling fixes for transcripts
+
+// Anything but letters and digits in any script, so a match never starts or ends inside a word
+const NOT_WORD_CHAR = '[^\\p{L}\\p{N}]';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Load the lexicon entries for one object, both its own and those for every object
+ * A conversation works without them, so failures are logged and give an empty list.
+ * @param {string|number} objectId - Object ID or slug
+ * @returns {Promise<Array>} Entries of { term, pronunciation, spellings, objects }
+ */
+export async function loadLexicon(objectId) {
+  try {
+    const response = await axios.get(`${apiBaseUrl()}/api/objects/${encodeURIComponent(objectId)}/lexicon`);
+    return response.data;
+  } catch (error) {
+    console.warn('Could not load the pronunciation lexicon:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Lines for the system prompt telling the model how to say each term
+ * @param {Array} entries - Lexicon entries of { term, pronunciation }
+ * @returns {string} Empty when there are no entries
+ */
+export function pronunciationGuide(entries) {
+  if (!entries.length) return '';
+  return [
+    'Pronounce these names as described, and always write them exactly as spelled here:',
+    ...entries.map(entry => `- ${entry.term}: ${entry.pronunciation}`)
+  ].join('\n');
+}
+
+/**
+ * Spellings speech recognition may produce for a term: the curators' list plus
+ * the term without apostrophes, hyphens or accents, e.g. Lawitsis for Lawit'sis
+ * and Huuayaht or Huu ay aht for Huu-ay-aht
+ * @param {Object} entry - Lexicon entry of { term, spellings }
+ * @returns {Array<string>}
+ */
+function spellingsOf(entry) {
+  const plain = entry.term.normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2018\u2019\u02bc]/g, '');
+  return [...entry.spellings, plain, plain.replace(/-/g, ' '), plain.replace(/-/g, '')]
+    .filter(spelling => spelling && spelling !== entry.term);
+}
+
+/**
+ * Build a function that puts the lexicon's spelling back into text
+ * @param {Array} entries - Lexicon entries of { term, spellings }
+ * @returns {Function} text -> text with anglicized spellings replaced by the terms
+ */
+export function spellingCorrector(entries) {
+  // Longest spellings first, so "Huu ay aht" wins over "Huu"
+  const replacements = entries
+    .flatMap(entry => spellingsOf(entry).map(spelling => ({ spelling, term: entry.term })))
+    .sort((a, b) => b.spelling.length - a.spelling.length);
+  if (!replacements.length) return (text) => text;
+
+  const terms = new Map(replacements.map(({ spelling, term }) => [spelling.toLowerCase(), term]));
+  const pattern = new RegExp(
+    `(^|${NOT_WORD_CHAR})(${replacements.map(({ spelling }) => escapeRegExp(spelling)).join('|')})(?=$|${NOT_WORD_CHAR})`,
+    'giu'
+  );
+  return (text) => (text
+    ? text.replace(pattern, (match, before, spelling) => before + (terms.get(spelling.toLowerCase()) || spelling))
+    : text);
+}
@@ -0,0 +1,51 @@
+import { pronunciationGuide, spellingCorrector } from './lexicon';
+
+// axios ships as an ES module, which jest does not transform; these tests make no requests
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const entry = (term, spellings = [], pronunciation = '') => ({ term, spellings, pronunciation, objects: [] });
+
+describe('pronunciationGuide', () => {
+  test('lists each term with its pronunciation', () => {
+    expect(pronunciationGuide([entry("Lawit'sis", [], 'la-WEET-sees')])).toBe(
+      "Pronounce these names as described, and always write them exactly as spelled here:\n- Lawit'sis: la-WEET-sees"
+    );
+  });
+
+  test('is empty without entries', () => {
+    expect(pronunciationGuide([])).toBe('');
+  });
+});
+
+describe('spellingCorrector', () => {
+  const correct = spellingCorrector([
+    entry("Lawit'sis", ['Lowitsis']),
+    entry('Huu-ay-aht'),
+    entry('Huu')
+  ]);
+
+  test('replaces listed spellings whatever their case', () => {
+    expect(correct('The lowitsis mask')).toBe("The Lawit'sis mask");
+  });
+
+  test('recognizes the term without apostrophes, hyphens or accents', () => {
+    expect(correct('Lawitsis and the Huu ay aht First Nations')).toBe("Lawit'sis and the Huu-ay-aht First Nations");
+    expect(correct('Huuayaht')).toBe('Huu-ay-aht');
+    expect(spellingCorrector([entry('Métis')])('metis beadwork')).toBe('Métis beadwork');
+  });
+
+  test('only replaces whole words', () => {
+    expect(correct('Lowitsisville')).toBe('Lowitsisville');
+    expect(correct('Lowitsis, mid-sentence.')).toBe("Lawit'sis, mid-sentence.");
+  });
+
+  test('treats regular expression characters in spellings literally', () => {
+    expect(spellingCorrector([entry('Tsimshian', ['Sim(shian)?'])])('Sim(shian)? or Simshian')).toBe('Tsimshian or Simshian');
+  });
+
+  test('passes text through when there are no entries or no text', () => {
+    expect(spellingCorrector([])('Lowitsis')).toBe('Lowitsis');
+    expect(correct('')).toBe('');
+    expect(correct(null)).toBeNull();
+  });
+});
@@ -0,0 +1,177 @@
+// Search, facets and sorting for the object grid; the grid keeps this state in the URL query
+
+// Query parameters and their defaults; parameters at their default are left out of the URL
+export const DEFAULT_FILTERS = {
+  q: '',
+  culture: '',
+  gallery: '',
+  era: '',
+  image: '', // 'yes', 'no' or '' for both
+  sort: 'sheet'
+};
+
+// Sort orders; their labels are filters.sort.<key> in the message catalogs
+export const SORT_OPTIONS = ['sheet', 'name', 'date', 'culture'];
+
+// Eras from the sheet's free-text dates, oldest first; labelled by filters.era.<key>
+const ERAS = [
+  { key: 'before-1700', before: 1700 },
+  { key: '1700s', before: 1800 },
+  { key: '1800s', before: 1900 },
+  { key: '1900s', before: 2000 },
+  { key: '2000s', before: Infinity }
+];
+
+/**
+ * Lowercase text without accents, apostrophes or punctuation, so "Lawit’sis"
+ * matches a search for "lawitsis"
+ * @param {string} text
+ * @returns {string} Words separated by single spaces
+ */
+export function normalizeText(text) {
+  return String(text || '').toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')       // Remove diacritics
+    .replace(/['\u2018\u2019\u02bc]/g, '') // Apostrophes and glottal stops join a word
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Approximate year of a free-text date such as "c. 1880", "1850-1900",
+ * "19th century" or "2000 BCE"
+ * @param {string} date
+ * @returns {number|null} Year, negative before the common era, or null when there is none
+ */
+export function yearOf(date) {
+  const text = String(date || '');
+  const bce = /\b(BCE|BC|BP)\b/i.test(text);
+
+  const century = text.match(/(\d{1,2})(st|nd|rd|th)\s+century/i);
+  if (century) {
+    const start = (Number(century[1]) - 1) * 100;
+    return bce ? -start : start;
+  }
+
+  const year = text.replace(/,/g, '').match(/\d{3,5}/);
+  if (!year) return null;
+  return bce ? -Number(year[0]) : Number(year[0]);
+}
+
+/**
+ * The era an object's date falls in
+ * @param {string} date
+ * @returns {string|null} Era key, or null for undated objects
+ */
+export function eraOf(date) {
+  const year = yearOf(date);
+  if (year === null) return null;
+  return ERAS.find(item => year < item.before).key;
+}
+
+const hasImage = (object) => (object.imageMatch ? object.imageMatch.method !== 'none' : Boolean(object.googleId));
+
+// Facet value of an object
+const FACETS = {
+  culture: (object) => (object.metadata && object.metadata.culture) || '',
+  gallery: (object) => (object.metadata && object.metadata.location) || '',
+  era: (object) => eraOf(object.metadata && object.metadata.date) || ''
+};
+
+/**
+ * Read the grid's filters from the URL query
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} Filters with the keys of DEFAULT_FILTERS
+ */
+export function readFilters(searchParams) {
+  const filters = Object.fromEntries(Object.entries(DEFAULT_FILTERS)
+    .map(([key, value]) => [key, searchParams.get(key) || value]));
+  if (!SORT_OPTIONS.includes(filters.sort)) {
+    filters.sort = DEFAULT_FILTERS.sort;
+  }
+  if (!['yes', 'no'].includes(filters.image)) {
+    filters.image = '';
+  }
+  return filters;
+}
+
+/**
+ * URL query for the grid's filters, leaving out those at their default
+ * @param {Object} filters
+ * @returns {Object} Query parameters
+ */
+export function filterParams(filters) {
+  return Object.fromEntries(Object.entries(filters)
+    .filter(([key, value]) => key in DEFAULT_FILTERS && value && value !== DEFAULT_FILTERS[key]));
+}
+
+/**
+ * Values of each facet with the number of objects that have them, for the filter menus
+ * @param {Array} objects
+ * @returns {Object} { culture, gallery, era } of [{ value, count }]; eras are
+ *   oldest first and the others alphabetical
+ */
+export function facetOptions(objects) {
+  const options = {};
+  Object.entries(FACETS).forEach(([facet, valueOf]) => {
+    const counts = new Map();
+    objects.forEach(object => {
+      const value = valueOf(object);
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    options[facet] = [...counts.entries()].map(([value, count]) => ({ value, count }));
+  });
+
+  options.culture.sort((a, b) => a.value.localeCompare(b.value, undefined, { sensitivity: 'base' }));
+  options.gallery.sort((a, b) => a.value.localeCompare(b.value, undefined, { sensitivity: 'base' }));
+  options.era.sort((a, b) => ERAS.findIndex(era => era.key === a.value) - ERAS.findIndex(era => era.key === b.value));
+  return options;
+}
+
+/**
+ * Objects that match the search and every chosen facet, in the chosen order
+ * @param {Array} objects
+ * @param {Object} filters - From readFilters()
+ * @returns {Array}
+ */
+export function filterObjects(objects, filters) {
+  // Every word of the search must appear in the name, prompt or metadata
+  const terms = normalizeText(filters.q).split(' ').filter(Boolean);
+
+  const matches = objects.filter(object => {
+    if (terms.length) {
+      const text = normalizeText([object.name, object.prompt, ...Object.values(object.metadata || {})].join(' '));
+      if (!terms.every(term => text.includes(term))) return false;
+    }
+    if (Object.keys(FACETS).some(facet => filters[facet] && FACETS[facet](object) !== filters[facet])) {
+      return false;
+    }
+    if (filters.image && hasImage(object) !== (filters.image === 'yes')) {
+      return false;
+    }
+    return true;
+  });
+
+  return sortObjects(matches, filters.sort);
+}
+
+// Sorts keep the collection order between equal objects and put missing values last
+function sortObjects(objects, sort) {
+  const compareText = (a, b) => {
+    if (!a || !b) return (a ? -1 : 0) + (b ? 1 : 0);
+    return a.localeCompare(b, undefined, { sensitivity: 'base' });
+  };
+  const compare = {
+    sheet: (a, b) => a.position - b.position,
+    name: (a, b) => compareText(a.name, b.name),
+    culture: (a, b) => compareText(FACETS.culture(a), FACETS.culture(b)),
+    date: (a, b) => {
+      const yearA = yearOf(a.metadata && a.metadata.date);
+      const yearB = yearOf(b.metadata && b.metadata.date);
+      if (yearA === null || yearB === null) return (yearA === null ? 1 : 0) - (yearB === null ? 1 : 0);
+      return yearA - yearB;
+    }
+  }[sort] || (() => 0);
+
+  return [...objects].sort((a, b) => compare(a, b) || a.position - b.position);
+}
@@ -0,0 +1,99 @@
+import {
+  DEFAULT_FILTERS, eraOf, facetOptions, filterObjects, filterParams, normalizeText, readFilters, yearOf
+} from './objectFilters';
+
+const object = (id, position, name, metadata = {}, extra = {}) => ({
+  id, position, name, prompt: '', googleId: null, metadata, ...extra
+});
+
+const objects = [
+  object('medals', 1, 'Medals', { culture: 'Métis', date: 'c. 1880', location: 'Gallery 2' }, { googleId: 'g1' }),
+  object('lawit-sis-mask', 2, 'Lawit’sis Mask', { culture: 'Kwakwaka’wakw', date: '19th century' }),
+  object('basket', 3, 'Basket', { culture: 'Métis', date: '1950' }, { prompt: 'A woven cedar basket' }),
+  object('basket-2', 4, 'basket')
+];
+
+const ids = (list) => list.map(item => item.id);
+
+describe('normalizeText', () => {
+  test('drops accents, apostrophes and punctuation', () => {
+    expect(normalizeText('Lawit’sis  Mask, Métis!')).toBe('lawitsis mask metis');
+    expect(normalizeText(null)).toBe('');
+  });
+});
+
+describe('yearOf and eraOf', () => {
+  test.each([
+    ['c. 1880', 1880],
+    ['1850-1900', 1850],
+    ['19th century', 1800],
+    ['2000 BCE', -2000],
+    ['1,200 BP', -1200],
+    ['undated', null],
+    [null, null]
+  ])('reads %p as %p', (date, year) => {
+    expect(yearOf(date)).toBe(year);
+  });
+
+  test('groups years into eras', () => {
+    expect(eraOf('1650')).toBe('before-1700');
+    expect(eraOf('1999')).toBe('1900s');
+    expect(eraOf('2024')).toBe('2000s');
+    expect(eraOf('')).toBeNull();
+  });
+});
+
+describe('readFilters and filterParams', () => {
+  test('fills in defaults and ignores unknown values', () => {
+    const filters = readFilters(new URLSearchParams('q=mask&sort=price&image=maybe&extra=1'));
+    expect(filters).toEqual({ ...DEFAULT_FILTERS, q: 'mask' });
+  });
+
+  test('leaves defaults and unknown keys out of the URL', () => {
+    expect(filterParams({ ...DEFAULT_FILTERS, culture: 'Métis', sort: 'name', extra: 'x' }))
+      .toEqual({ culture: 'Métis', sort: 'name' });
+  });
+});
+
+describe('facetOptions', () => {
+  test('counts each value and orders eras oldest first', () => {
+    const options = facetOptions(objects);
+    expect(options.culture).toEqual([{ value: 'Kwakwaka’wakw', count: 1 }, { value: 'Métis', count: 2 }]);
+    expect(options.gallery).toEqual([{ value: 'Gallery 2', count: 1 }]);
+    expect(options.era.map(option => option.value)).toEqual(['1800s', '1900s']);
+  });
+});
+
+describe('filterObjects', () => {
+  const filter = (changes) => ids(filterObjects(objects, { ...DEFAULT_FILTERS, ...changes }));
+
+  test('matches every search word in the name, prompt or metadata', () => {
+    expect(filter({ q: 'lawitsis' })).toEqual(['lawit-sis-mask']);
+    expect(filter({ q: 'cedar metis' })).toEqual(['basket']);
+    expect(filter({ q: 'cedar mask' })).toEqual([]);
+  });
+
+  test('applies facets and the image filter', () => {
+    expect(filter({ culture: 'Métis' })).toEqual(['medals', 'basket']);
+    expect(filter({ era: '1800s' })).toEqual(['medals', 'lawit-sis-mask']);
+    expect(filter({ image: 'yes' })).toEqual(['medals']);
+    expect(filter({ image: 'no' })).toEqual(['lawit-sis-mask', 'basket', 'basket-2']);
+  });
+
+  test('sorts in sheet order by position, whatever the IDs', () => {
+    const shuffled = [objects[2], objects[0], objects[3], objects[1]];
+    expect(ids(filterObjects(shuffled, DEFAULT_FILTERS))).toEqual(['medals', 'lawit-sis-mask', 'basket', 'basket-2']);
+  });
+
+  test('sorts by name or date, keeping sheet order for ties and putting missing values last', () => {
+    expect(filter({ sort: 'name' })).toEqual(['basket', 'basket-2', 'lawit-sis-mask', 'medals']);
+    expect(filter({ sort: 'date' })).toEqual(['lawit-sis-mask', 'medals', 'basket', 'basket-2']);
+    expect(filter({ sort: 'culture' })).toEqual(['lawit-sis-mask', 'medals', 'basket', 'basket-2']);
+  });
+
+  test('copes with objects missing metadata or names', () => {
+    const sparse = [{ id: 'b', position: 2 }, { id: 'a', position: 1, name: null, metadata: null }];
+    expect(ids(filterObjects(sparse, { ...DEFAULT_FILTERS, sort: 'name' }))).toEqual(['a', 'b']);
+    expect(ids(filterObjects(sparse, { ...DEFAULT_FILTERS, q: 'anything' }))).toEqual([]);
+  });
+});
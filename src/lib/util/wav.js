@@ -0,0 +1,39 @@
+/**
+ * WAV helpers for 16-bit PCM audio
+ */
+
+/**
+ * Wrap 16-bit little-endian PCM samples in a WAV header
+ * @param {Uint8Array} pcmBytes - Raw PCM bytes
+ * @param {number} sampleRate - Samples per second
+ * @param {number} channelCount - Number of interleaved channels
+ * @returns {ArrayBuffer} Complete WAV file
+ */
+export function encodeWav(pcmBytes, sampleRate, channelCount = 1) {
+  const bytesPerSample = 2;
+  const buffer = new ArrayBuffer(44 + pcmBytes.byteLength);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + pcmBytes.byteLength, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);                                          // fmt chunk size
+  view.setUint16(20, 1, true);                                           // PCM
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channelCount * bytesPerSample, true);  // byte rate
+  view.setUint16(32, channelCount * bytesPerSample, true);               // block align
+  view.setUint16(34, bytesPerSample * 8, true);                          // bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, pcmBytes.byteLength, true);
+
+  new Uint8Array(buffer, 44).set(pcmBytes);
+  return buffer;
+}